@@ -0,0 +1,45 @@
+// src/admin.js
+// Operator controls: who may use /admin (ADMIN_IDS), banned chats and the
+// per-chat address quota. Quotas count the addresses a chat's state holds,
+// so a workspace shares one quota across its members.
+
+function isAdmin(config, user) {
+  return Boolean(user) && config.adminIds.includes(String(user.id));
+}
+
+// A banned chat gets no replies and its addresses are no longer polled
+function isBanned(store, chatId) {
+  const user = store.getUser(chatId);
+  return Boolean(user && user.bannedAt);
+}
+
+// Most addresses the chat may track; null for no limit
+function quotaFor({ config, store }, space) {
+  const user = store.getUser(space);
+  const quota = user && user.addressQuota !== undefined && user.addressQuota !== null ? user.addressQuota : config.addressQuota;
+  return quota > 0 ? quota : null;
+}
+
+// How many more addresses fit (Infinity without a limit)
+function quotaLeft(ctx, space) {
+  const quota = quotaFor(ctx, space);
+  return quota === null ? Infinity : Math.max(0, quota - ctx.store.listEmails(space).length);
+}
+
+// The refusal for adding `count` addresses, or null if they fit
+function quotaError(ctx, space, count = 1) {
+  const left = quotaLeft(ctx, space);
+  if (count <= left) return null;
+  const quota = quotaFor(ctx, space);
+  return left === 0
+    ? `❌ You've reached your quota of ${quota} addresses. Delete some with /delete or /clear first.`
+    : `❌ That would go over your quota of ${quota} addresses; you can add ${left} more.`;
+}
+
+module.exports = {
+  isAdmin,
+  isBanned,
+  quotaFor,
+  quotaLeft,
+  quotaError
+};
@@ -0,0 +1,233 @@
+// src/api.js
+// The HTTP API for scripts, under API_PATH on the embedded server: the same
+// address and mail operations as the commands, plus a long poll for the
+// next mail. A token from /api token is sent as "Authorization: Bearer
+// <token>" and acts for the chat it was made in, with its creator's role;
+// only its SHA-256 is stored. Requests and responses are JSON.
+const crypto = require('crypto');
+const { respond, readBody } = require('./server');
+const { PREFIX_PATTERN } = require('./mailbox');
+const { normalizeAddress } = require('./lifecycle');
+const { extractVerification } = require('./otp');
+const { mailPayload } = require('./mailEvents');
+const { roleAtLeast } = require('./workspaces');
+const { isBanned, quotaFor, quotaLeft } = require('./admin');
+
+const API_PATH = '/api/v1';
+const TOKEN_PREFIX = 'mbk_';
+const DEFAULT_WAIT = 60 * 1000;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// { token, hash }; the token is shown once and never stored
+function createToken() {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  return { token, hash: hashToken(token) };
+}
+
+// Tokens are listed and revoked by the start of their hash
+function tokenId(token) {
+  return token.hash.slice(0, 8);
+}
+
+// An address row without its stored credentials
+function addressJson(address) {
+  return {
+    email: address.email,
+    provider: address.provider,
+    label: address.label || null,
+    status: address.status || 'ok',
+    statusReason: address.statusReason || null,
+    createdAt: address.createdAt,
+    expiresAt: address.expiresAt || null,
+    lastMailAt: address.lastMailAt || null
+  };
+}
+
+function fail(status, error) {
+  return { status, body: { error } };
+}
+
+// Each handler gets (ctx, request) with request { space, role, token,
+// params, query, body } and resolves with { status, body? }
+const routes = [
+  {
+    method: 'GET',
+    path: /^\/domains$/,
+    async handler({ providers, mailbox }, { query }) {
+      const name = query.get('provider') || providers.DEFAULT_PROVIDER;
+      if (!providers.getProvider(name)) return fail(400, `Unknown provider: ${name}`);
+      return { status: 200, body: { provider: name, domains: await mailbox.getDomains(name) } };
+    }
+  },
+  {
+    method: 'GET',
+    path: /^\/addresses$/,
+    handler({ store }, { space }) {
+      return { status: 200, body: { addresses: store.listAddresses(space).map(addressJson) } };
+    }
+  },
+  {
+    method: 'POST',
+    path: /^\/addresses$/,
+    role: 'admin',
+    async handler(ctx, { space, token, body }) {
+      const { store, providers, mailbox, config } = ctx;
+      const count = body.count === undefined ? 1 : body.count;
+      const name = body.provider || providers.DEFAULT_PROVIDER;
+      const prefix = body.prefix ? String(body.prefix).toLowerCase() : '';
+      if (!Number.isInteger(count) || count < 1 || count > config.newBatchMax) return fail(400, `count must be between 1 and ${config.newBatchMax}`);
+      if (!providers.getProvider(name)) return fail(400, `Unknown provider: ${name}`);
+      if (prefix && !PREFIX_PATTERN.test(prefix)) return fail(400, 'prefix must be up to 16 letters, digits, - or _');
+      if (count > quotaLeft(ctx, space)) return fail(403, `Over the address quota of ${quotaFor(ctx, space)}; ${quotaLeft(ctx, space)} more can be added`);
+
+      const domains = await mailbox.getDomains(name);
+      if (domains.length === 0) return fail(502, `Could not fetch domains from ${name}`);
+      const domain = body.domain ? String(body.domain).toLowerCase() : null;
+      if (domain && !domains.includes(domain)) return fail(400, `${name} doesn't offer ${domain}`);
+
+      const fields = { ownerId: token.userId, ownerName: token.userName };
+      if (config.addressTtl) fields.expiresAt = new Date(Date.now() + config.addressTtl).toISOString();
+      const { created, failed } = await mailbox.createAddresses(space, name, { count, domain, domains, prefix }, fields);
+      if (created.length === 0) return fail(502, `Could not create addresses on ${name}`);
+      return { status: 201, body: { addresses: created.map(email => addressJson(store.getAddress(space, email))), failed } };
+    }
+  },
+  {
+    method: 'DELETE',
+    path: /^\/addresses\/([^/]+)$/,
+    role: 'admin',
+    handler({ store }, { space, address }) {
+      store.removeAddress(space, address.email);
+      return { status: 204 };
+    }
+  },
+  {
+    method: 'GET',
+    path: /^\/addresses\/([^/]+)\/messages$/,
+    async handler({ store, mailbox }, { space, address }) {
+      let mails;
+      try {
+        mails = await mailbox.fetchEmails(space, address.email);
+      } catch (err) {
+        return fail(502, `Could not fetch mail: ${err.message}`);
+      }
+      const messages = mails.map(mail => ({
+        id: String(mail.id),
+        from: mail.from || '',
+        subject: mail.subject || '',
+        date: mail.date ? new Date(mail.date).toISOString() : null,
+        preview: mail.preview || '',
+        hasAttachments: Boolean(mail.hasAttachments),
+        read: store.isRead(space, address.email, mail.id)
+      }));
+      return { status: 200, body: { messages } };
+    }
+  },
+  {
+    method: 'GET',
+    path: /^\/addresses\/([^/]+)\/messages\/([^/]+)$/,
+    async handler({ store, mailbox }, { space, address, params }) {
+      const message = await mailbox.fetchMessage(space, address.email, params[1]);
+      if (!message) return fail(404, `Message not found: ${params[1]}`);
+      const found = extractVerification(message, store.ensureUser(space).extractRules);
+      return { status: 200, body: { message: mailPayload(address.email, message, message, found) } };
+    }
+  },
+  {
+    // 200 with the mail, 204 when none came in time
+    method: 'GET',
+    path: /^\/addresses\/([^/]+)\/wait$/,
+    async handler({ config, events }, { space, address, query, signal }) {
+      const seconds = query.has('timeout') ? Number(query.get('timeout')) : DEFAULT_WAIT / 1000;
+      if (!(seconds > 0) || seconds * 1000 > config.waitMax) return fail(400, `timeout must be between 1 and ${config.waitMax / 1000} seconds`);
+      const filter = { from: query.get('from'), subject: query.get('subject') };
+      const { message, reason } = await events.wait(space, address.email, filter, { timeout: seconds * 1000, signal });
+      if (message) return { status: 200, body: { message } };
+      if (reason === 'closed') return fail(503, 'Shutting down, try again shortly');
+      return { status: 204 };
+    }
+  }
+];
+
+// ctx is the bot's ctx (src/app.js)
+function createApi(ctx) {
+  const { store, workspaces } = ctx;
+
+  // { token, space, role } for the request's bearer token, or an error
+  function authenticate(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    const token = match && store.getToken(hashToken(match[1]));
+    if (!token) return fail(401, 'Missing or unknown API token');
+    if (isBanned(store, token.chatId) || isBanned(store, token.userId)) return fail(403, 'This chat is banned');
+    // a token stops working when its creator leaves the workspace
+    const { space, role } = workspaces.access(token.chatId, { id: token.userId });
+    if (!role) return fail(401, 'The API token is no longer valid');
+    return { token, space, role };
+  }
+
+  async function route(req, url, signal) {
+    if (!url.pathname.startsWith(`${API_PATH}/`)) return fail(404, 'Not found');
+    const path = url.pathname.slice(API_PATH.length);
+    const matches = routes.filter(r => r.path.test(path));
+    if (matches.length === 0) return fail(404, 'Not found');
+    const definition = matches.find(r => r.method === req.method);
+    if (!definition) return fail(405, 'Method not allowed');
+
+    const auth = authenticate(req);
+    if (auth.status) return auth;
+    if (definition.role && !roleAtLeast(auth.role, definition.role)) {
+      return fail(403, `This needs the ${definition.role} role; the token's role is ${auth.role}`);
+    }
+
+    let params;
+    try {
+      params = definition.path.exec(path).slice(1).map(decodeURIComponent);
+    } catch (err) {
+      return fail(400, 'The path has a malformed %-escape');
+    }
+    const request = { ...auth, params, query: url.searchParams, body: {}, signal };
+    // routes under /addresses/<email> need it to be tracked
+    if (params.length > 0) {
+      const email = params[0];
+      request.address = store.getAddress(auth.space, email) || store.getAddress(auth.space, normalizeAddress(email));
+      if (!request.address) return fail(404, `Email not found: ${email}`);
+    }
+    if (req.method === 'POST') {
+      try {
+        const raw = await readBody(req);
+        request.body = raw ? JSON.parse(raw) : {};
+      } catch (err) {
+        return fail(400, 'The body must be JSON');
+      }
+      if (!request.body || typeof request.body !== 'object') return fail(400, 'The body must be a JSON object');
+    }
+    return definition.handler(ctx, request);
+  }
+
+  // Answers a request under /api/
+  async function handle(req, res, url) {
+    // a client that hangs up ends its long poll
+    const aborter = new AbortController();
+    res.on('close', () => aborter.abort());
+    const { status, body } = await route(req, url, aborter.signal);
+    if (res.destroyed) return;
+    if (body === undefined) {
+      res.writeHead(status, { 'Cache-Control': 'no-store' });
+      return res.end();
+    }
+    respond(res, status, 'application/json', JSON.stringify(body));
+  }
+
+  return { handle };
+}
+
+module.exports = {
+  API_PATH,
+  hashToken,
+  createToken,
+  tokenId,
+  createApi
+};
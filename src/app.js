@@ -0,0 +1,274 @@
+// src/app.js
+// Builds the bot from injected dependencies without side effects: nothing
+// polls, sends or listens until start() is called. bot.js wires in the real
+// Telegram client, storage and providers; the tests wire in fakes.
+// Updates come from long polling, or from Telegram's webhook calls to the
+// HTTP server when PUBLIC_URL is set.
+const { createScheduler } = require('./scheduler');
+const { createSendQueue } = require('./sendQueue');
+const { createTelegram } = require('./telegram');
+const { createMailbox } = require('./mailbox');
+const { createNotifier } = require('./notifier');
+const { createMailEvents } = require('./mailEvents');
+const { createDigests } = require('./digest');
+const { preferencesFor, isQuiet } = require('./preferences');
+const { createLifecycle } = require('./lifecycle');
+const { createFlows } = require('./flows');
+const { createWorkspaces } = require('./workspaces');
+const { createRegistry } = require('./registry');
+const { isBanned } = require('./admin');
+const { createHealth } = require('./health');
+const { renderMetrics, collectMetrics } = require('./metrics');
+const { createServer, WEBHOOK_PATH } = require('./server');
+const { createApi } = require('./api');
+const { formatDuration } = require('./duration');
+const { providersFromConfig } = require('./providers');
+const { createSecrets } = require('./secrets');
+const commandModules = require('./commands');
+
+const STATS_LOG_INTERVAL = 60 * 60 * 1000;
+// how often due digests are looked for; they go out within this of their time
+const DIGEST_CHECK_INTERVAL = 60 * 1000;
+// how often the store records that the bot is alive, to measure downtime
+const HEARTBEAT_INTERVAL = 60 * 1000;
+
+// deps:
+//   config      from loadConfig()
+//   bot         a node-telegram-bot-api instance created without autoStart
+//   store       from openStorage()
+//   providers   provider registry (defaults to the real ones, from config)
+function createBot({ config, bot, store, providers = providersFromConfig(config) }) {
+  const sendQueue = createSendQueue({
+    perChatInterval: config.telegramChatInterval,
+    globalPerSecond: config.telegramGlobalPerSec
+  });
+  const workspaces = createWorkspaces({ store });
+  // chats in a workspace keep the quiet hours of its home chat
+  const telegram = createTelegram({
+    bot,
+    sendQueue,
+    quiet: chatId => {
+      const user = store.getUser(workspaces.spaceFor(chatId));
+      return Boolean(user) && isQuiet(preferencesFor(user, config).quiet, digests.timezoneOf(user));
+    }
+  });
+  const secrets = createSecrets(config.dataEncryptionKey);
+  const mailbox = createMailbox({ store, providers, secrets, globalSmtp: config.smtp });
+  const lifecycle = createLifecycle({ store, telegram, config });
+
+  const scheduler = createScheduler({
+    poll: job => notifier.checkInbox(job.chatId, job.email),
+    // flagged addresses can't receive mail; polling them only burns quota
+    listTargets: () => store.chatIds()
+      .filter(chatId => !isBanned(store, chatId))
+      .flatMap(chatId => {
+        const { interval } = preferencesFor(store.getUser(chatId), config);
+        return store.listAddresses(chatId)
+          .filter(a => a.status !== 'invalid')
+          .map(a => ({ ...a, interval }));
+      }),
+    interval: config.pollInterval,
+    inactiveInterval: config.inactivePollInterval,
+    inactiveAfter: config.inactiveAfterDays * 24 * 60 * 60 * 1000,
+    maxBackoff: config.pollMaxBackoff,
+    concurrency: config.pollConcurrency,
+    ratePerSecond: config.providerRatePerSec
+  });
+  const events = createMailEvents({ store, scheduler, config });
+  const notifier = createNotifier({ store, mailbox, telegram, workspaces, events, config });
+  const digests = createDigests({ store, telegram, workspaces, config });
+
+  const registry = createRegistry();
+  const flows = createFlows();
+  for (const mod of commandModules) {
+    (mod.commands || []).forEach(registry.command);
+    Object.entries(mod.flows || {}).forEach(([name, handler]) => flows.define(name, handler));
+    Object.entries(mod.callbacks || {}).forEach(([action, handler]) => registry.callback(action, handler));
+  }
+
+  // Everything a command, flow or callback handler may use
+  const ctx = { bot, config, store, providers, secrets, telegram, mailbox, notifier, events, digests, lifecycle, scheduler, registry, flows, workspaces };
+
+  // Banned chats and users are ignored without a word
+  function banned(chatId, user) {
+    return isBanned(store, chatId) || Boolean(user && isBanned(store, user.id));
+  }
+
+  // Commands go to the registry; anything else feeds the chat's pending flow.
+  // A file captioned with a command (e.g. /import) counts as that command.
+  async function handleMessage(msg) {
+    if (banned(msg.chat.id, msg.from)) return;
+    const text = msg.text || (msg.document ? msg.caption : '');
+    if (text && text.startsWith('/')) {
+      await registry.dispatch(ctx, msg);
+      return;
+    }
+    await flows.dispatch(ctx, msg);
+  }
+
+  async function handleCallback(query) {
+    if (banned(query.message.chat.id, query.from)) {
+      bot.answerCallbackQuery(query.id, {}).catch(() => {});
+      return;
+    }
+    const notice = await registry.dispatchCallback(ctx, query);
+    bot.answerCallbackQuery(query.id, notice ? { text: notice } : {}).catch(() => {});
+  }
+
+  // Handlers still running, so shutdown can wait for them
+  const inFlight = new Set();
+  function track(promise) {
+    inFlight.add(promise);
+    promise.catch(err => console.error('Update handler error:', err.message)).finally(() => inFlight.delete(promise));
+  }
+
+  bot.on('message', msg => track(handleMessage(msg)));
+  bot.on('callback_query', query => track(handleCallback(query)));
+
+  const health = createHealth({ bot, scheduler, config });
+  let server = null;
+  let httpPort = null;
+  let statsTimer = null;
+  let sweepTimer = null;
+  let heartbeatTimer = null;
+  let digestTimer = null;
+  let accepting = false;
+  let stopping = null;
+
+  // Logs how long the bot was down: from the last clean shutdown, or from
+  // the last heartbeat if the previous run died without one
+  function reportDowntime() {
+    const lastAliveAt = store.getSetting('lastAliveAt');
+    if (!lastAliveAt) return;
+    const shutdownAt = store.getSetting('shutdownAt');
+    const clean = Boolean(shutdownAt) && shutdownAt >= lastAliveAt;
+    const since = clean ? shutdownAt : lastAliveAt;
+    const gap = formatDuration(Math.max(0, Date.now() - new Date(since).getTime()));
+    console.log(clean
+      ? `Restarting after a clean shutdown at ${since}: down for ${gap}.`
+      : `The previous run stopped without a clean shutdown; last alive at ${since}, down for up to ${gap}.`);
+    console.log('Mail that arrived meanwhile is picked up by the first polls; mail notified before is not sent again.');
+  }
+
+  // One flush at a time; shutdown waits for the running one
+  let digestRun = null;
+  function flushDigests() {
+    if (digestRun) return;
+    digestRun = digests.flush()
+      .catch(err => console.error('Digest error:', err.message))
+      .finally(() => {
+        digestRun = null;
+      });
+  }
+
+  function heartbeat() {
+    store.setSetting('lastAliveAt', new Date().toISOString());
+  }
+
+  async function startServer() {
+    server = createServer({
+      health,
+      metrics: () => renderMetrics(collectMetrics({ store, scheduler, sendQueue })),
+      webhook: config.publicUrl ? {
+        secret: config.webhookSecret,
+        onUpdate: update => {
+          if (!accepting) return false;
+          bot.processUpdate(update);
+          return true;
+        }
+      } : null,
+      api: createApi(ctx)
+    });
+    httpPort = await server.listen(config.httpPort);
+    console.log(`HTTP server listening on port ${httpPort}`);
+  }
+
+  async function start() {
+    if (config.publicUrl && config.httpPort === null) throw new Error('Webhook mode (PUBLIC_URL) needs PORT for the HTTP server');
+    reportDowntime();
+    heartbeat();
+    heartbeatTimer = setInterval(heartbeat, HEARTBEAT_INTERVAL);
+    lifecycle.repairAddresses();
+    scheduler.start();
+    sweepTimer = setInterval(() => {
+      lifecycle.sweep().catch(err => console.error("Expiry sweep error:", err.message));
+    }, config.expirySweepInterval);
+    // digests held back while the bot was down go out right away
+    flushDigests();
+    digestTimer = setInterval(flushDigests, DIGEST_CHECK_INTERVAL);
+    // poll counters, once an hour
+    statsTimer = setInterval(() => {
+      console.log('Poll stats:', JSON.stringify(scheduler.stats()));
+    }, STATS_LOG_INTERVAL);
+    accepting = true;
+    if (config.httpPort !== null) await startServer();
+    if (config.publicUrl) {
+      await bot.setWebHook(`${config.publicUrl}${WEBHOOK_PATH}`, { secret_token: config.webhookSecret });
+      console.log(`Receiving updates by webhook at ${config.publicUrl}${WEBHOOK_PATH}`);
+      return;
+    }
+    // startPolling removes a webhook left over from an earlier deployment
+    return bot.startPolling();
+  }
+
+  // Graceful shutdown: take no new updates, let running handlers and polls
+  // finish and the send queue empty, all within timeout ms, then record a
+  // clean shutdown. The caller closes the store afterwards.
+  function stop({ timeout = config.shutdownTimeout } = {}) {
+    if (!stopping) stopping = shutdown(timeout).finally(() => {
+      stopping = null;
+    });
+    return stopping;
+  }
+
+  async function shutdown(timeout) {
+    const deadline = Date.now() + timeout;
+    const left = () => Math.max(0, deadline - Date.now());
+    accepting = false;
+    events.close();
+    // cancel: true would abort the request but leave the poll loop running,
+    // so let the in-flight long poll finish instead
+    await bot.stopPolling();
+    scheduler.stop();
+    [statsTimer, sweepTimer, heartbeatTimer, digestTimer].forEach(clearInterval);
+    statsTimer = null;
+    sweepTimer = null;
+    heartbeatTimer = null;
+    digestTimer = null;
+
+    let timer;
+    await Promise.race([
+      Promise.allSettled([...inFlight, digestRun]),
+      new Promise(resolve => {
+        timer = setTimeout(resolve, left());
+      })
+    ]);
+    clearTimeout(timer);
+    const polls = await scheduler.finish(left());
+    const unsent = await sendQueue.drain(left());
+    const hooks = await events.settle(left());
+    if (server) {
+      await server.close();
+      server = null;
+      httpPort = null;
+    }
+    if (polls.abandoned || unsent) {
+      console.error(`Shutdown deadline hit: ${polls.abandoned} poll(s) and ${unsent} message(s) left unfinished; their mail is notified after the restart.`);
+    }
+    if (hooks) console.error(`Shutdown deadline hit: ${hooks} webhook delivery(ies) abandoned.`);
+    store.setSetting('shutdownAt', new Date().toISOString());
+    console.log(`Shut down cleanly (${polls.finished} running poll(s) finished).`);
+  }
+
+  return {
+    ctx,
+    handleMessage,
+    handleCallback,
+    start,
+    stop,
+    // the bound HTTP port, once started (null without a server)
+    httpPort: () => httpPort
+  };
+}
+
+module.exports = { createBot };
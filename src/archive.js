@@ -0,0 +1,118 @@
+// src/archive.js
+// The local archive of received mail: headers and bodies are kept in the
+// store for ARCHIVE_RETENTION, so /search and /read still work after a
+// notification scrolled past or the provider dropped the message.
+const crypto = require('crypto');
+const { parseDuration } = require('./duration');
+
+// The store keeps every row in memory and in each snapshot, so bodies are
+// kept short: text beyond this is cut and larger HTML left out (/read then
+// shows the text). With ARCHIVE_MAX_PER_CHAT that bounds a chat's archive.
+const TEXT_LIMIT = 4 * 1024;
+const HTML_LIMIT = 8 * 1024;
+const SEARCH_FIELDS = ['from', 'subject', 'to'];
+
+// Short, fixed-length name of an archived mail for callback_data
+function archiveRef(email, id) {
+  return crypto.createHash('sha256').update(`${email}\n${id}`).digest('hex').slice(0, 12);
+}
+
+// The stored row for a mail, from mailPayload()
+function archiveRow(chatId, payload, receivedAt = new Date().toISOString()) {
+  const text = payload.text || '';
+  return {
+    chatId: String(chatId),
+    email: payload.address,
+    id: payload.id,
+    ref: archiveRef(payload.address, payload.id),
+    from: payload.from,
+    to: payload.to,
+    subject: payload.subject,
+    date: payload.date,
+    receivedAt,
+    text: text.length > TEXT_LIMIT ? `${text.slice(0, TEXT_LIMIT)}\n[…]` : text,
+    html: payload.html && payload.html.length <= HTML_LIMIT ? payload.html : null,
+    code: payload.code,
+    link: payload.link,
+    hasAttachments: payload.hasAttachments
+  };
+}
+
+// An archived row in the shape providers return messages in
+function archivedMessage(row) {
+  return {
+    id: row.id,
+    from: row.from,
+    to: row.to || row.email,
+    subject: row.subject,
+    date: new Date(row.date || row.receivedAt),
+    text: row.text,
+    html: row.html || ''
+  };
+}
+
+// after:/before: take a date (2026-10-01) or an age (7d: that long ago)
+function parseWhen(value, now) {
+  const age = parseDuration(value);
+  if (age !== null) return now - age;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  const time = Date.parse(`${value}T00:00:00Z`);
+  return isNaN(time) ? null : time;
+}
+
+// "from:shop subject:"your code" after:7d reset" ->
+// { terms: ['reset'], from: 'shop', subject: 'your code', after, before }
+// or { error }. Free terms must each appear in the sender, subject, body
+// or address.
+function parseSearch(text, now = Date.now()) {
+  const query = { terms: [], after: null, before: null };
+  const tokens = String(text || '').match(/(\w+:)?"[^"]*"|\S+/g) || [];
+  for (const token of tokens) {
+    const match = /^(\w+):(.*)$/.exec(token);
+    const key = match && match[1].toLowerCase();
+    const value = match ? match[2].replace(/^"(.*)"$/, '$1') : token.replace(/^"(.*)"$/, '$1');
+    if (key === 'after' || key === 'before') {
+      const time = parseWhen(value, now);
+      if (time === null) return { error: `${key}: takes a date like 2026-10-01 or an age like 7d` };
+      query[key] = time;
+    } else if (SEARCH_FIELDS.includes(key) || key === 'address') {
+      query[key === 'address' ? 'to' : key] = value.toLowerCase();
+    } else if (value) {
+      query.terms.push(value.toLowerCase());
+    }
+  }
+  if (!query.terms.length && !SEARCH_FIELDS.some(field => query[field]) && query.after === null && query.before === null) {
+    return { error: 'Please give something to search for.' };
+  }
+  return query;
+}
+
+function receivedTime(row) {
+  return new Date(row.date || row.receivedAt).getTime();
+}
+
+// Archived rows matching query, newest first
+function searchArchive(rows, query) {
+  const has = (value, part) => String(value || '').toLowerCase().includes(part);
+  return rows
+    .filter(row => {
+      if (query.from && !has(row.from, query.from)) return false;
+      if (query.subject && !has(row.subject, query.subject)) return false;
+      if (query.to && !has(row.email, query.to)) return false;
+      const time = receivedTime(row);
+      if (query.after !== null && time < query.after) return false;
+      if (query.before !== null && time >= query.before) return false;
+      return query.terms.every(term => [row.from, row.subject, row.text, row.email].some(value => has(value, term)));
+    })
+    .sort((a, b) => receivedTime(b) - receivedTime(a));
+}
+
+module.exports = {
+  TEXT_LIMIT,
+  HTML_LIMIT,
+  archiveRef,
+  archiveRow,
+  archivedMessage,
+  parseSearch,
+  searchArchive
+};
@@ -0,0 +1,64 @@
+// src/attachments.js
+// Decides how mail attachments are re-uploaded to Telegram.
+
+// Telegram's own limit for sendPhoto; bigger images go out as documents
+const PHOTO_MAX_BYTES = 10 * 1024 * 1024;
+// sendMediaGroup accepts 2-10 items
+const MEDIA_GROUP_SIZE = 10;
+
+const PHOTO_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+const EXTENSION_TYPES = {
+  pdf: 'application/pdf',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  txt: 'text/plain',
+  csv: 'text/csv',
+  html: 'text/html',
+  htm: 'text/html',
+  zip: 'application/zip',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xls: 'application/vnd.ms-excel',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  ics: 'text/calendar',
+  eml: 'message/rfc822'
+};
+
+function guessContentType(filename) {
+  const ext = String(filename || '').split('.').pop().toLowerCase();
+  return EXTENSION_TYPES[ext] || 'application/octet-stream';
+}
+
+function isPhoto(file) {
+  return PHOTO_TYPES.includes(String(file.contentType).toLowerCase()) && file.content.length <= PHOTO_MAX_BYTES;
+}
+
+function formatSize(bytes) {
+  if (!bytes) return 'unknown size';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Telegram can't mix photos and documents in one media group, so split by
+// kind and chunk each kind into groups of at most MEDIA_GROUP_SIZE.
+function planMediaGroups(files) {
+  const batches = [];
+  for (const kind of ['photo', 'document']) {
+    const ofKind = files.filter(file => (kind === 'photo') === isPhoto(file));
+    for (let i = 0; i < ofKind.length; i += MEDIA_GROUP_SIZE) {
+      batches.push({ kind, files: ofKind.slice(i, i + MEDIA_GROUP_SIZE) });
+    }
+  }
+  return batches;
+}
+
+module.exports = {
+  guessContentType,
+  formatSize,
+  planMediaGroups
+};
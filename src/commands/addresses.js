@@ -0,0 +1,323 @@
+// src/commands/addresses.js
+// Creating, tracking and listing addresses.
+const { LEGACY_PROVIDER, PREFIX_PATTERN } = require('../mailbox');
+const { validateAddress, normalizeAddress } = require('../lifecycle');
+const { parseDuration, formatDuration } = require('../duration');
+const { exportFile } = require('../transfer');
+const { ownerFields, roleAtLeast } = require('../workspaces');
+const { quotaError } = require('../admin');
+
+const LABEL_MAX_LENGTH = 64;
+const NEW_USAGE = '[count] [domain] [prefix]';
+// formats for the file a batch comes back in
+const BATCH_FORMATS = ['csv', 'txt'];
+const ANY_DOMAIN = '*';
+// Telegram rejects callback_data longer than this
+const CALLBACK_DATA_MAX = 64;
+// how long /wait watches an address unless told otherwise
+const DEFAULT_WAIT = 2 * 60 * 1000;
+
+// Reply for a provider name the registry doesn't know
+function unknownProvider(providers, name) {
+  const names = providers.listProviders().map(p => p.name).join(', ');
+  return `❌ Unknown provider: ${name}\nAvailable: ${names}`;
+}
+
+// "1 new mail", "3 addresses"
+function counted(count, singular, plural = `${singular}s`) {
+  return `${count} ${count === 1 ? singular : plural}`;
+}
+
+// What /check found, e.g. "3 addresses checked, 1 new mail, 1 provider
+// error"; results are the polls of addresses, in the same order
+function checkSummary(addresses, results) {
+  const newMail = results.reduce((sum, r) => sum + r.newMail, 0);
+  const failed = results.filter(r => !r.ok).length;
+  const lines = [`${failed ? '⚠️' : '✅'} ${counted(results.length, 'address', 'addresses')} checked, ${counted(newMail, 'new mail', 'new mails')}, ${counted(failed, 'provider error')}`];
+  results.forEach((r, i) => {
+    if (!r.ok) lines.push(`• ${addresses[i].email}: ${r.error ? r.error.message : 'failed'}`);
+  });
+  return lines.join('\n');
+}
+
+// Waits are short: under a minute, "45s" says more than "<1m"
+function formatWait(ms) {
+  return ms < 60 * 1000 ? `${Math.round(ms / 1000)}s` : formatDuration(ms);
+}
+
+// /wait's options: a duration first, if any, then the sender filter
+function parseWaitOptions(text) {
+  const tokens = (text || '').trim().split(/\s+/).filter(Boolean);
+  const timeout = tokens.length ? parseDuration(tokens[0]) : null;
+  if (timeout !== null) tokens.shift();
+  return { timeout: timeout === null ? DEFAULT_WAIT : timeout, from: tokens.join(' ') || null };
+}
+
+// "a@b.c (imap) — shop #3" plus a line with age, expiry and problems
+function describeAddress(address, now) {
+  let title = address.provider && address.provider !== LEGACY_PROVIDER ? `${address.email} (${address.provider})` : address.email;
+  if (address.label) title += ` — ${address.label}`;
+  const details = [`added ${formatDuration(now - new Date(address.createdAt).getTime())} ago`];
+  if (address.expiresAt) details.push(`expires in ${formatDuration(Math.max(0, new Date(address.expiresAt).getTime() - now))}`);
+  if (address.status === 'invalid') details.push(`⚠️ ${address.statusReason}, not checked`);
+  return `${title}\n   ${details.join(' · ')}`;
+}
+
+// /new's arguments may come in any order: a number is the count, a
+// provider name picks the provider, a dotted word is the domain ("any" for
+// random ones), csv/txt picks the batch file format, the rest is the prefix
+function parseNewOptions(tokens, providers, maxCount) {
+  const names = providers.listProviders().map(p => p.name);
+  const request = { provider: providers.DEFAULT_PROVIDER, count: 1, format: 'csv', domain: null, prefix: '' };
+  for (const token of tokens) {
+    const word = token.toLowerCase();
+    if (/^\d+$/.test(word)) request.count = parseInt(word, 10);
+    else if (names.includes(word)) request.provider = word;
+    else if (BATCH_FORMATS.includes(word)) request.format = word;
+    else if (word === 'any' || word === ANY_DOMAIN) request.domain = ANY_DOMAIN;
+    else if (word.includes('.') || word.includes('@')) request.domain = word.replace(/^@/, '');
+    else if (!request.prefix && PREFIX_PATTERN.test(word)) request.prefix = word;
+    else if (!request.prefix) return { error: 'Prefixes are up to 16 letters, digits, - or _.' };
+    else return { error: `Unexpected argument: ${token}` };
+  }
+  if (request.count < 1 || request.count > maxCount) return { error: `Count must be between 1 and ${maxCount}.` };
+  return request;
+}
+
+// nw:<provider>:<count>:<format>:<domain>:<prefix>, all of it parseable
+// again because prefixes and domains never contain ":"
+function pickerData({ provider, count, format, prefix }, domain) {
+  return `nw:${provider}:${count}:${format}:${domain}:${prefix}`;
+}
+
+function showDomainPicker({ telegram }, chatId, request, domains) {
+  const buttons = domains
+    .map(domain => ({ text: domain, callback_data: pickerData(request, domain) }))
+    .filter(button => Buffer.byteLength(button.callback_data) <= CALLBACK_DATA_MAX);
+  const keyboard = [];
+  for (let i = 0; i < buttons.length; i += 2) keyboard.push(buttons.slice(i, i + 2));
+  keyboard.push([{ text: '🎲 Any domain', callback_data: pickerData(request, ANY_DOMAIN) }]);
+  const what = request.count === 1 ? 'your new address' : `${request.count} new addresses`;
+  const prefix = request.prefix ? ` (${request.prefix}-…)` : '';
+  return telegram.send(chatId, `🌐 Pick a domain for ${what}${prefix}:`, { reply_markup: { inline_keyboard: keyboard } });
+}
+
+// Creates request.count addresses in space and reports them to chatId: one
+// address as a message, a batch as a file. messageId is the picker to
+// replace, if any.
+async function createBatch(ctx, { chatId, space, user }, request, domains, messageId) {
+  const { store, telegram, providers, mailbox, config } = ctx;
+  const reply = text => (messageId ? telegram.edit(chatId, messageId, text) : telegram.send(chatId, text));
+  // checked again here: the picker may be tapped long after /new
+  const overQuota = quotaError(ctx, space, request.count);
+  if (overQuota) return reply(overQuota);
+  const provider = providers.getProvider(request.provider);
+  const fields = ownerFields(user);
+  if (config.addressTtl) fields.expiresAt = new Date(Date.now() + config.addressTtl).toISOString();
+  const { created, failed } = await mailbox.createAddresses(space, provider.name, {
+    count: request.count,
+    domain: request.domain === ANY_DOMAIN ? null : request.domain,
+    domains,
+    prefix: request.prefix
+  }, fields);
+
+  if (created.length === 0) {
+    return reply(request.count === 1
+      ? `❌ Could not create an address on ${provider.name}`
+      : `❌ Could not create any of the ${request.count} addresses on ${provider.name}`);
+  }
+  const expiry = config.addressTtl ? `\nExpires in ${formatDuration(config.addressTtl)} (change with /ttl).` : '';
+  if (request.count === 1) return reply(`🆕 New temporary email created: ${created[0]}${expiry}`);
+
+  let summary = `🆕 Created ${created.length} temporary email(s).${expiry}`;
+  if (failed) summary += `\n⚠️ ${failed} could not be created.`;
+  await reply(summary);
+  const file = exportFile(store, space, request.format, created);
+  return telegram.sendDocument(chatId, Buffer.from(file.content, 'utf8'), file.name, file.type, { caption: `📄 ${created.length} new address(es)` });
+}
+
+// Callback for the /new domain picker
+async function pickNewDomain(ctx, query, arg, { chatId, space, role }) {
+  if (!roleAtLeast(role, 'admin')) return "Only admins can create addresses here.";
+  const [provider, count, format, domain, prefix] = arg.split(':');
+  const request = { provider, count: parseInt(count, 10), format, domain, prefix };
+  if (!ctx.providers.getProvider(provider)) return "Unknown provider";
+  const domains = await ctx.mailbox.getDomains(provider);
+  if (domains.length === 0) return `Could not fetch domains from ${provider}`;
+  if (domain !== ANY_DOMAIN && !domains.includes(domain)) return `${domain} is no longer offered`;
+  await createBatch(ctx, { chatId, space, user: query.from }, request, domains, query.message.message_id);
+  return null;
+}
+
+const commands = [
+  {
+    name: 'new',
+    args: [{ name: 'options', rest: true }],
+    usage: NEW_USAGE,
+    description: 'create temporary emails (no domain: pick one from a list)',
+    role: 'admin',
+    async handler(ctx, { chatId, space, msg, args }) {
+      const { store, telegram, mailbox, config } = ctx;
+      store.ensureUser(space);
+      const tokens = (args.options || '').split(/\s+/).filter(Boolean);
+      const { error, ...request } = parseNewOptions(tokens, ctx.providers, config.newBatchMax);
+      if (error) return telegram.send(chatId, `❌ ${error}\nUsage: /new ${NEW_USAGE}`);
+      const overQuota = quotaError(ctx, space, request.count);
+      if (overQuota) return telegram.send(chatId, overQuota);
+      const domains = await mailbox.getDomains(request.provider);
+      if (domains.length === 0) return telegram.send(chatId, `❌ Could not fetch domains from ${request.provider}`);
+      if (!request.domain) return showDomainPicker(ctx, chatId, request, domains);
+      if (request.domain !== ANY_DOMAIN && !domains.includes(request.domain)) {
+        return telegram.send(chatId, `❌ ${request.provider} doesn't offer ${request.domain}.\nAvailable: ${domains.join(', ')}`);
+      }
+      return createBatch(ctx, { chatId, space, user: msg.from }, request, domains);
+    }
+  },
+  {
+    name: 'add',
+    args: [{ name: 'email', required: true }, { name: 'provider' }],
+    description: 'track an existing email',
+    role: 'admin',
+    handler(ctx, { chatId, space, msg, args }) {
+      const { store, telegram, providers } = ctx;
+      store.ensureUser(space);
+      const provider = providers.getProvider(args.provider);
+      if (!provider) return telegram.send(chatId, unknownProvider(providers, args.provider));
+      const email = normalizeAddress(args.email);
+      const problem = validateAddress(email);
+      if (problem) return telegram.send(chatId, `❌ Not a valid email address (${problem}): ${args.email}`);
+      if (store.getAddress(space, email)) return telegram.send(chatId, `ℹ️ Already tracking: ${email}`);
+      const overQuota = quotaError(ctx, space);
+      if (overQuota) return telegram.send(chatId, overQuota);
+      store.putAddress(space, email, { provider: provider.name, status: 'ok', ...ownerFields(msg.from) });
+      telegram.send(chatId, `✅ Now tracking: ${email}`);
+    }
+  },
+  {
+    name: 'delete',
+    args: [{ name: 'email', required: true }],
+    description: 'stop tracking an email',
+    role: 'admin',
+    handler({ store, telegram }, { chatId, space, args }) {
+      store.ensureUser(space);
+      // addresses saved before normalization may still be stored as typed
+      const email = store.getAddress(space, args.email) ? args.email : normalizeAddress(args.email);
+      if (store.removeAddress(space, email)) {
+        telegram.send(chatId, `🗑️ Stopped tracking: ${email}`);
+      } else {
+        telegram.send(chatId, `❌ Email not found: ${args.email}`);
+      }
+    }
+  },
+  {
+    name: 'list',
+    description: 'show tracked emails',
+    handler({ store, telegram }, { chatId, space }) {
+      store.ensureUser(space);
+      const addresses = store.listAddresses(space);
+      if (addresses.length === 0) return telegram.send(chatId, "No tracked emails.");
+      const now = Date.now();
+      const listing = addresses.map(a => describeAddress(a, now));
+      let text = `📋 Tracked emails (${listing.length}):\n\n${listing.join("\n")}`;
+      if (addresses.some(a => a.status === 'invalid')) text += "\n\nAddresses marked ⚠️ can't receive mail; remove them with /delete.";
+      telegram.sendLong(chatId, text);
+    }
+  },
+  {
+    name: 'label',
+    args: [{ name: 'email', required: true }, { name: 'text', rest: true }],
+    description: 'name an address (no text clears the label)',
+    role: 'admin',
+    handler({ store, telegram }, { chatId, space, args }) {
+      store.ensureUser(space);
+      const { email } = args;
+      if (!store.getAddress(space, email)) return telegram.send(chatId, `❌ Email not found: ${email}`);
+      const label = (args.text || '').trim();
+      if (label.length > LABEL_MAX_LENGTH) return telegram.send(chatId, `❌ Labels are limited to ${LABEL_MAX_LENGTH} characters.`);
+      store.putAddress(space, email, { label: label || null });
+      telegram.send(chatId, label ? `🏷️ ${email} — ${label}` : `🏷️ Label removed from ${email}`);
+    }
+  },
+  {
+    name: 'ttl',
+    args: [{ name: 'email', required: true }, { name: 'duration', required: true }],
+    usage: '<email> <duration|off>',
+    description: 'expire an address after e.g. 12h or 7d',
+    role: 'admin',
+    handler({ store, telegram }, { chatId, space, args }) {
+      store.ensureUser(space);
+      const { email } = args;
+      if (!store.getAddress(space, email)) return telegram.send(chatId, `❌ Email not found: ${email}`);
+      const value = args.duration.toLowerCase();
+      if (value === 'off') {
+        store.putAddress(space, email, { expiresAt: null, expiryWarnedAt: null });
+        return telegram.send(chatId, `♾️ ${email} no longer expires.`);
+      }
+      const ttl = parseDuration(value);
+      if (!ttl) return telegram.send(chatId, "❌ Please give a duration like 30m, 12h, 7d or 2w, or \"off\".");
+      store.putAddress(space, email, { expiresAt: new Date(Date.now() + ttl).toISOString(), expiryWarnedAt: null });
+      telegram.send(chatId, `⏳ ${email} expires in ${formatDuration(ttl)}. You'll be warned before it is removed.`);
+    }
+  },
+  {
+    name: 'check',
+    description: 'manually check all emails',
+    async handler(ctx, { chatId, space }) {
+      ctx.store.ensureUser(space);
+      const addresses = ctx.store.listAddresses(space).filter(a => a.status !== 'invalid');
+      if (addresses.length === 0) return ctx.telegram.send(chatId, "No tracked emails to check.");
+      await ctx.telegram.send(chatId, `🔄 Checking ${counted(addresses.length, 'address', 'addresses')}...`);
+      // the same list the summary describes, even if /add runs meanwhile
+      const results = await Promise.all(addresses.map(address => ctx.scheduler.pollNow(address)));
+      return ctx.telegram.send(chatId, checkSummary(addresses, results));
+    }
+  },
+  {
+    name: 'wait',
+    args: [{ name: 'email', required: true }, { name: 'options', rest: true }],
+    usage: '<address> [timeout] [from-filter]',
+    description: 'poll an address fast until mail arrives',
+    async handler({ store, telegram, events, config }, { chatId, space, args }) {
+      const address = store.getAddress(space, args.email) || store.getAddress(space, normalizeAddress(args.email));
+      if (!address) return telegram.send(chatId, `❌ Email not found: ${args.email}`);
+      if (address.status === 'invalid') return telegram.send(chatId, `❌ ${address.email} can't receive mail (${address.statusReason}).`);
+      const { timeout, from } = parseWaitOptions(args.options);
+      if (timeout > config.waitMax) return telegram.send(chatId, `❌ Waits are limited to ${formatDuration(config.waitMax)}.`);
+
+      const filter = from ? ` from "${from}"` : '';
+      const started = Date.now();
+      const waiting = await telegram.send(chatId, `⏳ Watching ${address.email} for mail${filter}, up to ${formatWait(timeout)}. The code follows as soon as it arrives.`);
+      const replyTo = waiting ? { reply_to_message_id: waiting.message_id } : {};
+      const { message, reason } = await events.wait(space, address.email, { from }, { timeout });
+
+      if (reason === 'timeout') return telegram.send(chatId, `⌛ No mail${filter} for ${address.email} within ${formatWait(timeout)}. Back to normal polling.`, replyTo);
+      if (reason !== 'mail') return telegram.send(chatId, `⏹️ Stopped watching ${address.email}: the bot is restarting.`, replyTo);
+      const lines = [];
+      if (message.code) lines.push(`🔑 Code: ${message.code}`);
+      lines.push(
+        `📬 Mail for ${address.email} after ${formatWait(Date.now() - started)}`,
+        `From: ${message.from || 'unknown'}`,
+        `Subject: ${message.subject || '(no subject)'}`
+      );
+      if (message.link) lines.push(`Link: ${message.link}`);
+      lines.push(`Full message: /read ${message.id}`);
+      const buttons = message.code ? [[{ text: '📋 Copy code', copy_text: { text: message.code } }]] : [];
+      return telegram.send(chatId, lines.join('\n'), { ...replyTo, disable_web_page_preview: true, ...(buttons.length ? { reply_markup: { inline_keyboard: buttons } } : {}) });
+    }
+  },
+  {
+    name: 'clear',
+    description: 'remove all tracked emails',
+    role: 'admin',
+    handler({ store, telegram }, { chatId, space }) {
+      store.ensureUser(space);
+      const count = store.clearAddresses(space);
+      telegram.send(chatId, `🗑️ Cleared ${count} tracked email(s).`);
+    }
+  }
+];
+
+module.exports = {
+  commands,
+  callbacks: { nw: pickNewDomain }
+};
@@ -0,0 +1,120 @@
+// src/commands/admin.js
+// /admin: the operator console, only for the Telegram users in ADMIN_IDS
+// (see src/admin.js). Everyone else gets no answer, as if it didn't exist.
+const { isBanned, quotaFor } = require('../admin');
+const { fileStamp } = require('../transfer');
+
+const ADMIN_USAGE = [
+  'Usage:',
+  '/admin stats',
+  '/admin broadcast <text>',
+  '/admin ban <chat id>',
+  '/admin unban <chat id>',
+  '/admin quota <chat id> [number|default]',
+  '/admin dump'
+].join('\n');
+
+function percent(part, total) {
+  return total ? `${((part / total) * 100).toFixed(1)}%` : '0%';
+}
+
+function statsText({ store, scheduler }) {
+  const chats = store.chatIds();
+  const banned = chats.filter(chatId => isBanned(store, chatId)).length;
+  const addresses = chats.flatMap(chatId => store.listAddresses(chatId));
+  const invalid = addresses.filter(a => a.status === 'invalid').length;
+  const activity = scheduler.activity();
+  const queue = scheduler.stats();
+
+  const lines = [
+    '📊 Bot stats',
+    `Chats: ${chats.length} (${banned} banned)`,
+    `Workspaces: ${store.listWorkspaces().length}`,
+    `Addresses: ${addresses.length} (${invalid} invalid)`,
+    `Polls: ${(activity.polls / activity.minutes).toFixed(1)}/min over the last ${Math.round(activity.minutes)} min`,
+    'Provider errors:'
+  ];
+  const providers = Object.entries(activity.providers);
+  if (providers.length === 0) lines.push('• no polls yet');
+  for (const [name, counts] of providers) {
+    lines.push(`• ${name}: ${counts.failed} of ${counts.polls} (${percent(counts.failed, counts.polls)})`);
+  }
+  lines.push(`Scheduler: ${queue.active} running, ${queue.queued} queued, ${queue.backingOff} backing off`);
+  return lines.join('\n');
+}
+
+async function broadcast({ store, telegram }, chatId, text) {
+  if (!text) return telegram.send(chatId, `❌ Please give the text to send.\n${ADMIN_USAGE}`);
+  const targets = store.chatIds().filter(target => !isBanned(store, target));
+  let delivered = 0;
+  for (const target of targets) {
+    if (await telegram.send(target, `📣 ${text}`)) delivered++;
+  }
+  return telegram.send(chatId, `📣 Broadcast delivered to ${delivered} of ${targets.length} chat(s).`);
+}
+
+function setBan(ctx, chatId, target, ban) {
+  const { config, store, flows, telegram } = ctx;
+  if (ban) {
+    if (config.adminIds.includes(target)) return telegram.send(chatId, "❌ Admins can't be banned.");
+    if (isBanned(store, target)) return telegram.send(chatId, `ℹ️ Chat ${target} is already banned.`);
+    store.updateUser(target, { bannedAt: new Date().toISOString() });
+    flows.end(target);
+    return telegram.send(chatId, `🚫 Banned chat ${target}. Its ${store.listEmails(target).length} address(es) are no longer polled.`);
+  }
+  if (!isBanned(store, target)) return telegram.send(chatId, `ℹ️ Chat ${target} isn't banned.`);
+  store.updateUser(target, { bannedAt: null });
+  return telegram.send(chatId, `✅ Unbanned chat ${target}.`);
+}
+
+function setQuota(ctx, chatId, target, value) {
+  const { config, store, telegram } = ctx;
+  if (value !== undefined) {
+    if (value === 'default') {
+      store.updateUser(target, { addressQuota: null });
+    } else if (/^\d+$/.test(value)) {
+      store.updateUser(target, { addressQuota: parseInt(value, 10) });
+    } else {
+      return telegram.send(chatId, `❌ The quota is a number (0 for no limit) or "default".\n${ADMIN_USAGE}`);
+    }
+  }
+  const user = store.getUser(target);
+  const custom = user && user.addressQuota !== undefined && user.addressQuota !== null;
+  const quota = quotaFor(ctx, target);
+  const limit = quota === null ? 'no limit' : `quota ${quota}`;
+  const source = custom ? 'set for this chat' : `default, ADDRESS_QUOTA=${config.addressQuota}`;
+  return telegram.send(chatId, `📦 Chat ${target} tracks ${store.listEmails(target).length} address(es); ${limit} (${source}).`);
+}
+
+const commands = [
+  {
+    name: 'admin',
+    args: [{ name: 'action', choices: ['stats', 'broadcast', 'ban', 'unban', 'quota', 'dump'] }, { name: 'params', rest: true }],
+    description: 'operator console',
+    operator: true,
+    async handler(ctx, { chatId, args }) {
+      const { store, telegram } = ctx;
+      const action = args.action || 'stats';
+      const params = (args.params || '').trim();
+
+      if (action === 'stats') return telegram.send(chatId, statsText(ctx));
+      if (action === 'broadcast') return broadcast(ctx, chatId, params);
+
+      if (action === 'dump') {
+        const { filename, content } = store.dump();
+        const name = `${filename.replace(/\.json$/, '')}-${fileStamp()}.json`;
+        return telegram.sendDocument(chatId, content, name, 'application/json', {
+          caption: `🗄️ Storage snapshot, ${Math.ceil(content.length / 1024)} KB. It holds every chat's data; keep it private.`
+        });
+      }
+
+      const [target, value, extra] = params.split(/\s+/).filter(Boolean);
+      if (!target || !/^-?\d+$/.test(target) || extra) return telegram.send(chatId, `❌ Please give one chat ID.\n${ADMIN_USAGE}`);
+      if (action === 'quota') return setQuota(ctx, chatId, target, value);
+      if (value) return telegram.send(chatId, `❌ Please give one chat ID.\n${ADMIN_USAGE}`);
+      return setBan(ctx, chatId, target, action === 'ban');
+    }
+  }
+];
+
+module.exports = { commands };
@@ -0,0 +1,137 @@
+// src/commands/api.js
+// /api and /webhook: tokens for the HTTP API (src/api.js) and the chat's
+// outgoing webhook (src/webhooks.js), for scripts that need the mail too.
+const { API_PATH, createToken, tokenId } = require('../api');
+const webhooks = require('../webhooks');
+const { roleAtLeast, isGroup, displayName } = require('../workspaces');
+
+const LABEL_MAX = 32;
+const API_USAGE = [
+  'Usage:',
+  '/api info',
+  '/api token [label]',
+  '/api tokens',
+  '/api revoke <id|all>'
+].join('\n');
+const WEBHOOK_USAGE = [
+  'Usage:',
+  '/webhook info',
+  '/webhook set <url>',
+  '/webhook test',
+  '/webhook off'
+].join('\n');
+
+function apiBase(config) {
+  if (config.publicUrl) return `${config.publicUrl}${API_PATH}`;
+  return config.httpPort === null ? null : `http://<this host>:${config.httpPort}${API_PATH}`;
+}
+
+function tokenLine(token) {
+  return `• ${tokenId(token)}${token.label ? ` — ${token.label}` : ''} (created ${token.createdAt.slice(0, 10)})`;
+}
+
+const commands = [
+  {
+    name: 'api',
+    args: [{ name: 'action', choices: ['info', 'token', 'tokens', 'revoke'] }, { name: 'params', rest: true }],
+    usage: 'info|token|tokens|revoke',
+    description: 'tokens for the HTTP API',
+    handler({ store, telegram, config }, { chatId, msg, args }) {
+      const action = args.action || 'info';
+      const params = (args.params || '').trim();
+      const mine = store.listTokens(chatId).filter(token => token.userId === String(msg.from.id));
+
+      if (action === 'info') {
+        const base = apiBase(config);
+        return telegram.send(chatId, [
+          '🔌 HTTP API',
+          base ? `Base URL: ${base}` : 'The API is off: the bot runs without its HTTP server (set PORT).',
+          `Your tokens in this chat: ${mine.length}`,
+          'Send a token as "Authorization: Bearer <token>". It acts for this chat with your role here.',
+          '',
+          API_USAGE
+        ].join('\n'));
+      }
+
+      if (action === 'token') {
+        // everyone in a group would see it
+        if (isGroup(chatId)) return telegram.send(chatId, '🔒 Create API tokens in a private chat with the bot. To use a group\'s addresses, make it a workspace and /join it from there.');
+        if (params.length > LABEL_MAX) return telegram.send(chatId, `❌ Labels are limited to ${LABEL_MAX} characters.`);
+        const { token, hash } = createToken();
+        store.ensureUser(chatId);
+        const row = store.putToken({
+          hash,
+          chatId: String(chatId),
+          userId: String(msg.from.id),
+          userName: displayName(msg.from),
+          label: params || null,
+          createdAt: new Date().toISOString()
+        });
+        return telegram.send(chatId, [
+          `🔑 New API token ${tokenId(row)}${params ? ` — ${params}` : ''}:`,
+          token,
+          "It is shown only this once. Revoke it with /api revoke if it leaks."
+        ].join('\n'));
+      }
+
+      if (action === 'tokens') {
+        if (mine.length === 0) return telegram.send(chatId, `No API tokens in this chat.\n\n${API_USAGE}`);
+        return telegram.send(chatId, `🔑 Your API tokens (${mine.length}):\n\n${mine.map(tokenLine).join('\n')}`);
+      }
+
+      if (!params) return telegram.send(chatId, `❌ Which token? Give its ID from /api tokens, or "all".\n${API_USAGE}`);
+      const revoked = params.toLowerCase() === 'all' ? mine : mine.filter(token => tokenId(token) === params.toLowerCase());
+      if (revoked.length === 0) return telegram.send(chatId, `❌ No token with ID ${params}. See /api tokens.`);
+      store.transaction(() => revoked.forEach(token => store.removeToken(token.hash)));
+      return telegram.send(chatId, `🗑️ Revoked ${revoked.length} API token(s).`);
+    }
+  },
+  {
+    name: 'webhook',
+    args: [{ name: 'action', choices: ['info', 'set', 'test', 'off'] }, { name: 'url' }],
+    usage: 'info|set|test|off',
+    description: 'POST new mail to a URL',
+    async handler({ store, telegram, config }, { chatId, space, role, args }) {
+      const action = args.action || 'info';
+      const hook = store.ensureUser(space).webhook;
+      if (action !== 'info' && !roleAtLeast(role, 'admin')) {
+        return telegram.send(chatId, `🔒 /webhook ${action} needs the admin role; your role is ${role}.`);
+      }
+
+      if (action === 'info') {
+        if (!hook) return telegram.send(chatId, `No webhook set. New mail can be POSTed as signed JSON to a URL of yours.\n\n${WEBHOOK_USAGE}`);
+        return telegram.send(chatId, `🪝 New mail is POSTed to ${hook.url} (set ${hook.createdAt.slice(0, 10)}).\n\n${WEBHOOK_USAGE}`);
+      }
+
+      if (action === 'set') {
+        // the reply carries the signing secret
+        if (isGroup(chatId)) return telegram.send(chatId, '🔒 Set the webhook in a private chat with the bot: its signing secret would be shown to everyone here. To set one for a group\'s addresses, make it a workspace and /join it from there.');
+        if (!args.url) return telegram.send(chatId, `❌ Please give the URL.\n${WEBHOOK_USAGE}`);
+        const problem = await webhooks.urlError(args.url, config.webhookAllowPrivate);
+        if (problem) return telegram.send(chatId, `❌ Can't use that URL: ${problem}.`);
+        const secret = webhooks.createSecret();
+        store.updateUser(space, { webhook: { url: args.url, secret, createdAt: new Date().toISOString() } });
+        return telegram.send(chatId, [
+          `🪝 New mail is now POSTed to ${args.url}.`,
+          `Signing secret: ${secret}`,
+          'Each request carries X-Mailbot-Timestamp and X-Mailbot-Signature: sha256=HMAC-SHA256(secret, "<timestamp>.<body>") in hex.',
+          'Try it with /webhook test.'
+        ].join('\n'), { disable_web_page_preview: true });
+      }
+
+      if (!hook) return telegram.send(chatId, `ℹ️ No webhook set.\n${WEBHOOK_USAGE}`);
+
+      if (action === 'off') {
+        store.updateUser(space, { webhook: null });
+        return telegram.send(chatId, '🗑️ Webhook removed.');
+      }
+
+      const result = await webhooks.deliver(hook, 'ping', { chatId: String(space) }, { retry: false, allowPrivate: config.webhookAllowPrivate });
+      return telegram.send(chatId, result.ok
+        ? `✅ ${hook.url} answered ${result.status}.`
+        : `❌ The test delivery failed: ${result.error}.`);
+    }
+  }
+];
+
+module.exports = { commands };
@@ -0,0 +1,99 @@
+// src/commands/digest.js
+// /mode and /timezone: instant notifications or hourly/daily digests, per
+// chat or per address (see src/digest.js for how digests are scheduled).
+const {
+  MODES,
+  DEFAULT_DAILY_AT,
+  isTimezone,
+  parseTimeOfDay,
+  scheduleFor,
+  nextBoundary,
+  describeSchedule
+} = require('../digest');
+const { roleAtLeast } = require('../workspaces');
+
+const MODE_USAGE = [
+  'Usage:',
+  '/mode — show the current mode',
+  '/mode instant|hourly|daily [HH:MM] — for the whole chat',
+  '/mode <address> instant|hourly|daily [HH:MM]|default — for one address',
+  '',
+  `Daily digests go out at ${DEFAULT_DAILY_AT} unless you give a time, in the chat's /timezone.`
+].join('\n');
+
+// "Mon 09:00" in timeZone
+function localTime(at, timeZone) {
+  return new Intl.DateTimeFormat('en-GB', { timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).format(new Date(at));
+}
+
+function showMode({ store, telegram, digests }, { chatId, space }) {
+  const user = store.ensureUser(space);
+  const timeZone = digests.timezoneOf(user);
+  const schedule = scheduleFor(user);
+  const lines = [`🔔 Notifications: ${describeSchedule(schedule)}`, `Timezone: ${timeZone}`];
+  if (schedule.mode !== 'instant') lines.push(`Next digest: ${localTime(nextBoundary(schedule, timeZone, Date.now()), timeZone)}`);
+  const overrides = store.listAddresses(space).filter(address => address.notifyMode);
+  if (overrides.length) {
+    lines.push('', 'Addresses with their own mode:', ...overrides.map(address => `• ${address.email}: ${describeSchedule(scheduleFor(user, address))}`));
+  }
+  return telegram.send(chatId, `${lines.join('\n')}\n\n${MODE_USAGE}`);
+}
+
+// [mode, time?] -> { notifyMode, digestAt } or { error }
+function parseMode([mode, time, ...extra]) {
+  if (!MODES.includes(mode)) return { error: `Mode must be one of: ${MODES.join(', ')}` };
+  if (extra.length || (time && mode !== 'daily')) return { error: 'Too many arguments.' };
+  if (!time) return { notifyMode: mode, digestAt: null };
+  const digestAt = parseTimeOfDay(time);
+  if (!digestAt) return { error: 'Please give the time as HH:MM, e.g. 18:30.' };
+  return { notifyMode: mode, digestAt };
+}
+
+const commands = [
+  {
+    name: 'mode',
+    args: [{ name: 'params', rest: true }],
+    usage: '[address] instant|hourly|daily [HH:MM]',
+    description: 'notify at once or in hourly/daily digests',
+    handler(ctx, { chatId, space, role, args }) {
+      const { store, telegram } = ctx;
+      const words = (args.params || '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+      if (words.length === 0) return showMode(ctx, { chatId, space });
+      if (!roleAtLeast(role, 'admin')) return telegram.send(chatId, `🔒 Changing /mode needs the admin role; your role is ${role}.`);
+      store.ensureUser(space);
+
+      const email = words[0].includes('@') ? words.shift() : null;
+      if (email && !store.getAddress(space, email)) return telegram.send(chatId, `❌ Email not found: ${email}`);
+      if (email && words.length === 1 && words[0] === 'default') {
+        store.putAddress(space, email, { notifyMode: null, digestAt: null });
+        return telegram.send(chatId, `🔔 ${email} follows the chat again: ${describeSchedule(scheduleFor(store.getUser(space)))}.`);
+      }
+      const change = parseMode(words);
+      if (change.error) return telegram.send(chatId, `❌ ${change.error}\n\n${MODE_USAGE}`);
+      if (email) store.putAddress(space, email, change);
+      else store.updateUser(space, change);
+
+      const user = store.getUser(space);
+      const schedule = scheduleFor(user, email ? store.getAddress(space, email) : null);
+      const target = email || 'This chat';
+      if (schedule.mode === 'instant') return telegram.send(chatId, `🔔 ${target} is notified of each new mail at once. Mail already held for a digest follows within a minute.`);
+      return telegram.send(chatId, `📰 ${target} now gets digests ${describeSchedule(schedule)} (${ctx.digests.timezoneOf(user)}).`);
+    }
+  },
+  {
+    name: 'timezone',
+    args: [{ name: 'zone' }],
+    usage: '[Area/City]',
+    description: 'the timezone for daily digests',
+    handler({ store, telegram, digests }, { chatId, space, role, args }) {
+      const user = store.ensureUser(space);
+      if (!args.zone) return telegram.send(chatId, `🕰️ Timezone: ${digests.timezoneOf(user)}\nChange it with /timezone Area/City, e.g. /timezone Europe/Berlin.`);
+      if (!roleAtLeast(role, 'admin')) return telegram.send(chatId, `🔒 Changing /timezone needs the admin role; your role is ${role}.`);
+      if (!isTimezone(args.zone)) return telegram.send(chatId, `❌ Unknown timezone: ${args.zone}. Use an IANA name like Europe/Berlin or America/New_York.`);
+      store.updateUser(space, { timezone: args.zone });
+      return telegram.send(chatId, `🕰️ Timezone set to ${args.zone}. It is ${localTime(Date.now(), args.zone)} there.`);
+    }
+  }
+];
+
+module.exports = { commands };
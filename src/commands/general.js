@@ -0,0 +1,53 @@
+// src/commands/general.js
+// /start, /help and /cancel. The command listing is generated from the
+// registry, so a new command shows up here as soon as it is registered.
+const { usageOf } = require('../registry');
+const { preferencesFor, formatterFor } = require('../preferences');
+
+// In the chat's format; interval is its poll interval (ms)
+function helpText({ registry }, format, title, interval) {
+  const lines = [
+    `👋 ${format.heading(title)}`,
+    format.escape('Available commands:'),
+    ...registry.list().map(command => format.item(usageOf(command), command.description))
+  ];
+  if (format.style === 'rich') lines.push('', format.escape(`Bot checks automatically every ${interval / 1000} seconds.`));
+  return lines.join('\n');
+}
+
+function sendHelp(ctx, chatId) {
+  const { config, store, telegram, workspaces } = ctx;
+  store.ensureUser(chatId);
+  const home = store.getUser(workspaces.spaceFor(chatId));
+  const { interval } = preferencesFor(home, config);
+  const format = formatterFor(home, config);
+  let text = helpText(ctx, format, `Welcome — ${config.botName}`, interval);
+  if (config.contact) text += `\n\n${format.escape(`For info: ${config.contact}`)}`;
+  return telegram.send(chatId, text, format.parseMode ? { parse_mode: format.parseMode } : {});
+}
+
+const commands = [
+  {
+    name: 'start',
+    description: 'show this help message',
+    hidden: true,
+    open: true,
+    handler: (ctx, { chatId }) => sendHelp(ctx, chatId)
+  },
+  {
+    name: 'help',
+    description: 'show this help message',
+    open: true,
+    handler: (ctx, { chatId }) => sendHelp(ctx, chatId)
+  },
+  {
+    name: 'cancel',
+    description: 'abort a guided command',
+    handler: (ctx, { chatId }) => {
+      if (!ctx.flows.end(chatId)) return ctx.telegram.send(chatId, "ℹ️ Nothing to cancel.");
+      ctx.telegram.send(chatId, "✖️ Cancelled.");
+    }
+  }
+];
+
+module.exports = { commands };
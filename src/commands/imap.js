@@ -0,0 +1,94 @@
+// src/commands/imap.js
+// /addimap: a guided flow that asks for host, port, TLS, user and password,
+// tests the login and then tracks the mailbox.
+const { ownerFields, roleAtLeast } = require('../workspaces');
+const { quotaError } = require('../admin');
+
+const commands = [
+  {
+    name: 'addimap',
+    description: 'track a real IMAP mailbox (guided)',
+    role: 'admin',
+    handler(ctx, { chatId, space }) {
+      const { store, telegram, flows, secrets } = ctx;
+      store.ensureUser(space);
+      if (!secrets.isConfigured()) {
+        return telegram.send(chatId, "❌ IMAP mailboxes are disabled: the operator has not set DATA_ENCRYPTION_KEY.");
+      }
+      const overQuota = quotaError(ctx, space);
+      if (overQuota) return telegram.send(chatId, overQuota);
+      flows.start(chatId, 'addimap', 'host');
+      telegram.send(chatId, "📬 Add an IMAP mailbox (send /cancel to stop)\n\n1/5 IMAP server host? e.g. imap.gmail.com");
+    }
+  }
+];
+
+async function addimap({ store, telegram, flows, providers, secrets }, msg, flow, { chatId, space, role }) {
+  // someone else in the group may answer; only admins can finish the setup
+  if (!roleAtLeast(role, 'admin')) return;
+  const text = (msg.text || '').trim();
+  if (!text) return telegram.send(chatId, "❌ Please reply with text.");
+
+  switch (flow.step) {
+    case 'host':
+      if (!/^[a-z0-9.-]+$/i.test(text)) return telegram.send(chatId, "❌ That doesn't look like a host name. Try again, e.g. imap.gmail.com");
+      flow.data.host = text.toLowerCase();
+      flow.step = 'port';
+      return telegram.send(chatId, "2/5 Port? Send a number, or \"default\" for 993.");
+
+    case 'port': {
+      const port = text.toLowerCase() === 'default' ? 993 : parseInt(text, 10);
+      if (!(port > 0 && port < 65536)) return telegram.send(chatId, "❌ Please send a port number between 1 and 65535.");
+      flow.data.port = port;
+      flow.step = 'tls';
+      return telegram.send(chatId, "3/5 Use TLS? (yes/no)");
+    }
+
+    case 'tls':
+      if (!/^(y|yes|n|no)$/i.test(text)) return telegram.send(chatId, "❌ Please answer yes or no.");
+      flow.data.tls = /^y/i.test(text);
+      flow.step = 'user';
+      return telegram.send(chatId, "4/5 Username (usually the full email address)?");
+
+    case 'user':
+      flow.data.user = text;
+      flow.step = 'password';
+      return telegram.send(chatId, "5/5 App password? Your message will be deleted right after it is read.");
+
+    case 'password': {
+      // never leave the password in the chat history
+      telegram.deleteMessage(chatId, msg.message_id);
+      flows.end(chatId);
+
+      const account = { ...flow.data, password: text, mailbox: 'INBOX', catchAll: false };
+      const address = account.user.includes('@') ? account.user.toLowerCase() : `${account.user}@${account.host}`;
+      telegram.send(chatId, "🔌 Testing connection...");
+      let mails;
+      try {
+        mails = await providers.getProvider('imap').listMessages(address, account);
+      } catch (err) {
+        return telegram.send(chatId, `❌ Could not log in to ${account.host}: ${err.message}\nRun /addimap to try again.`);
+      }
+
+      const { catchAll, ...stored } = account;
+      store.transaction(() => {
+        store.putAddress(space, address, {
+          provider: 'imap',
+          imap: { ...stored, password: secrets.encrypt(account.password) },
+          ...ownerFields(msg.from)
+        });
+        // only mail arriving from now on should be announced
+        store.markSeen(space, address, mails.flatMap(mail => [mail.id, mail.messageId]));
+      });
+      return telegram.send(chatId, `✅ Now tracking IMAP mailbox: ${address} (${mails.length} existing message(s) skipped)`);
+    }
+
+    default:
+      flows.end(chatId);
+  }
+}
+
+module.exports = {
+  commands,
+  flows: { addimap }
+};
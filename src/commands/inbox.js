@@ -0,0 +1,265 @@
+// src/commands/inbox.js
+// /inbox: an inline-keyboard browser over tracked addresses and their mail.
+// Every step edits the same message instead of posting a new one.
+// callback_data must fit in 64 bytes, so addresses are named by their
+// position in the user's address list:
+//   ib:l:<page>              address list
+//   ib:a:<n>:<page>          messages of address n
+//   ib:m:<n>:<page>:<id>     one message (ib:r shows its full text)
+//   ib:f / ib:u / ib:d / ib:x  attachments, read toggle, delete?, delete
+const { messageToText, TELEGRAM_TEXT_LIMIT } = require('../mailText');
+const { extractVerification } = require('../otp');
+const { roleAtLeast } = require('../workspaces');
+const { formatterFor } = require('../preferences');
+
+const ADDRESSES_PER_PAGE = 8;
+const MESSAGES_PER_PAGE = 5;
+const PREVIEW_CHARS = 600;
+
+function truncate(text, max) {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  return clean.length > max ? `${clean.slice(0, max - 1)}…` : clean;
+}
+
+function pageCount(total, perPage) {
+  return Math.max(1, Math.ceil(total / perPage));
+}
+
+function clampPage(page, pages) {
+  return Math.min(Math.max(parseInt(page, 10) || 0, 0), pages - 1);
+}
+
+// ◀️ / ▶️ row, empty when everything fits on one page
+function pagerRow(page, pages, dataFor) {
+  const row = [];
+  if (page > 0) row.push({ text: '◀️ Prev', callback_data: dataFor(page - 1) });
+  if (page < pages - 1) row.push({ text: 'Next ▶️', callback_data: dataFor(page + 1) });
+  return row;
+}
+
+// Screens follow the chat's format; in MarkdownV2 all literal text is escaped
+function formatFor({ store, config }, space) {
+  return formatterFor(store.ensureUser(space), config);
+}
+
+function addressesScreen(ctx, space, page) {
+  const { store } = ctx;
+  const format = formatFor(ctx, space);
+  const emails = store.listEmails(space);
+  if (emails.length === 0) {
+    return { text: format.escape("No tracked emails. Create one with /new or track one with /add."), keyboard: [] };
+  }
+  const pages = pageCount(emails.length, ADDRESSES_PER_PAGE);
+  page = clampPage(page, pages);
+  const start = page * ADDRESSES_PER_PAGE;
+  const keyboard = emails.slice(start, start + ADDRESSES_PER_PAGE).map((email, i) => [
+    { text: email, callback_data: `ib:a:${start + i}:0` }
+  ]);
+  const pager = pagerRow(page, pages, p => `ib:l:${p}`);
+  if (pager.length) keyboard.push(pager);
+  const title = `📬 ${format.heading('Inbox')}${format.escape(` — pick an address (${emails.length})`)}`;
+  return { text: pages > 1 ? `${title}\n${format.escape(`Page ${page + 1}/${pages}`)}` : title, keyboard };
+}
+
+// Resolves the address named by a callback; null if the list has changed
+function addressAt({ store }, space, n) {
+  return store.listEmails(space)[parseInt(n, 10)] || null;
+}
+
+function backToAddresses(n) {
+  return { text: '⬅️ Addresses', callback_data: `ib:l:${Math.floor(n / ADDRESSES_PER_PAGE)}` };
+}
+
+function goneScreen(format) {
+  return { text: format.escape("❌ That address is no longer tracked."), keyboard: [[{ text: '⬅️ Addresses', callback_data: 'ib:l:0' }]] };
+}
+
+async function messagesScreen(ctx, space, n, page) {
+  const { store, mailbox } = ctx;
+  const format = formatFor(ctx, space);
+  const email = addressAt(ctx, space, n);
+  if (!email) return goneScreen(format);
+  n = parseInt(n, 10);
+
+  let mails;
+  try {
+    mails = await mailbox.fetchEmails(space, email);
+  } catch (err) {
+    return {
+      text: format.escape(`❌ Could not load mail for ${email}: ${err.message}`),
+      keyboard: [[{ text: '🔄 Retry', callback_data: `ib:a:${n}:${page}` }, backToAddresses(n)]]
+    };
+  }
+  mails = [...mails].sort((a, b) => (b.date ? b.date.getTime() : 0) - (a.date ? a.date.getTime() : 0));
+
+  const unread = mails.filter(mail => !store.isRead(space, email, mail.id)).length;
+  const pages = pageCount(mails.length, MESSAGES_PER_PAGE);
+  page = clampPage(page, pages);
+  const start = page * MESSAGES_PER_PAGE;
+  const keyboard = mails.slice(start, start + MESSAGES_PER_PAGE).map(mail => {
+    const marker = store.isRead(space, email, mail.id) ? '○' : '●';
+    return [{ text: `${marker} ${truncate(mail.subject || '(no subject)', 40)}`, callback_data: `ib:m:${n}:${page}:${mail.id}` }];
+  });
+  const pager = pagerRow(page, pages, p => `ib:a:${n}:${p}`);
+  if (pager.length) keyboard.push(pager);
+  keyboard.push([{ text: '🔄 Refresh', callback_data: `ib:a:${n}:${page}` }, backToAddresses(n)]);
+
+  const lines = [
+    `📬 ${format.heading(email)}`,
+    format.escape(mails.length ? `${mails.length} message(s), ${unread} unread` : 'No messages yet.')
+  ];
+  if (pages > 1) lines.push(format.escape(`Page ${page + 1}/${pages}`));
+  return { text: lines.join('\n'), keyboard };
+}
+
+async function messageScreen(ctx, space, n, page, id, { full = false } = {}) {
+  const { store, mailbox } = ctx;
+  const format = formatFor(ctx, space);
+  const email = addressAt(ctx, space, n);
+  if (!email) return goneScreen(format);
+  const back = { text: '⬅️ Back', callback_data: `ib:a:${n}:${page}` };
+
+  const message = await mailbox.fetchMessage(space, email, id);
+  if (!message) return { text: format.escape("❌ Message not found. It may have been deleted."), keyboard: [[back]] };
+
+  const header = [
+    `📨 ${format.heading(message.subject || '(no subject)')}`,
+    format.field('From', message.from || 'unknown'),
+    format.field('To', message.to),
+    message.date ? format.field('Date', message.date.toUTCString()) : null
+  ].filter(Boolean).join('\n');
+  const body = messageToText(message) || '(empty message)';
+  // leave room for the header and the "Full message" line
+  const room = TELEGRAM_TEXT_LIMIT - header.length - 200;
+  let shown = full ? body : truncate(body, PREVIEW_CHARS);
+  if (format.escape(shown).length > room) {
+    // escaping (MarkdownV2 most of all) can make the text much longer
+    while (format.escape(shown).length > room) shown = shown.slice(0, Math.floor(shown.length * 0.9));
+    shown = `${shown}…\n\nFull message: /read ${id}`;
+  }
+
+  const read = store.isRead(space, email, id);
+  const found = extractVerification(message, store.ensureUser(space).extractRules);
+  const keyboard = [];
+  const actions = [];
+  if (!full) actions.push({ text: '📖 Read', callback_data: `ib:r:${n}:${page}:${id}` });
+  actions.push({ text: '📎 Attachments', callback_data: `ib:f:${n}:${page}:${id}` });
+  keyboard.push(actions);
+  keyboard.push([
+    read
+      ? { text: '✉️ Mark unread', callback_data: `ib:u:${n}:${page}:${id}` }
+      : { text: '✅ Mark read', callback_data: `ib:u:${n}:${page}:${id}` },
+    { text: '🗑️ Delete', callback_data: `ib:d:${n}:${page}:${id}` }
+  ]);
+  if (found.code) keyboard.push([{ text: `📋 Copy OTP ${found.code}`, copy_text: { text: found.code } }]);
+  keyboard.push([back]);
+
+  return { text: `${header}\n\n${format.escape(shown)}`, keyboard };
+}
+
+function confirmDeleteScreen(ctx, space, n, page, id) {
+  const format = formatFor(ctx, space);
+  const email = addressAt(ctx, space, n);
+  if (!email) return goneScreen(format);
+  return {
+    text: format.escape(`🗑️ Delete message ${id} from ${email}?\nThis can't be undone.`),
+    keyboard: [[
+      { text: '🗑️ Yes, delete', callback_data: `ib:x:${n}:${page}:${id}` },
+      { text: 'Cancel', callback_data: `ib:m:${n}:${page}:${id}` }
+    ]]
+  };
+}
+
+function render(ctx, space, screen) {
+  const { parseMode } = formatFor(ctx, space);
+  const opts = {
+    disable_web_page_preview: true,
+    reply_markup: { inline_keyboard: screen.keyboard }
+  };
+  if (parseMode) opts.parse_mode = parseMode;
+  return opts;
+}
+
+// Callback handler for every ib:* button; returns a toast for some actions
+async function browse(ctx, query, arg, { chatId, space, role }) {
+  const { store, mailbox, notifier, telegram } = ctx;
+  const [view, n, page, ...idParts] = arg.split(':');
+  if ((view === 'd' || view === 'x') && !roleAtLeast(role, 'admin')) return "Only admins can delete mail here.";
+  const id = idParts.join(':');
+  let screen;
+  let notice = null;
+
+  switch (view) {
+    case 'l':
+      screen = addressesScreen(ctx, space, n);
+      break;
+    case 'a':
+      screen = await messagesScreen(ctx, space, n, page);
+      break;
+    case 'm':
+      screen = await messageScreen(ctx, space, n, page, id);
+      break;
+    case 'r':
+      screen = await messageScreen(ctx, space, n, page, id, { full: true });
+      break;
+    case 'u': {
+      const email = addressAt(ctx, space, n);
+      if (email) {
+        const read = !store.isRead(space, email, id);
+        store.markRead(space, email, id, read);
+        notice = read ? 'Marked as read' : 'Marked as unread';
+      }
+      screen = await messageScreen(ctx, space, n, page, id);
+      break;
+    }
+    case 'f': {
+      const email = addressAt(ctx, space, n);
+      if (!email) return "That address is no longer tracked.";
+      const message = await mailbox.fetchMessage(space, email, id);
+      const count = await notifier.forwardAttachments(space, email, { id, subject: message ? message.subject : '' }, chatId);
+      // the files arrive as new messages; the browser stays as it is
+      return count ? `Sent ${count} attachment(s)` : 'No attachments';
+    }
+    case 'd':
+      screen = confirmDeleteScreen(ctx, space, n, page, id);
+      break;
+    case 'x': {
+      const email = addressAt(ctx, space, n);
+      if (!email) {
+        screen = goneScreen(formatFor(ctx, space));
+        break;
+      }
+      try {
+        await mailbox.deleteMessage(space, email, id);
+        notice = 'Message deleted';
+      } catch (err) {
+        console.error(`deleteMessage(${email}, ${id}) error:`, err.message);
+        notice = `Could not delete: ${err.message}`;
+      }
+      screen = await messagesScreen(ctx, space, n, page);
+      break;
+    }
+    default:
+      return null;
+  }
+
+  await telegram.edit(chatId, query.message.message_id, screen.text, render(ctx, space, screen));
+  return notice;
+}
+
+const commands = [
+  {
+    name: 'inbox',
+    description: 'browse your addresses and mail',
+    handler(ctx, { chatId, space }) {
+      ctx.store.ensureUser(space);
+      const screen = addressesScreen(ctx, space, 0);
+      return ctx.telegram.send(chatId, screen.text, render(ctx, space, screen));
+    }
+  }
+];
+
+module.exports = {
+  commands,
+  callbacks: { ib: browse }
+};
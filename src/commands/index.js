@@ -0,0 +1,18 @@
+// src/commands/index.js
+// Command modules in help-listing order. Each exports { commands, flows?,
+// callbacks? }; see src/registry.js for the command shape.
+module.exports = [
+  require('./addresses'),
+  require('./transfer'),
+  require('./inbox'),
+  require('./reading'),
+  require('./rules'),
+  require('./digest'),
+  require('./settings'),
+  require('./imap'),
+  require('./outgoing'),
+  require('./workspace'),
+  require('./api'),
+  require('./admin'),
+  require('./general')
+];
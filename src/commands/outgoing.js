@@ -0,0 +1,193 @@
+// src/commands/outgoing.js
+// Composing, replying and per-address SMTP settings.
+const smtp = require('../smtp');
+const { roleAtLeast } = require('../workspaces');
+
+const SENT_LOG_LIMIT = 100;
+
+function noOutboundMessage(email) {
+  return `❌ ${email} cannot send mail: it has no outgoing SMTP configured.\n` +
+    `Disposable inboxes (like barid.site) are receive-only. Use /setsmtp ${email} if you own the mailbox.`;
+}
+
+// Draft is { from, to, subject, body, attachments, inReplyTo, references }
+function startCompose({ telegram, flows }, chatId, draft) {
+  flows.start(chatId, 'compose', 'body', { attachments: [], ...draft });
+  telegram.send(chatId, `✍️ Writing to ${draft.to}\nSubject: ${draft.subject}\n\nSend the body as your next message (typed or forwarded). /cancel to stop.`);
+}
+
+async function sendComposed({ store, telegram, mailbox }, { chatId, space }, draft) {
+  const settings = mailbox.outboundFor(space, draft.from);
+  if (!settings) return telegram.send(chatId, noOutboundMessage(draft.from));
+  try {
+    const info = await smtp.sendMail(settings, {
+      from: draft.from,
+      to: draft.to,
+      subject: draft.subject,
+      text: draft.body,
+      attachments: draft.attachments,
+      inReplyTo: draft.inReplyTo,
+      references: draft.references
+    });
+    const log = [...store.ensureUser(space).sentLog, {
+      at: new Date().toISOString(),
+      from: draft.from,
+      to: draft.to,
+      subject: draft.subject,
+      attachments: draft.attachments.length,
+      messageId: info.messageId || null
+    }];
+    store.updateUser(space, { sentLog: log.slice(-SENT_LOG_LIMIT) });
+    telegram.send(chatId, `📤 Sent to ${draft.to}` + (draft.attachments.length ? ` with ${draft.attachments.length} attachment(s)` : ''));
+  } catch (err) {
+    console.error(`sendComposed(${draft.from}) error:`, err.message);
+    telegram.send(chatId, `❌ Sending failed: ${err.message}`);
+  }
+}
+
+const commands = [
+  {
+    name: 'send',
+    args: [{ name: 'from', required: true }, { name: 'to', required: true }, { name: 'subject', required: true, rest: true }],
+    description: 'compose an email',
+    role: 'admin',
+    handler(ctx, { chatId, space, args }) {
+      const { store, telegram, mailbox } = ctx;
+      store.ensureUser(space);
+      const { from, to, subject } = args;
+      if (!store.getAddress(space, from)) return telegram.send(chatId, `❌ Not one of your tracked emails: ${from}`);
+      if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(to)) return telegram.send(chatId, `❌ Invalid recipient: ${to}`);
+      if (!mailbox.outboundFor(space, from)) return telegram.send(chatId, noOutboundMessage(from));
+      startCompose(ctx, chatId, { from, to, subject });
+    }
+  },
+  {
+    name: 'done',
+    description: 'send the email being composed',
+    role: 'admin',
+    async handler(ctx, { chatId, space }) {
+      const flow = ctx.flows.get(chatId);
+      if (!flow || flow.name !== 'compose') return ctx.telegram.send(chatId, "ℹ️ Nothing to send.");
+      if (flow.step !== 'attachments') return ctx.telegram.send(chatId, "❌ Please send the body first.");
+      ctx.flows.end(chatId);
+      await sendComposed(ctx, { chatId, space }, flow.data);
+    }
+  },
+  {
+    name: 'setsmtp',
+    args: [{ name: 'email', required: true }],
+    description: 'configure outgoing mail for an address',
+    role: 'admin',
+    handler({ store, telegram, flows, secrets }, { chatId, space, args }) {
+      store.ensureUser(space);
+      const { email } = args;
+      if (!store.getAddress(space, email)) return telegram.send(chatId, `❌ Not one of your tracked emails: ${email}`);
+      if (!secrets.isConfigured()) {
+        return telegram.send(chatId, "❌ SMTP settings are disabled: the operator has not set DATA_ENCRYPTION_KEY.");
+      }
+      flows.start(chatId, 'setsmtp', 'host', { email });
+      telegram.send(chatId, `📮 Outgoing mail for ${email} (send /cancel to stop)\n\n1/4 SMTP server host? e.g. smtp.gmail.com`);
+    }
+  },
+  {
+    name: 'sent',
+    description: 'show recently sent emails',
+    handler({ store, telegram }, { chatId, space }) {
+      const log = store.ensureUser(space).sentLog;
+      if (log.length === 0) return telegram.send(chatId, "No sent emails.");
+      const listing = log.slice(-10).reverse().map(e => `${e.at.slice(0, 16).replace('T', ' ')} ${e.from} → ${e.to}\n   ${e.subject}`);
+      telegram.send(chatId, `📤 Sent emails (${log.length}):\n\n${listing.join('\n')}`);
+    }
+  }
+];
+
+async function compose({ telegram }, msg, flow, { chatId, role }) {
+  if (!roleAtLeast(role, 'admin')) return;
+  const file = msg.document
+    ? { fileId: msg.document.file_id, filename: msg.document.file_name || 'file', contentType: msg.document.mime_type }
+    : msg.photo
+      ? { fileId: msg.photo[msg.photo.length - 1].file_id, filename: 'photo.jpg', contentType: 'image/jpeg' }
+      : null;
+
+  if (flow.step === 'body') {
+    const body = msg.text || msg.caption || '';
+    if (!body && !file) return telegram.send(chatId, "❌ Please send the body as text.");
+    flow.data.body = body;
+    flow.step = 'attachments';
+    if (!file) return telegram.send(chatId, "📝 Body saved. Send files to attach, /done to send or /cancel to discard.");
+  } else if (!file) {
+    return telegram.send(chatId, "ℹ️ Send files to attach, /done to send or /cancel to discard.");
+  }
+
+  const content = await telegram.downloadFile(file.fileId);
+  flow.data.attachments.push({ filename: file.filename, contentType: file.contentType, content });
+  telegram.send(chatId, `📎 ${flow.data.attachments.length} attachment(s). Send more files, /done to send or /cancel to discard.`);
+}
+
+async function setsmtp({ store, telegram, flows, secrets }, msg, flow, { chatId, space, role }) {
+  if (!roleAtLeast(role, 'admin')) return;
+  const text = (msg.text || '').trim();
+  if (!text) return telegram.send(chatId, "❌ Please reply with text.");
+
+  switch (flow.step) {
+    case 'host':
+      if (!/^[a-z0-9.-]+$/i.test(text)) return telegram.send(chatId, "❌ That doesn't look like a host name. Try again, e.g. smtp.gmail.com");
+      flow.data.host = text.toLowerCase();
+      flow.step = 'port';
+      return telegram.send(chatId, "2/4 Port? Send a number, or \"default\" for 587 (465 uses implicit TLS).");
+
+    case 'port': {
+      const port = text.toLowerCase() === 'default' ? 587 : parseInt(text, 10);
+      if (!(port > 0 && port < 65536)) return telegram.send(chatId, "❌ Please send a port number between 1 and 65535.");
+      flow.data.port = port;
+      flow.step = 'user';
+      return telegram.send(chatId, "3/4 Username?");
+    }
+
+    case 'user':
+      flow.data.user = text;
+      flow.step = 'password';
+      return telegram.send(chatId, "4/4 Password? Your message will be deleted right after it is read.");
+
+    case 'password': {
+      telegram.deleteMessage(chatId, msg.message_id);
+      flows.end(chatId);
+      const { email, host, port, user } = flow.data;
+      if (!store.getAddress(space, email)) return telegram.send(chatId, `❌ No longer tracking: ${email}`);
+      store.putAddress(space, email, {
+        smtp: { host, port, secure: port === 465, user, password: secrets.encrypt(text) }
+      });
+      return telegram.send(chatId, `✅ Outgoing mail configured for ${email}`);
+    }
+
+    default:
+      flows.end(chatId);
+  }
+}
+
+// ↩️ Reply button under a notification
+async function reply(ctx, query, id, { chatId, space, role }) {
+  const { store, mailbox } = ctx;
+  if (!roleAtLeast(role, 'admin')) return "Only admins can send mail here.";
+  store.ensureUser(space);
+  const owner = store.findSeenAddress(space, id);
+  if (!owner) return "❌ That message is no longer tracked.";
+  // toasts stay short; /send explains the rest
+  if (!mailbox.outboundFor(space, owner)) return `❌ ${owner} cannot send mail: it has no outgoing SMTP configured.`;
+  const original = await mailbox.fetchMessage(space, owner, id);
+  if (!original) return "❌ Could not load the original message.";
+  const subject = /^re:/i.test(original.subject) ? original.subject : `Re: ${original.subject}`;
+  startCompose(ctx, chatId, {
+    from: owner,
+    to: smtp.extractAddress(original.from),
+    subject,
+    inReplyTo: original.messageId || undefined,
+    references: original.messageId || undefined
+  });
+}
+
+module.exports = {
+  commands,
+  flows: { compose, setsmtp },
+  callbacks: { reply }
+};
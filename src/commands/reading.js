@@ -0,0 +1,135 @@
+// src/commands/reading.js
+// Reading full messages, searching the archive of received mail and
+// managing per-sender code extraction rules.
+const { messageToText, buildEml, safeFilename } = require('../mailText');
+const { archivedMessage, parseSearch, searchArchive } = require('../archive');
+const { roleAtLeast } = require('../workspaces');
+const { patternError } = require('../userRegex');
+
+const OTPRULE_USAGE = "Usage:\n/otprule add <sender> <regex>\n/otprule list\n/otprule delete <number>";
+const SEARCH_USAGE = 'Usage: /search <words> [from:<sender>] [subject:<text>] [to:<address>] [after:<date|age>] [before:<date|age>]\nDates look like 2026-10-01, ages like 7d.';
+// results shown per search, newest first
+const SEARCH_LIMIT = 10;
+
+function truncate(text, max) {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  return clean.length > max ? `${clean.slice(0, max - 1)}…` : clean;
+}
+
+// Header and readable body of a full message, in as many messages as it takes
+function sendFullMessage(telegram, chatId, message, note = null) {
+  const header = [
+    note,
+    `📨 ${message.subject || '(no subject)'}`,
+    `From: ${message.from || 'unknown'}`,
+    `To: ${message.to}`,
+    message.date ? `Date: ${message.date.toUTCString()}` : null
+  ].filter(Boolean).join('\n');
+  const body = messageToText(message) || '(empty message)';
+  return telegram.sendLong(chatId, `${header}\n\n${body}`, { disable_web_page_preview: true });
+}
+
+function archiveNote(row) {
+  return `📦 Archived copy, received ${row.receivedAt.slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+// Callback for a /search result: ar:<ref>
+async function openArchived({ store, telegram }, query, ref, { chatId, space }) {
+  const row = store.getArchived(space, ref);
+  if (!row) return "That mail is no longer in the archive.";
+  await sendFullMessage(telegram, chatId, archivedMessage(row), archiveNote(row));
+  return null;
+}
+
+const commands = [
+  {
+    name: 'read',
+    args: [{ name: 'id', required: true }, { name: 'format', choices: ['eml', 'html'] }],
+    usage: '<id> [eml|html]',
+    description: 'show a full message',
+    async handler({ store, telegram, mailbox }, { chatId, space, args }) {
+      store.ensureUser(space);
+      const { id, format } = args;
+      let message = await mailbox.findMessage(space, id);
+      // the provider may have dropped it; the archive still has a copy
+      const archived = message ? null : store.findArchived(space, id);
+      if (archived) message = archivedMessage(archived);
+      if (!message) return telegram.send(chatId, `❌ Message not found in your tracked emails: ${id}`);
+
+      const name = safeFilename(message.subject, id);
+      if (format === 'eml') {
+        const eml = await buildEml(message);
+        return telegram.sendDocument(chatId, eml, `${name}.eml`, 'message/rfc822', { caption: `📄 ${message.subject || '(no subject)'}` });
+      }
+      if (format === 'html') {
+        if (!message.html) return telegram.send(chatId, "ℹ️ This message has no HTML body.");
+        return telegram.sendDocument(chatId, Buffer.from(message.html, 'utf8'), `${name}.html`, 'text/html', { caption: `🌐 ${message.subject || '(no subject)'}` });
+      }
+      await sendFullMessage(telegram, chatId, message, archived ? archiveNote(archived) : null);
+    }
+  },
+  {
+    name: 'search',
+    args: [{ name: 'query', rest: true }],
+    usage: '<words> [from:] [subject:] [to:] [after:] [before:]',
+    description: 'search received mail, even mail the provider dropped',
+    handler({ store, telegram, config }, { chatId, space, args }) {
+      if (!config.archiveRetention) return telegram.send(chatId, "ℹ️ The mail archive is turned off on this bot, so there is nothing to search.");
+      const query = parseSearch(args.query);
+      if (query.error) return telegram.send(chatId, `❌ ${query.error}\n${SEARCH_USAGE}`);
+      const results = searchArchive(store.listArchived(space), query);
+      if (results.length === 0) return telegram.send(chatId, `🔎 No archived mail matches "${args.query.trim()}".`);
+
+      const shown = results.slice(0, SEARCH_LIMIT);
+      const lines = shown.map((row, i) => {
+        const when = (row.date || row.receivedAt).slice(0, 10);
+        return `${i + 1}. ${when} · ${row.from || 'unknown'} — ${truncate(row.subject || '(no subject)', 60)} (${row.email})`;
+      });
+      let text = `🔎 ${results.length} result(s) for "${args.query.trim()}":\n\n${lines.join('\n')}`;
+      if (results.length > shown.length) text += `\n\nShowing the newest ${shown.length}; narrow it down with from:, subject:, to:, after: or before:.`;
+      const keyboard = shown.map((row, i) => [{ text: `${i + 1}. ${truncate(row.subject || '(no subject)', 40)}`, callback_data: `ar:${row.ref}` }]);
+      return telegram.send(chatId, text, { reply_markup: { inline_keyboard: keyboard } });
+    }
+  },
+  {
+    name: 'otprule',
+    args: [{ name: 'action', choices: ['add', 'list', 'delete'] }, { name: 'params', rest: true }],
+    usage: 'add|list|delete',
+    description: 'custom code extraction per sender',
+    handler({ store, telegram }, { chatId, space, role, args }) {
+      const rules = store.ensureUser(space).extractRules;
+      const action = args.action || 'list';
+      const params = args.params || '';
+      if (action !== 'list' && !roleAtLeast(role, 'admin')) {
+        return telegram.send(chatId, `🔒 /otprule ${action} needs the admin role; your role is ${role}.`);
+      }
+
+      if (action === 'list') {
+        if (rules.length === 0) return telegram.send(chatId, `No extraction rules.\n\n${OTPRULE_USAGE}`);
+        const listing = rules.map((r, i) => `${i + 1}. ${r.sender} → ${r.pattern}`).join('\n');
+        return telegram.send(chatId, `🧩 Extraction rules (${rules.length}):\n\n${listing}`);
+      }
+
+      if (action === 'add') {
+        const match = /^(\S+)\s+([\s\S]+)$/.exec(params);
+        if (!match) return telegram.send(chatId, `❌ Please provide a sender and a regex.\n${OTPRULE_USAGE}`);
+        const [, sender, pattern] = match;
+        const error = patternError(pattern);
+        if (error) return telegram.send(chatId, `❌ Invalid regex: ${error}`);
+        store.updateUser(space, { extractRules: [...rules, { sender, pattern }] });
+        return telegram.send(chatId, `✅ Rule added for ${sender}. The first capture group (or whole match) is used as the code.`);
+      }
+
+      const index = parseInt(params, 10) - 1;
+      if (isNaN(index) || !rules[index]) return telegram.send(chatId, `❌ Rule not found.\n${OTPRULE_USAGE}`);
+      const removed = rules[index];
+      store.updateUser(space, { extractRules: rules.filter((r, i) => i !== index) });
+      telegram.send(chatId, `🗑️ Removed rule for ${removed.sender}`);
+    }
+  }
+];
+
+module.exports = {
+  commands,
+  callbacks: { ar: openArchived }
+};
@@ -0,0 +1,98 @@
+// src/commands/rules.js
+// /rules: per-chat filters that mute, tag, pin or forward notifications
+// (see src/rules.js for the syntax and how rules combine).
+const { parseRule, describeRule, evaluateRules, describeOutcome } = require('../rules');
+const { roleAtLeast } = require('../workspaces');
+
+const MAX_RULES = 50;
+const RULES_USAGE = [
+  'Usage:',
+  '/rules add <conditions> -> <action>',
+  '/rules list',
+  '/rules delete <number>',
+  '/rules test <message-id>',
+  '',
+  'Conditions: from:text subject:"some text" address:you@domain (use /regex/ for a regex)',
+  'Actions: mute, silent, pin, tag:<name>, forward:<chat id>',
+  'Example: /rules add from:newsletter -> mute'
+].join('\n');
+
+// Forwards may only go where the requester (a Telegram user) is: their
+// private chat with the bot, a chat of this workspace, or a group they are
+// a member of. Returns what's wrong, or null.
+async function forwardError({ store, workspaces, telegram }, { space, user }, target) {
+  if (!store.getUser(target)) return `Chat ${target} hasn't used this bot yet. Send /start there first.`;
+  if (target === String(user.id) || String(workspaces.spaceFor(target)) === String(space)) return null;
+  if (await telegram.isMember(target, user.id)) return null;
+  return `You can only forward to chats you're in: your private chat with the bot, chats of this workspace, or groups you're a member of (and the bot too). ${target} isn't one of them.`;
+}
+
+function listing(rules) {
+  return rules.map((rule, i) => `${i + 1}. ${describeRule(rule)}`).join('\n');
+}
+
+async function testRules({ store, telegram, mailbox }, { chatId, space }, rules, id) {
+  if (!id) return telegram.send(chatId, `❌ Please give a message ID.\n${RULES_USAGE}`);
+  const message = await mailbox.findMessage(space, id);
+  if (!message) return telegram.send(chatId, "❌ Message not found. Use the ID from a notification or /inbox.");
+  const address = store.findSeenAddress(space, id) || message.to;
+  const outcome = evaluateRules(rules, { from: message.from, subject: message.subject, address });
+  const lines = [
+    `🧪 Rules for message ${id}`,
+    `From: ${message.from || 'unknown'}`,
+    `Subject: ${message.subject || '(no subject)'}`,
+    `Address: ${address}`,
+    ''
+  ];
+  if (outcome.matched.length) {
+    lines.push('Matching rules:', ...outcome.matched.map(i => `${i + 1}. ${describeRule(rules[i])}`), '');
+  }
+  lines.push(`Result: ${describeOutcome(outcome)}`);
+  return telegram.send(chatId, lines.join('\n'));
+}
+
+const commands = [
+  {
+    name: 'rules',
+    args: [{ name: 'action', choices: ['add', 'list', 'delete', 'test'] }, { name: 'params', rest: true }],
+    usage: 'add|list|delete|test',
+    description: 'mute, tag, pin or forward notifications',
+    async handler(ctx, { chatId, space, role, msg, args }) {
+      const { store, telegram } = ctx;
+      const rules = store.ensureUser(space).notifyRules || [];
+      const action = args.action || 'list';
+      const params = (args.params || '').trim();
+      if ((action === 'add' || action === 'delete') && !roleAtLeast(role, 'admin')) {
+        return telegram.send(chatId, `🔒 /rules ${action} needs the admin role; your role is ${role}.`);
+      }
+
+      if (action === 'list') {
+        if (rules.length === 0) return telegram.send(chatId, `No notification rules.\n\n${RULES_USAGE}`);
+        return telegram.send(chatId, `🚦 Notification rules (${rules.length}):\n\n${listing(rules)}\n\nEvery matching rule applies.`);
+      }
+
+      if (action === 'add') {
+        if (rules.length >= MAX_RULES) return telegram.send(chatId, `❌ You already have ${MAX_RULES} rules. Delete some with /rules delete.`);
+        const { rule, error } = parseRule(params);
+        if (error) return telegram.send(chatId, `❌ ${error}\n\n${RULES_USAGE}`);
+        // so rules can't push mail into strangers' chats
+        const problem = rule.action.type === 'forward' ? await forwardError(ctx, { space, user: msg.from }, rule.action.value) : null;
+        if (problem) return telegram.send(chatId, `❌ ${problem}`);
+        store.updateUser(space, { notifyRules: [...rules, rule] });
+        return telegram.send(chatId, `✅ Rule ${rules.length + 1} added: ${describeRule(rule)}`);
+      }
+
+      if (action === 'test') return testRules(ctx, { chatId, space }, rules, params);
+
+      const index = parseInt(params, 10) - 1;
+      if (isNaN(index) || !rules[index]) return telegram.send(chatId, `❌ Rule not found.\n${RULES_USAGE}`);
+      store.updateUser(space, { notifyRules: rules.filter((r, i) => i !== index) });
+      return telegram.send(chatId, `🗑️ Removed rule ${index + 1}: ${describeRule(rules[index])}`);
+    }
+  }
+];
+
+module.exports = {
+  commands,
+  forwardError
+};
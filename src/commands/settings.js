@@ -0,0 +1,128 @@
+// src/commands/settings.js
+// /settings: an inline menu over the chat's preferences (src/preferences.js).
+// Every step edits the same message. callback_data:
+//   st:m                 the overview
+//   st:k:<key>           the choices for one setting
+//   st:s:<key>:<value>   pick a value ("default" forgets the chat's own)
+const {
+  KEYS,
+  preferencesFor,
+  describePreference,
+  parsePreference,
+  choicesFor
+} = require('../preferences');
+const { roleAtLeast } = require('../workspaces');
+
+const LABELS = {
+  interval: '⏱️ Poll interval',
+  preview: '👁️ Preview',
+  format: '🎨 Format',
+  quiet: '🌙 Quiet hours',
+  language: '🌐 Language',
+  attachments: '📎 Attachments'
+};
+const CHOICES_PER_ROW = 3;
+
+function rows(buttons, size) {
+  const grouped = [];
+  for (let i = 0; i < buttons.length; i += size) grouped.push(buttons.slice(i, i + size));
+  return grouped;
+}
+
+function overviewScreen({ store, config }, space) {
+  const prefs = preferencesFor(store.ensureUser(space), config);
+  const lines = KEYS.map(key => `${LABELS[key]}: ${describePreference(key, prefs[key])}`);
+  return {
+    text: `⚙️ Settings\n\n${lines.join('\n')}\n\nTap one to change it, or send /settings <setting> <value>.`,
+    keyboard: rows(KEYS.map(key => ({ text: LABELS[key], callback_data: `st:k:${key}` })), 2)
+  };
+}
+
+function keyScreen({ store, config, digests }, space, key) {
+  const user = store.ensureUser(space);
+  const prefs = preferencesFor(user, config);
+  const current = JSON.stringify(prefs[key]);
+  const buttons = choicesFor(key, config).map(text => {
+    const { value } = parsePreference(key, text, config);
+    const label = describePreference(key, value);
+    return { text: JSON.stringify(value) === current ? `✅ ${label}` : label, callback_data: `st:s:${key}:${text}` };
+  });
+  const lines = [`${LABELS[key]}: ${describePreference(key, prefs[key])}`];
+  if (key === 'interval') lines.push(`Between ${describePreference(key, config.pollIntervalMin)} and ${describePreference(key, config.pollIntervalMax)}.`);
+  if (key === 'quiet') lines.push(`Notifications arrive without a sound in these hours (${digests.timezoneOf(user)}, see /timezone).`);
+  lines.push(`Pick one, or send /settings ${key} <value>.`);
+  return {
+    text: lines.join('\n'),
+    keyboard: [
+      ...rows(buttons, CHOICES_PER_ROW),
+      [{ text: '↩️ Default', callback_data: `st:s:${key}:default` }, { text: '◀️ Back', callback_data: 'st:m' }]
+    ]
+  };
+}
+
+function render(screen) {
+  return { reply_markup: { inline_keyboard: screen.keyboard } };
+}
+
+// Stores value (undefined: back to the default); returns the new effective value
+function save({ store, config }, space, key, value) {
+  const preferences = { ...(store.ensureUser(space).preferences || {}) };
+  if (value === undefined) delete preferences[key];
+  else preferences[key] = value;
+  store.updateUser(space, { preferences });
+  return preferencesFor(store.getUser(space), config)[key];
+}
+
+// Callback handler for every st:* button; returns a toast when a value changed
+async function menu(ctx, query, arg, { chatId, space, role }) {
+  const [view, key, ...valueParts] = arg.split(':');
+  if (view !== 'm' && !KEYS.includes(key)) return null;
+  let screen;
+  let notice = null;
+
+  if (view === 'm') {
+    screen = overviewScreen(ctx, space);
+  } else if (view === 'k') {
+    screen = keyScreen(ctx, space, key);
+  } else if (view === 's') {
+    if (!roleAtLeast(role, 'admin')) return 'Only admins can change settings here.';
+    const { value, error } = parsePreference(key, valueParts.join(':'), ctx.config);
+    if (error) return error;
+    notice = `${LABELS[key]}: ${describePreference(key, save(ctx, space, key, value))}`;
+    screen = overviewScreen(ctx, space);
+  } else {
+    return null;
+  }
+
+  await ctx.telegram.edit(chatId, query.message.message_id, screen.text, render(screen));
+  return notice;
+}
+
+const commands = [
+  {
+    name: 'settings',
+    args: [{ name: 'key', choices: KEYS }, { name: 'value', rest: true }],
+    usage: '[setting value]',
+    description: 'poll interval, format, quiet hours and more',
+    handler(ctx, { chatId, space, role, args }) {
+      const { telegram, config } = ctx;
+      if (!args.key) {
+        const screen = overviewScreen(ctx, space);
+        return telegram.send(chatId, screen.text, render(screen));
+      }
+      if (!args.value) {
+        const screen = keyScreen(ctx, space, args.key);
+        return telegram.send(chatId, screen.text, render(screen));
+      }
+      if (!roleAtLeast(role, 'admin')) return telegram.send(chatId, `🔒 Changing /settings needs the admin role; your role is ${role}.`);
+      const { value, error } = parsePreference(args.key, args.value, config);
+      if (error) return telegram.send(chatId, `❌ ${error}`);
+      return telegram.send(chatId, `✅ ${LABELS[args.key]}: ${describePreference(args.key, save(ctx, space, args.key, value))}`);
+    }
+  }
+];
+
+module.exports = {
+  commands,
+  callbacks: { st: menu }
+};
@@ -0,0 +1,155 @@
+// src/commands/transfer.js
+// /export and /import: address lists as txt, csv or json documents (see
+// src/transfer.js for the formats). A json export restores a user's whole
+// state on another deployment.
+const { FORMATS, exportFile, parseImport } = require('../transfer');
+const { ownerFields, roleAtLeast } = require('../workspaces');
+const { quotaFor, quotaLeft } = require('../admin');
+const { describeRule } = require('../rules');
+const { forwardError } = require('./rules');
+
+// Telegram lets bots download files up to 20 MB; lists are far smaller
+const IMPORT_MAX_BYTES = 5 * 1024 * 1024;
+// problems listed one by one in the report; the rest are only counted
+const REPORT_MAX_LINES = 30;
+
+function listed(lines) {
+  const shown = lines.slice(0, REPORT_MAX_LINES);
+  if (lines.length > shown.length) shown.push(`…and ${lines.length - shown.length} more`);
+  return shown.join('\n');
+}
+
+// Adds the parsed entries that aren't tracked yet, with their seen mail,
+// plus OTP and notification rules the user doesn't have; sends the report.
+// Entries past the chat's address quota are skipped, and so are forward
+// rules to chats /rules add would refuse.
+async function applyImport(ctx, { chatId, space, user }, parsed, { source, showWhere }) {
+  const { store, telegram, providers } = ctx;
+  const owner = ownerFields(user);
+  const existing = [];
+  const overQuota = [];
+  const refusedRules = [];
+  const allowedRules = [];
+  for (const rule of parsed.notifyRules) {
+    const problem = rule.action.type === 'forward' ? await forwardError(ctx, { space, user }, rule.action.value) : null;
+    if (problem) refusedRules.push({ where: 'notifyRules', message: `${describeRule(rule)}: ${problem}` });
+    else allowedRules.push(rule);
+  }
+  let left = quotaLeft(ctx, space);
+  let imported = 0;
+  let restoredSeen = 0;
+  let restoredRules = 0;
+  let restoredNotifyRules = 0;
+  store.transaction(() => {
+    for (const entry of parsed.entries) {
+      if (store.getAddress(space, entry.email)) {
+        existing.push(entry);
+        continue;
+      }
+      if (left <= 0) {
+        overQuota.push({ where: entry.where, message: `over your quota of ${quotaFor(ctx, space)} addresses (${entry.email})` });
+        continue;
+      }
+      left--;
+      store.putAddress(space, entry.email, { provider: providers.DEFAULT_PROVIDER, ...owner, ...entry.fields, status: 'ok' });
+      store.restoreSeen(space, entry.email, entry.seen);
+      restoredSeen += entry.seen.length;
+      imported++;
+    }
+    const rules = store.ensureUser(space).extractRules || [];
+    const added = parsed.rules.filter(rule => !rules.some(r => r.sender === rule.sender && r.pattern === rule.pattern));
+    if (added.length) store.updateUser(space, { extractRules: [...rules, ...added.map(({ sender, pattern }) => ({ sender, pattern }))] });
+    restoredRules = added.length;
+
+    const notifyRules = store.ensureUser(space).notifyRules || [];
+    const known = new Set(notifyRules.map(rule => JSON.stringify(rule)));
+    const addedNotify = allowedRules.filter(rule => !known.has(JSON.stringify(rule)));
+    if (addedNotify.length) store.updateUser(space, { notifyRules: [...notifyRules, ...addedNotify] });
+    restoredNotifyRules = addedNotify.length;
+  });
+
+  let text = `✅ Imported ${imported} new email(s)${source ? ` from ${source}` : ''}. Total tracked: ${store.listEmails(space).length}`;
+  if (restoredSeen || restoredRules || restoredNotifyRules) {
+    text += `\n↩️ Restored ${restoredSeen} seen message(s), ${restoredRules} OTP rule(s) and ${restoredNotifyRules} notification rule(s).`;
+  }
+  if (existing.length) {
+    text += `\nℹ️ ${existing.length} already tracked:\n${listed(existing.map(e => (showWhere ? `${e.where}: ${e.email}` : e.email)))}`;
+  }
+  const skipped = [...parsed.errors, ...overQuota, ...refusedRules];
+  if (skipped.length) {
+    text += `\n⚠️ Skipped ${skipped.length}:\n${listed(skipped.map(e => (showWhere ? `${e.where}: ${e.message}` : e.message)))}`;
+  }
+  return telegram.sendLong(chatId, text);
+}
+
+async function importDocument(ctx, target, document) {
+  const { chatId } = target;
+  const { telegram, providers } = ctx;
+  const name = document.file_name || 'file';
+  if (document.file_size > IMPORT_MAX_BYTES) {
+    return telegram.send(chatId, `❌ ${name} is too large to import (limit ${IMPORT_MAX_BYTES / 1024 / 1024} MB).`);
+  }
+  const content = await telegram.downloadFile(document.file_id);
+  const text = content.toString('utf8').replace(/^\uFEFF/, '');
+  const parsed = parseImport(text, name, providers.listProviders().map(p => p.name));
+  if (parsed.error) return telegram.send(chatId, `❌ Could not import ${name}: ${parsed.error}`);
+  if (parsed.entries.length === 0 && parsed.errors.length === 0) return telegram.send(chatId, `❌ ${name} has no addresses in it.`);
+  return applyImport(ctx, target, parsed, { source: name, showWhere: true });
+}
+
+// Flow started by a bare /import: waits for the file
+async function importFlow(ctx, msg, flow, { chatId, space, role }) {
+  if (!roleAtLeast(role, 'admin')) return;
+  if (!msg.document) return ctx.telegram.send(chatId, "❌ Please send the list as a file (document), or /cancel.");
+  ctx.flows.end(chatId);
+  return importDocument(ctx, { chatId, space, user: msg.from }, msg.document);
+}
+
+const commands = [
+  {
+    name: 'export',
+    args: [{ name: 'format', choices: FORMATS }],
+    description: 'download your addresses (json includes seen mail, for /import elsewhere)',
+    handler({ store, telegram }, { chatId, space, args }) {
+      store.ensureUser(space);
+      const format = args.format || 'txt';
+      const count = store.listEmails(space).length;
+      if (count === 0) return telegram.send(chatId, "No emails to export.");
+      const file = exportFile(store, space, format);
+      let caption = `📤 ${count} email(s) as ${format.toUpperCase()}`;
+      if (format === 'json' && store.listAddresses(space).some(a => a.imap || a.smtp)) {
+        caption += "\nIMAP/SMTP logins are not included; add them again with /addimap and /setsmtp.";
+      }
+      return telegram.sendDocument(chatId, Buffer.from(file.content, 'utf8'), file.name, file.type, { caption });
+    }
+  },
+  {
+    name: 'import',
+    args: [{ name: 'emails', rest: true }],
+    usage: '[email1,email2,...]',
+    description: 'import emails, or send a txt/csv/json file',
+    role: 'admin',
+    handler(ctx, { chatId, space, msg, args }) {
+      const { store, telegram, flows, providers } = ctx;
+      store.ensureUser(space);
+      const target = { chatId, space, user: msg.from };
+      // a file sent with /import as its caption
+      if (msg.document) return importDocument(ctx, target, msg.document);
+      if (!args.emails) {
+        flows.start(chatId, 'import', 'file');
+        return telegram.send(chatId, "📥 Send the file to import (send /cancel to stop):\n• .txt with one address per line\n• .csv with an email column (provider, label, created_at, expires_at are optional)\n• .json from /export json, to restore everything");
+      }
+      const list = args.emails.split(',').map(e => e.trim()).filter(Boolean).join('\n');
+      const parsed = parseImport(list, 'list.txt', providers.listProviders().map(p => p.name));
+      if (parsed.entries.length === 0) {
+        return telegram.send(chatId, "❌ Please provide valid emails.\nUsage: /import email1@domain.com,email2@domain.com");
+      }
+      return applyImport(ctx, target, parsed, { showWhere: false });
+    }
+  }
+];
+
+module.exports = {
+  commands,
+  flows: { import: importFlow }
+};
@@ -0,0 +1,113 @@
+// src/commands/workspace.js
+// /workspace and /join: sharing a chat's addresses with a team (see
+// src/workspaces.js). Owners manage roles, admins invite viewers.
+const { roleAtLeast } = require('../workspaces');
+
+const NAME_MAX = 64;
+const WORKSPACE_USAGE = [
+  'Usage:',
+  '/workspace info',
+  '/workspace create <name>',
+  '/workspace invite [admin|viewer]',
+  '/workspace members',
+  '/workspace role <user id> <admin|viewer>',
+  '/workspace remove <user id>',
+  '/workspace leave'
+].join('\n');
+
+function withArticle(role) {
+  return `${role === 'viewer' ? 'a' : 'an'} ${role}`;
+}
+
+function memberList(workspace) {
+  return Object.entries(workspace.members)
+    .map(([id, member]) => `• ${member.name} (${id}) — ${member.role}`)
+    .join('\n');
+}
+
+const commands = [
+  {
+    name: 'workspace',
+    args: [{ name: 'action', choices: ['info', 'create', 'invite', 'members', 'role', 'remove', 'leave'] }, { name: 'params', rest: true }],
+    usage: 'info|create|invite|members|role|remove|leave',
+    description: 'share this chat\'s addresses with a team',
+    handler(ctx, { chatId, space, role, msg, args }) {
+      const { telegram, workspaces } = ctx;
+      const workspace = workspaces.get(space);
+      const action = args.action || 'info';
+      const params = (args.params || '').trim().split(/\s+/).filter(Boolean);
+
+      if (action === 'create') {
+        const name = (args.params || '').trim();
+        if (!name || name.length > NAME_MAX) return telegram.send(chatId, `❌ Please give a name of up to ${NAME_MAX} characters.\n${WORKSPACE_USAGE}`);
+        const { error } = workspaces.create(chatId, msg.from, name);
+        if (error) return telegram.send(chatId, `❌ ${error}`);
+        return telegram.send(chatId, `✅ Created the workspace "${name}". This chat's addresses and rules are now shared with its members.\nInvite people with /workspace invite [admin|viewer].`);
+      }
+
+      if (!workspace) return telegram.send(chatId, `ℹ️ This chat isn't part of a workspace.\n\n${WORKSPACE_USAGE}`);
+
+      if (action === 'info') {
+        return telegram.send(chatId, [
+          `👥 Workspace "${workspace.name}"`,
+          `Your role: ${role}`,
+          `Members: ${Object.keys(workspace.members).length}`,
+          `Chats: ${workspaces.deliveryChats(space).length}`
+        ].join('\n'));
+      }
+
+      if (action === 'members') {
+        return telegram.send(chatId, `👥 Members of "${workspace.name}":\n\n${memberList(workspace)}`);
+      }
+
+      if (action === 'invite') {
+        const invited = params[0] || 'viewer';
+        if (!['admin', 'viewer'].includes(invited)) return telegram.send(chatId, `❌ Invites are for admin or viewer.\n${WORKSPACE_USAGE}`);
+        // admins can bring in viewers; only the owner hands out admin
+        const needed = invited === 'admin' ? 'owner' : 'admin';
+        if (!roleAtLeast(role, needed)) return telegram.send(chatId, `🔒 Inviting ${withArticle(invited)} needs the ${needed} role; your role is ${role}.`);
+        const { code, expiresAt } = workspaces.invite(space, invited, msg.from);
+        return telegram.send(chatId, [
+          `🎟️ Invite code for ${withArticle(invited)}: ${code}`,
+          `They send /join ${code} in a private chat with the bot, or in a group that should receive the notifications.`,
+          `Single use, valid until ${expiresAt.slice(0, 16).replace('T', ' ')} UTC.`
+        ].join('\n'));
+      }
+
+      if (action === 'leave') {
+        if (role === 'owner') return telegram.send(chatId, "❌ The owner can't leave their workspace.");
+        workspaces.removeMember(space, msg.from.id, chatId);
+        return telegram.send(chatId, `👋 You left "${workspace.name}".`);
+      }
+
+      // role and remove
+      if (role !== 'owner') return telegram.send(chatId, `🔒 /workspace ${action} needs the owner role; your role is ${role}.`);
+      const [userId, newRole] = params;
+      const member = userId && workspace.members[userId];
+      if (!member) return telegram.send(chatId, `❌ No member with ID ${userId || '(none)'}. See /workspace members.\n${WORKSPACE_USAGE}`);
+      if (member.role === 'owner') return telegram.send(chatId, "❌ The owner's role can't be changed.");
+
+      if (action === 'remove') {
+        workspaces.removeMember(space, userId);
+        return telegram.send(chatId, `🗑️ Removed ${member.name} from "${workspace.name}".`);
+      }
+      if (!['admin', 'viewer'].includes(newRole)) return telegram.send(chatId, `❌ Roles are admin or viewer.\n${WORKSPACE_USAGE}`);
+      workspaces.setRole(space, userId, newRole);
+      return telegram.send(chatId, `✅ ${member.name} is now ${withArticle(newRole)}.`);
+    }
+  },
+  {
+    name: 'join',
+    args: [{ name: 'code', required: true }],
+    description: 'join a workspace with an invite code',
+    open: true,
+    handler({ store, telegram, workspaces }, { chatId, msg, args }) {
+      store.ensureUser(chatId);
+      const { workspace, role, error } = workspaces.join(chatId, msg.from, args.code);
+      if (error) return telegram.send(chatId, `❌ ${error}`);
+      return telegram.send(chatId, `✅ You joined "${workspace.name}" as ${withArticle(role)}. This chat now works on the workspace's addresses; /workspace leave undoes it.`);
+    }
+  }
+];
+
+module.exports = { commands };
@@ -0,0 +1,154 @@
+// src/config.js
+// Process-wide settings, read once from the environment.
+const crypto = require('crypto');
+const path = require('path');
+const { parseDuration } = require('./duration');
+const { isTimezone } = require('./digest');
+const { LANGUAGES } = require('./i18n');
+const { ATTACHMENT_MODES } = require('./preferences');
+const { STYLES } = require('./format');
+
+const ROOT = path.join(__dirname, '..');
+
+function int(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return isNaN(parsed) ? fallback : parsed;
+}
+
+function float(value, fallback) {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? fallback : parsed;
+}
+
+// "1, 2,3" -> ['1', '2', '3']
+function list(value) {
+  return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function duration(value, fallback) {
+  const parsed = parseDuration(value);
+  return parsed === null ? fallback : parsed;
+}
+
+// The shared catch-all IMAP mailbox, or null
+function imapAccount(env) {
+  if (!env.IMAP_HOST || !env.IMAP_USER) return null;
+  return {
+    host: env.IMAP_HOST,
+    port: int(env.IMAP_PORT, 993),
+    tls: env.IMAP_TLS !== 'false',
+    user: env.IMAP_USER,
+    password: env.IMAP_PASSWORD || '',
+    mailbox: env.IMAP_MAILBOX || 'INBOX',
+    catchAll: true
+  };
+}
+
+// Outgoing mail for the addresses on SMTP_DOMAINS, or null
+function smtpSettings(env) {
+  if (!env.SMTP_HOST) return null;
+  const port = int(env.SMTP_PORT, 587);
+  return {
+    host: env.SMTP_HOST,
+    port,
+    secure: env.SMTP_SECURE ? env.SMTP_SECURE === 'true' : port === 465,
+    user: env.SMTP_USER || '',
+    password: env.SMTP_PASSWORD || '',
+    domains: list(env.SMTP_DOMAINS).map(domain => domain.toLowerCase())
+  };
+}
+
+function loadConfig(env = process.env) {
+  const pollInterval = int(env.POLL_INTERVAL_MS, 60000);
+  return {
+    botToken: env.BOT_TOKEN || '',
+    // presentation: "plain" (labels as text), "rich" (bold labels),
+    // "markdown" (bold labels, MarkdownV2) or "text" (no markup)
+    messageStyle: STYLES.includes(env.MESSAGE_STYLE) ? env.MESSAGE_STYLE : 'plain',
+    botName: env.BOT_NAME || 'Tiktok shop email Bot',
+    contact: env.BOT_CONTACT !== undefined ? env.BOT_CONTACT : '@Abubakar_poster',
+
+    pollInterval,
+    // the poll interval a chat may pick with /settings
+    pollIntervalMin: duration(env.POLL_INTERVAL_MIN, 30 * 1000),
+    pollIntervalMax: duration(env.POLL_INTERVAL_MAX, 60 * 60 * 1000),
+    pollConcurrency: int(env.POLL_CONCURRENCY, 4),
+    providerRatePerSec: float(env.PROVIDER_RATE_PER_SEC, 5),
+    pollMaxBackoff: int(env.POLL_MAX_BACKOFF_MS, 30 * 60 * 1000),
+    inactiveAfterDays: float(env.INACTIVE_AFTER_DAYS, 7),
+    inactivePollInterval: int(env.INACTIVE_POLL_INTERVAL_MS, pollInterval * 10),
+
+    // Telegram user IDs allowed to use /admin
+    adminIds: list(env.ADMIN_IDS),
+    // addresses one chat may track (0: no limit); /admin quota overrides it
+    addressQuota: int(env.ADDRESS_QUOTA, 100),
+
+    // most addresses one /new may create at once
+    newBatchMax: int(env.NEW_BATCH_MAX, 50),
+    // addresses made with /new expire after this long (null: never)
+    addressTtl: duration(env.ADDRESS_TTL, null),
+    expiryWarning: duration(env.ADDRESS_EXPIRY_WARNING, 24 * 60 * 60 * 1000),
+    expirySweepInterval: int(env.EXPIRY_SWEEP_MS, 60000),
+
+    telegramChatInterval: int(env.TELEGRAM_CHAT_INTERVAL_MS, 1000),
+    telegramGlobalPerSec: int(env.TELEGRAM_GLOBAL_PER_SEC, 25),
+
+    // HTTP server for /healthz, /metrics and the webhook (null: none)
+    httpPort: env.PORT ? int(env.PORT, null) : null,
+    // public base URL of that server; when set, Telegram pushes updates to
+    // it (webhook mode) instead of the bot long polling
+    publicUrl: (env.PUBLIC_URL || '').replace(/\/+$/, ''),
+    webhookSecret: env.WEBHOOK_SECRET || crypto.createHash('sha256').update(`webhook:${env.BOT_TOKEN || ''}`).digest('hex').slice(0, 32),
+    // a provider that has only failed for this long makes /healthz fail
+    healthStaleAfter: duration(env.HEALTH_STALE_AFTER, 15 * 60 * 1000),
+
+    // notification defaults for chats that haven't changed them in /settings
+    showPreview: env.SHOW_PREVIEW !== 'false',
+    defaultLanguage: LANGUAGES[env.DEFAULT_LANGUAGE] ? env.DEFAULT_LANGUAGE : 'en',
+    // attachments of new mail: "files" (re-uploaded), "list" or "off"
+    attachmentMode: ATTACHMENT_MODES.includes(env.ATTACHMENT_MODE) ? env.ATTACHMENT_MODE : 'files',
+
+    // digests go out in each chat's /timezone, or this one
+    defaultTimezone: isTimezone(env.DEFAULT_TIMEZONE) ? env.DEFAULT_TIMEZONE : 'UTC',
+
+    // received mail is archived for /search this long ("off": not at all),
+    // at most archiveMaxPerChat mails per chat (0: no limit)
+    archiveRetention: env.ARCHIVE_RETENTION === 'off' ? null : duration(env.ARCHIVE_RETENTION, 30 * 24 * 60 * 60 * 1000),
+    archiveMaxPerChat: int(env.ARCHIVE_MAX_PER_CHAT, 200),
+
+    // longest wait /wait and the API's long poll allow, and how often the
+    // address is polled meanwhile (instead of every POLL_INTERVAL_MS)
+    waitMax: duration(env.WAIT_MAX, 5 * 60 * 1000),
+    waitPollInterval: duration(env.WAIT_POLL_INTERVAL, 5 * 1000),
+    // lets /webhook URLs point at private and local hosts (e.g. scripts
+    // running next to the bot)
+    webhookAllowPrivate: env.OUTGOING_WEBHOOK_ALLOW_PRIVATE === 'true',
+
+    // how long a shutdown may wait for running polls and queued sends
+    shutdownTimeout: duration(env.SHUTDOWN_TIMEOUT, 20 * 1000),
+
+    // mail providers: the one new addresses use unless told otherwise,
+    // barid's API (null: barid.site) and the catch-all IMAP mailbox with
+    // its domains (none listed: its login's domain)
+    defaultProvider: env.DEFAULT_PROVIDER || 'barid',
+    baridApiUrl: env.BARID_API_URL || null,
+    imapAccount: imapAccount(env),
+    imapDomains: list(env.IMAP_DOMAINS),
+    imapLookbackDays: int(env.IMAP_LOOKBACK_DAYS, 7),
+    // SMTP for addresses without their own /setsmtp (null: none)
+    smtp: smtpSettings(env),
+    // encrypts the IMAP/SMTP passwords users give (src/secrets.js); without
+    // it /addimap and /setsmtp are off
+    dataEncryptionKey: env.DATA_ENCRYPTION_KEY || null,
+    // larger attachments are announced instead of being downloaded
+    attachmentMaxBytes: int(env.ATTACHMENT_MAX_BYTES, 10 * 1024 * 1024),
+
+    storagePath: env.STORAGE_PATH || path.join(ROOT, 'bot_state'),
+    storageBackend: env.STORAGE_BACKEND || 'journal',
+    // journal entries between snapshots
+    storageCompactEvery: int(env.STORAGE_COMPACT_EVERY, 500),
+    legacyDataFile: path.join(ROOT, 'bot_data.json')
+  };
+}
+
+module.exports = { loadConfig };
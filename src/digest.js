@@ -0,0 +1,174 @@
+// src/digest.js
+// Digest mode: instead of one notification per mail, new mail is queued in
+// the store and sent as one message per chat every hour, or once a day at
+// a local time. A digest is due once a schedule boundary (the top of the
+// hour, or the daily time in the chat's timezone) has passed since its
+// oldest queued mail, so nothing is lost or sent twice across restarts:
+// whatever a downtime held back goes out on the first flush after it.
+const { parseTimeOfDay } = require('./duration');
+const { preferencesFor } = require('./preferences');
+const { createFormatter } = require('./format');
+const { translator } = require('./i18n');
+
+const MODES = ['instant', 'hourly', 'daily'];
+const DEFAULT_DAILY_AT = '09:00';
+const HOUR = 60 * 60 * 1000;
+// subjects listed per address before "…and N more"
+const SUBJECTS_PER_ADDRESS = 10;
+
+function isTimezone(name) {
+  if (!name) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: name });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// How far timeZone's wall clock is ahead of UTC at `at` (ms)
+function tzOffset(timeZone, at) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(new Date(at));
+  const get = type => Number(parts.find(p => p.type === type).value);
+  const wall = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return wall - Math.floor(at / 1000) * 1000;
+}
+
+// The UTC time of a wall-clock time in timeZone (day may over- or underflow)
+function zonedTime(timeZone, year, month, day, hours, minutes) {
+  const guess = Date.UTC(year, month, day, hours, minutes);
+  const first = guess - tzOffset(timeZone, guess);
+  return guess - tzOffset(timeZone, first);
+}
+
+// The chat's or address's schedule: { mode, at } where at is "HH:MM" for
+// daily digests. An address without its own mode follows the chat.
+function scheduleFor(user, address) {
+  if (address && address.notifyMode) return { mode: address.notifyMode, at: address.digestAt || DEFAULT_DAILY_AT };
+  return { mode: (user && user.notifyMode) || 'instant', at: (user && user.digestAt) || DEFAULT_DAILY_AT };
+}
+
+// The latest boundary of schedule at or before now (ms); now itself for
+// instant, which has no boundaries
+function lastBoundary(schedule, timeZone, now) {
+  if (schedule.mode === 'instant') return now;
+  const offset = tzOffset(timeZone, now);
+  const local = new Date(now + offset);
+  if (schedule.mode === 'hourly') {
+    return zonedTime(timeZone, local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate(), local.getUTCHours(), 0);
+  }
+  const [hours, minutes] = schedule.at.split(':').map(Number);
+  const today = zonedTime(timeZone, local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate(), hours, minutes);
+  return today <= now ? today : zonedTime(timeZone, local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() - 1, hours, minutes);
+}
+
+// The first boundary after now (ms)
+function nextBoundary(schedule, timeZone, now) {
+  if (schedule.mode === 'instant') return now;
+  if (schedule.mode === 'hourly') return lastBoundary(schedule, timeZone, now) + HOUR;
+  const [hours, minutes] = schedule.at.split(':').map(Number);
+  const local = new Date(lastBoundary(schedule, timeZone, now) + tzOffset(timeZone, now));
+  return zonedTime(timeZone, local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() + 1, hours, minutes);
+}
+
+// "hourly", "daily at 09:00"
+function describeSchedule(schedule) {
+  return schedule.mode === 'daily' ? `daily at ${schedule.at}` : schedule.mode;
+}
+
+// A queued mail, from mailPayload()
+function digestRow(chatId, payload, queuedAt = new Date().toISOString()) {
+  return {
+    chatId: String(chatId),
+    email: payload.address,
+    id: payload.id,
+    from: payload.from,
+    subject: payload.subject,
+    code: payload.code,
+    queuedAt
+  };
+}
+
+// One message for a chat's due mail, grouped by address in queue order, in
+// the chat's format and language (prefs from preferencesFor()). titleKey is
+// the i18n key of the title. Returns { text, opts } for telegram.sendLong().
+function renderDigest(rows, titleKey, prefs) {
+  const format = createFormatter(prefs.format);
+  const t = translator(prefs.language);
+  const byAddress = new Map();
+  for (const row of rows) {
+    if (!byAddress.has(row.email)) byAddress.set(row.email, []);
+    byAddress.get(row.email).push(row);
+  }
+  const sections = [...byAddress.entries()].map(([email, mails]) => {
+    const lines = [`📧 ${format.heading(`${email} (${mails.length})`)}`];
+    for (const mail of mails.slice(0, SUBJECTS_PER_ADDRESS)) {
+      const code = mail.code ? `🔑 ${format.code(mail.code)} · ` : '';
+      lines.push(`• ${code}${format.escape(`${mail.subject || t('noSubject')} — ${mail.from || t('unknown')} (/read ${mail.id})`)}`);
+    }
+    if (mails.length > SUBJECTS_PER_ADDRESS) lines.push(format.escape(t('andMore', { count: mails.length - SUBJECTS_PER_ADDRESS })));
+    return lines.join('\n');
+  });
+  const opts = { disable_web_page_preview: true };
+  if (format.parseMode) opts.parse_mode = format.parseMode;
+  const title = format.heading(`${t(titleKey)}: ${t('newMails', { count: rows.length })}`);
+  return { text: `📰 ${title}\n\n${sections.join('\n\n')}`, opts };
+}
+
+// deps: store, telegram, workspaces, config (defaultTimezone and the
+// /settings defaults)
+function createDigests({ store, telegram, workspaces, config }) {
+  function timezoneOf(user) {
+    return (user && user.timezone) || config.defaultTimezone;
+  }
+
+  // Sends every chat's due digest; mail stays queued until its digest was
+  // delivered. Resolves with the number of digests sent.
+  async function flush(now = Date.now()) {
+    let sent = 0;
+    for (const chatId of store.digestChats()) {
+      const user = store.getUser(chatId);
+      const timeZone = timezoneOf(user);
+      const due = store.listDigest(chatId).filter(row => {
+        const schedule = scheduleFor(user, store.getAddress(chatId, row.email));
+        return new Date(row.queuedAt).getTime() < lastBoundary(schedule, timeZone, now);
+      });
+      if (due.length === 0) continue;
+      const modes = new Set(due.map(row => scheduleFor(user, store.getAddress(chatId, row.email)).mode));
+      const titleKey = modes.size === 1 && modes.has('hourly') ? 'hourlyDigest' : modes.size === 1 && modes.has('daily') ? 'dailyDigest' : 'digest';
+      // chats that joined the workspace share the home chat's /settings
+      const { text, opts } = renderDigest(due, titleKey, preferencesFor(user, config));
+      const [home, ...others] = workspaces.deliveryChats(chatId);
+      if (!(await telegram.sendLong(home, text, opts))) continue;
+      for (const target of others) await telegram.sendLong(target, text, opts);
+      store.removeDigest(due);
+      sent++;
+    }
+    return sent;
+  }
+
+  return { timezoneOf, flush };
+}
+
+module.exports = {
+  MODES,
+  DEFAULT_DAILY_AT,
+  isTimezone,
+  parseTimeOfDay,
+  scheduleFor,
+  lastBoundary,
+  nextBoundary,
+  describeSchedule,
+  digestRow,
+  renderDigest,
+  createDigests
+};
@@ -0,0 +1,43 @@
+// src/duration.js
+// Human-friendly durations: "30s", "90m", "12h", "7d", "2w", and times of
+// day ("07:30").
+const UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+// -> milliseconds, or null if the text isn't a duration
+function parseDuration(text) {
+  const match = /^(\d+(?:\.\d+)?)\s*([smhdw])$/i.exec(String(text || '').trim());
+  if (!match) return null;
+  return Math.round(parseFloat(match[1]) * UNITS[match[2].toLowerCase()]);
+}
+
+// Largest two units, e.g. "3d 4h", "12m", "<1m"
+function formatDuration(ms) {
+  if (ms < UNITS.m) return '<1m';
+  const parts = [];
+  let rest = ms;
+  for (const unit of ['d', 'h', 'm']) {
+    const count = Math.floor(rest / UNITS[unit]);
+    rest -= count * UNITS[unit];
+    if (count > 0 || parts.length > 0) parts.push(count ? `${count}${unit}` : null);
+    if (parts.length === 2) break;
+  }
+  return parts.filter(Boolean).join(' ');
+}
+
+// "7:30" / "07:30" -> "07:30", or null
+function parseTimeOfDay(text) {
+  const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(text || '').trim());
+  return match ? `${match[1].padStart(2, '0')}:${match[2]}` : null;
+}
+
+module.exports = {
+  parseDuration,
+  formatDuration,
+  parseTimeOfDay
+};
@@ -0,0 +1,54 @@
+// src/flows.js
+// Multi-step commands keep their state here until finished or /cancel.
+// A flow handler is (ctx, msg, flow, { chatId, space, role }) and gets
+// every non-command message the chat sends while its flow is active.
+
+function createFlows() {
+  const pending = {}; // { chatId: { name, step, data } }
+  const handlers = {};
+
+  function define(name, handler) {
+    handlers[name] = handler;
+  }
+
+  function start(chatId, name, step, data = {}) {
+    pending[chatId] = { name, step, data };
+    return pending[chatId];
+  }
+
+  function get(chatId) {
+    return pending[chatId];
+  }
+
+  function end(chatId) {
+    const had = Boolean(pending[chatId]);
+    delete pending[chatId];
+    return had;
+  }
+
+  async function dispatch(ctx, msg) {
+    const chatId = msg.chat.id;
+    const flow = pending[chatId];
+    if (!flow) return;
+    const { space, role } = ctx.workspaces.access(chatId, msg.from);
+    // in a group, only members may feed someone's flow
+    if (!role) return;
+    try {
+      await handlers[flow.name](ctx, msg, flow, { chatId, space, role });
+    } catch (err) {
+      console.error(`${flow.name} flow error:`, err.message);
+      delete pending[chatId];
+      ctx.telegram.send(chatId, "❌ Something went wrong, please start again.");
+    }
+  }
+
+  return {
+    define,
+    start,
+    get,
+    end,
+    dispatch
+  };
+}
+
+module.exports = { createFlows };
@@ -0,0 +1,68 @@
+// src/format.js
+// Message styling. rich and plain are sent with HTML parse mode so user
+// data (addresses full of "_" and "*") can't break Markdown the way it used
+// to; markdown uses MarkdownV2, where every special character outside markup
+// is escaped, so callers must pass all literal text through escape(); the
+// "text" style sends no markup at all.
+
+const STYLES = ['rich', 'plain', 'markdown', 'text'];
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// MarkdownV2 outside of code and links
+function escapeMarkdown(text) {
+  return String(text).replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, '\\$&');
+}
+
+function createFormatter(style = 'plain') {
+  if (style === 'text') {
+    return {
+      style,
+      parseMode: null,
+      escape: String,
+      heading: String,
+      field: (label, value) => `${label}: ${value}`,
+      code: String,
+      mention: (userId, name) => String(name),
+      item: (usage, description) => `${usage} - ${description}`,
+      join: lines => lines.join('\n\n')
+    };
+  }
+  if (style === 'markdown') {
+    return {
+      style,
+      parseMode: 'MarkdownV2',
+      escape: escapeMarkdown,
+      heading: text => `*${escapeMarkdown(text)}*`,
+      field: (label, value) => `*${escapeMarkdown(label)}:* ${escapeMarkdown(value)}`,
+      // inside code only ` and \ are special
+      code: text => `\`${String(text).replace(/[`\\]/g, '\\$&')}\``,
+      mention: (userId, name) => `[${escapeMarkdown(name)}](tg://user?id=${String(userId).replace(/[)\\]/g, '\\$&')})`,
+      item: (usage, description) => `• ${escapeMarkdown(usage)} – ${escapeMarkdown(description)}`,
+      join: lines => lines.join('\n')
+    };
+  }
+  const rich = style === 'rich';
+  return {
+    style,
+    parseMode: 'HTML',
+    escape: escapeHtml,
+    heading: text => (rich ? `<b>${escapeHtml(text)}</b>` : escapeHtml(text)),
+    field: (label, value) => (rich ? `<b>${escapeHtml(label)}:</b> ${escapeHtml(value)}` : `${escapeHtml(label)}: ${escapeHtml(value)}`),
+    code: text => `<code>${escapeHtml(text)}</code>`,
+    // a link that notifies the user in group chats
+    mention: (userId, name) => `<a href="tg://user?id=${encodeURIComponent(userId)}">${escapeHtml(name)}</a>`,
+    item: (usage, description) => (rich ? `• ${escapeHtml(usage)} – ${escapeHtml(description)}` : `${escapeHtml(usage)} - ${escapeHtml(description)}`),
+    // plain style spaces notification lines out, rich keeps them compact
+    join: lines => lines.join(rich ? '\n' : '\n\n')
+  };
+}
+
+module.exports = {
+  STYLES,
+  escapeHtml,
+  escapeMarkdown,
+  createFormatter
+};
@@ -0,0 +1,70 @@
+// src/health.js
+// What /healthz reports: whether Telegram answers (getMe, cached briefly so
+// frequent probes don't turn into API calls) and whether each mail provider
+// has succeeded recently. A provider that keeps failing for longer than
+// healthStaleAfter marks the bot unhealthy; one that just had a bad poll
+// does not.
+
+const TELEGRAM_CHECK_TTL = 30 * 1000;
+const TELEGRAM_CHECK_TIMEOUT = 5000;
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`no answer within ${ms} ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function createHealth({ bot, scheduler, config }) {
+  const startedAt = Date.now();
+  let telegram = null; // { ok, checkedAt, error? }
+  let pending = null;
+
+  async function checkTelegram() {
+    if (telegram && Date.now() - telegram.checkedAt < TELEGRAM_CHECK_TTL) return telegram;
+    if (!pending) {
+      pending = withTimeout(bot.getMe(), TELEGRAM_CHECK_TIMEOUT)
+        .then(() => ({ ok: true, checkedAt: Date.now() }))
+        .catch(err => ({ ok: false, checkedAt: Date.now(), error: err.message }))
+        .then(result => {
+          telegram = result;
+          pending = null;
+          return result;
+        });
+    }
+    return pending;
+  }
+
+  function providerHealth(now) {
+    const report = {};
+    for (const [name, totals] of Object.entries(scheduler.providers())) {
+      const failing = totals.lastFailureAt !== null && (totals.lastSuccessAt === null || totals.lastFailureAt > totals.lastSuccessAt);
+      const since = totals.lastSuccessAt === null ? startedAt : totals.lastSuccessAt;
+      report[name] = {
+        ok: !failing || now - since <= config.healthStaleAfter,
+        lastSuccessAt: totals.lastSuccessAt && new Date(totals.lastSuccessAt).toISOString(),
+        lastFailureAt: totals.lastFailureAt && new Date(totals.lastFailureAt).toISOString(),
+        lastError: failing ? totals.lastError : null
+      };
+    }
+    return report;
+  }
+
+  // { ok, uptimeSeconds, telegram, providers }
+  async function check() {
+    const tg = await checkTelegram();
+    const now = Date.now();
+    const providers = providerHealth(now);
+    return {
+      ok: tg.ok && Object.values(providers).every(p => p.ok),
+      uptimeSeconds: Math.round((now - startedAt) / 1000),
+      telegram: { ok: tg.ok, checkedAt: new Date(tg.checkedAt).toISOString(), ...(tg.error ? { error: tg.error } : {}) },
+      providers
+    };
+  }
+
+  return { check };
+}
+
+module.exports = { createHealth };
@@ -0,0 +1,112 @@
+// src/i18n.js
+// Wording of new-mail notifications and digests in the languages /settings
+// offers. Only mail the bot announces is translated; commands answer in English.
+
+const LANGUAGES = {
+  en: 'English',
+  es: 'Español',
+  fr: 'Français',
+  de: 'Deutsch'
+};
+
+const STRINGS = {
+  en: {
+    code: 'Code',
+    newEmail: 'New email for {email}',
+    tags: 'Tags',
+    from: 'From',
+    subject: 'Subject',
+    id: 'ID',
+    preview: 'Preview',
+    fullMessage: 'Full message',
+    noSubject: '(no subject)',
+    unknown: 'unknown',
+    copyCode: '📋 Copy code',
+    openLink: '🔗 Open link',
+    reply: '↩️ Reply',
+    attachments: 'Attachments',
+    attachmentsHint: 'Get them with /inbox.',
+    hourlyDigest: 'Hourly digest',
+    dailyDigest: 'Daily digest',
+    digest: 'Digest',
+    newMails: '{count} new mail(s)',
+    andMore: '…and {count} more'
+  },
+  es: {
+    code: 'Código',
+    newEmail: 'Nuevo correo para {email}',
+    tags: 'Etiquetas',
+    from: 'De',
+    subject: 'Asunto',
+    id: 'ID',
+    preview: 'Vista previa',
+    fullMessage: 'Mensaje completo',
+    noSubject: '(sin asunto)',
+    unknown: 'desconocido',
+    copyCode: '📋 Copiar código',
+    openLink: '🔗 Abrir enlace',
+    reply: '↩️ Responder',
+    attachments: 'Adjuntos',
+    attachmentsHint: 'Descárgalos con /inbox.',
+    hourlyDigest: 'Resumen horario',
+    dailyDigest: 'Resumen diario',
+    digest: 'Resumen',
+    newMails: '{count} correo(s) nuevo(s)',
+    andMore: '…y {count} más'
+  },
+  fr: {
+    code: 'Code',
+    newEmail: 'Nouvel e-mail pour {email}',
+    tags: 'Étiquettes',
+    from: 'De',
+    subject: 'Objet',
+    id: 'ID',
+    preview: 'Aperçu',
+    fullMessage: 'Message complet',
+    noSubject: '(sans objet)',
+    unknown: 'inconnu',
+    copyCode: '📋 Copier le code',
+    openLink: '🔗 Ouvrir le lien',
+    reply: '↩️ Répondre',
+    attachments: 'Pièces jointes',
+    attachmentsHint: 'Récupérez-les avec /inbox.',
+    hourlyDigest: 'Résumé horaire',
+    dailyDigest: 'Résumé quotidien',
+    digest: 'Résumé',
+    newMails: '{count} nouvel(s) e-mail(s)',
+    andMore: '…et {count} de plus'
+  },
+  de: {
+    code: 'Code',
+    newEmail: 'Neue E-Mail für {email}',
+    tags: 'Tags',
+    from: 'Von',
+    subject: 'Betreff',
+    id: 'ID',
+    preview: 'Vorschau',
+    fullMessage: 'Ganze Nachricht',
+    noSubject: '(kein Betreff)',
+    unknown: 'unbekannt',
+    copyCode: '📋 Code kopieren',
+    openLink: '🔗 Link öffnen',
+    reply: '↩️ Antworten',
+    attachments: 'Anhänge',
+    attachmentsHint: 'Hol sie dir mit /inbox.',
+    hourlyDigest: 'Stündliche Zusammenfassung',
+    dailyDigest: 'Tägliche Zusammenfassung',
+    digest: 'Zusammenfassung',
+    newMails: '{count} neue E-Mail(s)',
+    andMore: '…und {count} weitere'
+  }
+};
+
+// t(key, { name: value }) in language, falling back to English
+function translator(language) {
+  const strings = STRINGS[language] || STRINGS.en;
+  return (key, vars = {}) => (strings[key] || STRINGS.en[key]).replace(/\{(\w+)\}/g, (match, name) => vars[name]);
+}
+
+module.exports = {
+  LANGUAGES,
+  translator
+};
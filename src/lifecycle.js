@@ -0,0 +1,97 @@
+// src/lifecycle.js
+// Address metadata over time: validation and startup repair of malformed
+// addresses, TTL expiry (a warning first, removal once it's due) and the
+// archive's retention.
+const { formatDuration } = require('./duration');
+
+// Deliberately simpler than RFC 5322: anything the providers can't serve
+// (like "omiif400@undefined" from a bad domain list) is rejected
+const LOCAL_PART = /^[a-z0-9._%+-]+$/i;
+const DOMAIN = /^(?=.{1,253}$)(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/i;
+
+// -> null when the address is usable, otherwise the reason it isn't
+function validateAddress(email) {
+  const parts = String(email || '').split('@');
+  if (parts.length !== 2) return 'not of the form name@domain';
+  const [local, domain] = parts;
+  if (!local || !LOCAL_PART.test(local)) return `invalid name "${local}"`;
+  if (!DOMAIN.test(domain)) return `invalid domain "${domain}"`;
+  return null;
+}
+
+// Fixes the damage that can be undone: whitespace, "mailto:", <brackets>,
+// case and trailing dots
+function normalizeAddress(email) {
+  return String(email || '')
+    .trim()
+    .replace(/^mailto:/i, '')
+    .replace(/^<(.*)>$/, '$1')
+    .trim()
+    .toLowerCase()
+    .replace(/\.+$/, '');
+}
+
+function createLifecycle({ store, telegram, config }) {
+  // Startup pass: repair what can be repaired, flag the rest so the
+  // scheduler skips it. Returns { repaired, flagged }.
+  function repairAddresses() {
+    let repaired = 0;
+    let flagged = 0;
+    for (const chatId of store.chatIds()) {
+      for (const address of store.listAddresses(chatId)) {
+        const fixed = normalizeAddress(address.email);
+        if (fixed !== address.email && !validateAddress(fixed)) {
+          store.renameAddress(chatId, address.email, fixed);
+          repaired++;
+          continue;
+        }
+        const problem = validateAddress(address.email);
+        if (problem && address.statusReason !== problem) {
+          store.putAddress(chatId, address.email, { status: 'invalid', statusReason: problem });
+          flagged++;
+        } else if (!problem && address.status !== 'ok') {
+          store.putAddress(chatId, address.email, { status: 'ok', statusReason: null });
+        }
+      }
+    }
+    if (repaired || flagged) console.log(`Address check: repaired ${repaired}, flagged ${flagged} as invalid.`);
+    return { repaired, flagged };
+  }
+
+  // Warn about addresses close to expiry and remove the expired ones, and
+  // archived mail past its retention
+  async function sweep(now = Date.now()) {
+    if (config.archiveRetention) {
+      store.pruneArchive({ before: new Date(now - config.archiveRetention).toISOString() });
+    }
+    for (const chatId of store.chatIds()) {
+      for (const address of store.listAddresses(chatId)) {
+        if (!address.expiresAt) continue;
+        const expiresAt = new Date(address.expiresAt).getTime();
+        const name = address.label ? `${address.email} (${address.label})` : address.email;
+        if (now >= expiresAt) {
+          store.removeAddress(chatId, address.email);
+          await telegram.send(chatId, `⌛ Expired and no longer tracked: ${name}`);
+        } else if (!address.expiryWarnedAt && now >= expiresAt - config.expiryWarning) {
+          const left = formatDuration(expiresAt - now);
+          const delivered = await telegram.send(chatId, `⏳ ${name} expires in ${left}.\nKeep it with /ttl ${address.email} 7d or /ttl ${address.email} off`);
+          // the address may have been removed or extended meanwhile
+          if (delivered && store.getAddress(chatId, address.email)) {
+            store.putAddress(chatId, address.email, { expiryWarnedAt: new Date(now).toISOString() });
+          }
+        }
+      }
+    }
+  }
+
+  return {
+    repairAddresses,
+    sweep
+  };
+}
+
+module.exports = {
+  validateAddress,
+  normalizeAddress,
+  createLifecycle
+};
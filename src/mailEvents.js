@@ -0,0 +1,121 @@
+// src/mailEvents.js
+// What happens besides the Telegram notification when a poll finds new
+// mail: callers waiting for it (/wait and the API's long poll) are woken up and the
+// chat's outgoing webhook, if any, is called.
+const { messageToText } = require('./mailText');
+const webhooks = require('./webhooks');
+
+// One mail as the API, waiters and webhooks see it. full is the fetched
+// message (null if that failed), found what extractVerification() found.
+function mailPayload(email, mail, full, found) {
+  const message = full || mail;
+  return {
+    id: String(mail.id),
+    address: email,
+    from: message.from || '',
+    to: message.to || email,
+    subject: message.subject || '',
+    date: message.date ? new Date(message.date).toISOString() : null,
+    preview: mail.preview || '',
+    text: full ? messageToText(full) : mail.preview || '',
+    html: (full && full.html) || null,
+    hasAttachments: Boolean(mail.hasAttachments),
+    code: found ? found.code : null,
+    link: found ? found.link : null
+  };
+}
+
+// filter is { from?, subject? }, each a case-insensitive substring
+function matchesFilter(payload, filter = {}) {
+  const contains = (value, part) => !part || String(value || '').toLowerCase().includes(String(part).toLowerCase());
+  return contains(payload.from, filter.from) && contains(payload.subject, filter.subject);
+}
+
+function createMailEvents({ store, scheduler, config }) {
+  const waiters = new Set();
+  // webhook deliveries still running, so shutdown can wait for them
+  const deliveries = new Set();
+  let closed = false;
+
+  // Called by the notifier once per new mail, after it was marked seen
+  function received(chatId, email, payload) {
+    for (const waiter of [...waiters]) {
+      if (waiter.chatId === String(chatId) && waiter.email === email && matchesFilter(payload, waiter.filter)) {
+        waiter.finish({ message: payload, reason: 'mail' });
+      }
+    }
+    const user = store.getUser(chatId);
+    if (!user || !user.webhook) return;
+    const delivery = webhooks.deliver(user.webhook, 'mail.received', { chatId: String(chatId), address: email, message: payload }, {
+      allowPrivate: config.webhookAllowPrivate
+    });
+    deliveries.add(delivery);
+    delivery.finally(() => deliveries.delete(delivery));
+  }
+
+  // Resolves with { message, reason }: the next mail to email in chatId's
+  // state that matches filter (reason 'mail'), or message null after
+  // timeout ms ('timeout'), when signal aborts ('aborted') or on close()
+  // ('closed'). The address is polled every waitPollInterval meanwhile.
+  function wait(chatId, email, filter, { timeout, signal } = {}) {
+    return new Promise(resolve => {
+      const waiter = { chatId: String(chatId), email, filter };
+      const poll = () => {
+        const address = store.getAddress(chatId, email);
+        if (address && address.status !== 'invalid') scheduler.pollNow(address);
+      };
+      const onAbort = () => waiter.finish({ message: null, reason: 'aborted' });
+      const timer = setTimeout(() => waiter.finish({ message: null, reason: 'timeout' }), timeout);
+      const poller = setInterval(poll, config.waitPollInterval);
+      waiter.finish = result => {
+        waiters.delete(waiter);
+        clearTimeout(timer);
+        clearInterval(poller);
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve(result);
+      };
+      if (closed) return waiter.finish({ message: null, reason: 'closed' });
+      if (signal && signal.aborted) return onAbort();
+      if (signal) signal.addEventListener('abort', onAbort);
+      waiters.add(waiter);
+      poll();
+    });
+  }
+
+  // For shutdown: ends every wait, and any started later, with 'closed'
+  function close() {
+    closed = true;
+    for (const waiter of [...waiters]) waiter.finish({ message: null, reason: 'closed' });
+  }
+
+  // Gives running webhook deliveries, including ones started meanwhile, up
+  // to timeout ms. Resolves with the number left unfinished.
+  async function settle(timeout) {
+    const deadline = Date.now() + timeout;
+    while (deliveries.size > 0 && Date.now() < deadline) {
+      let timer;
+      await Promise.race([
+        Promise.allSettled([...deliveries]),
+        new Promise(resolve => {
+          timer = setTimeout(resolve, deadline - Date.now());
+        })
+      ]);
+      clearTimeout(timer);
+    }
+    return deliveries.size;
+  }
+
+  return {
+    received,
+    wait,
+    close,
+    settle,
+    waiting: () => waiters.size
+  };
+}
+
+module.exports = {
+  mailPayload,
+  matchesFilter,
+  createMailEvents
+};
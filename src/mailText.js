@@ -0,0 +1,129 @@
+// src/mailText.js
+// Helpers for turning fetched mail into something readable in Telegram.
+const MailComposer = require('nodemailer/lib/mail-composer');
+
+// Telegram rejects messages over 4096 chars; keep some headroom for headers.
+const TELEGRAM_TEXT_LIMIT = 4000;
+
+const NAMED_ENTITIES = {
+  nbsp: '\u00a0',
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  copy: '©',
+  reg: '®',
+  hellip: '…',
+  mdash: '—',
+  ndash: '–',
+  laquo: '«',
+  raquo: '»',
+  zwnj: '',
+  zwj: ''
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      try {
+        return String.fromCodePoint(code);
+      } catch (err) {
+        return match;
+      }
+    }
+    const named = NAMED_ENTITIES[entity.toLowerCase()];
+    return named === undefined ? match : named;
+  });
+}
+
+function stripTags(html) {
+  return html.replace(/<[^>]*>/g, '');
+}
+
+// Convert an HTML mail body into plain text: scripts/styles dropped,
+// links kept as "text (url)", block elements turned into line breaks.
+function htmlToText(html) {
+  if (!html) return '';
+  let text = String(html)
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|head|title|noscript)\b[\s\S]*?<\/\1\s*>/gi, '')
+    .replace(/<a\b[^>]*?href\s*=\s*(["'])(.*?)\1[^>]*>([\s\S]*?)<\/a\s*>/gi, (match, quote, href, inner) => {
+      const label = decodeEntities(stripTags(inner)).replace(/\s+/g, ' ').trim();
+      const url = decodeEntities(href).trim();
+      if (!url || /^(#|javascript:|mailto:$)/i.test(url)) return label;
+      if (!label || label === url) return ` ${url} `;
+      return `${label} (${url})`;
+    })
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li\b[^>]*>/gi, '\n• ')
+    .replace(/<\/(p|div|tr|table|h[1-6]|ul|ol|li|blockquote|section|article|header|footer)\s*>/gi, '\n')
+    .replace(/<(p|div|tr|table|h[1-6]|blockquote|hr)\b[^>]*>/gi, '\n')
+    .replace(/<\/t[dh]\s*>/gi, ' ');
+  text = decodeEntities(stripTags(text));
+  return text
+    .replace(/\r/g, '')
+    .replace(/[ \t\f\v\u00a0]+/g, ' ')
+    .split('\n')
+    .map(line => line.trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Pick the best readable body for a message: text part, else converted HTML.
+function messageToText(message) {
+  if (message.text && message.text.trim()) return message.text.trim();
+  if (message.html) return htmlToText(message.html);
+  return '';
+}
+
+// Split long text into Telegram-sized chunks, preferring line boundaries.
+function splitMessage(text, limit = TELEGRAM_TEXT_LIMIT) {
+  const chunks = [];
+  let rest = String(text || '');
+  while (rest.length > limit) {
+    let cut = rest.lastIndexOf('\n', limit);
+    if (cut < limit / 2) cut = rest.lastIndexOf(' ', limit);
+    if (cut < limit / 2) cut = limit;
+    chunks.push(rest.slice(0, cut).trimEnd());
+    rest = rest.slice(cut).replace(/^\s+/, '');
+  }
+  if (rest.length > 0 || chunks.length === 0) chunks.push(rest);
+  return chunks;
+}
+
+// Rebuild an RFC 822 (.eml) document from a fetched message.
+function buildEml(message) {
+  const composer = new MailComposer({
+    from: message.from || undefined,
+    to: message.to || undefined,
+    subject: message.subject || '',
+    date: message.date ? new Date(message.date) : undefined,
+    messageId: message.messageId || undefined,
+    text: message.text || undefined,
+    html: message.html || undefined
+  });
+  return new Promise((resolve, reject) => {
+    composer.compile().build((err, buf) => (err ? reject(err) : resolve(buf)));
+  });
+}
+
+// Filesystem-safe name for documents sent back to the chat.
+function safeFilename(name, fallback = 'message') {
+  const cleaned = String(name || '').replace(/[^\w.\- ]+/g, '_').trim().slice(0, 60);
+  return cleaned || fallback;
+}
+
+module.exports = {
+  TELEGRAM_TEXT_LIMIT,
+  decodeEntities,
+  htmlToText,
+  messageToText,
+  splitMessage,
+  buildEml,
+  safeFilename
+};
@@ -0,0 +1,174 @@
+// src/mailbox.js
+// Glue between tracked addresses and their mail providers: picks the
+// provider, decrypts per-address credentials and logs provider failures.
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const smtp = require('./smtp');
+const { validateAddress } = require('./lifecycle');
+
+// addresses tracked before providers existed are all barid.site
+const LEGACY_PROVIDER = 'barid';
+// what generateLocalPart accepts as a prefix
+const PREFIX_PATTERN = /^[a-z0-9_-]{1,16}$/i;
+
+// secrets is from createSecrets(); globalSmtp is config.smtp
+function createMailbox({ store, providers, secrets, globalSmtp = null }) {
+  const { getProvider } = providers;
+
+  function providerNameFor(chatId, email) {
+    const address = store.getAddress(chatId, email);
+    return (address && address.provider) || LEGACY_PROVIDER;
+  }
+
+  function providerFor(chatId, email) {
+    return getProvider(providerNameFor(chatId, email));
+  }
+
+  // Per-address credentials (IMAP mailboxes); undefined means provider defaults
+  function accountFor(chatId, email) {
+    const address = store.getAddress(chatId, email);
+    if (!address || !address.imap) return undefined;
+    const stored = address.imap;
+    return { ...stored, password: secrets.decrypt(stored.password), catchAll: false };
+  }
+
+  // Outbound SMTP settings for an address, or null when it cannot send
+  function outboundFor(chatId, email) {
+    const address = store.getAddress(chatId, email);
+    if (address && address.smtp) return { ...address.smtp, password: secrets.decrypt(address.smtp.password) };
+    return smtp.globalSettingsFor(globalSmtp, email);
+  }
+
+  async function getDomains(providerName) {
+    const provider = getProvider(providerName);
+    try {
+      // a bad entry here is how addresses like "x@undefined" were born
+      const domains = await provider.listDomains();
+      return domains.filter(domain => !validateAddress(`x@${domain}`));
+    } catch (err) {
+      console.error(`getDomains(${provider.name}) error:`, err.message);
+      return [];
+    }
+  }
+
+  // Throws on provider errors so the scheduler can back off
+  async function fetchEmails(chatId, email) {
+    try {
+      return await providerFor(chatId, email).listMessages(email, accountFor(chatId, email));
+    } catch (err) {
+      console.error(`fetchEmails(${email}) error:`, err.message);
+      throw err;
+    }
+  }
+
+  async function fetchAttachments(chatId, email, messageId) {
+    try {
+      return await providerFor(chatId, email).listAttachments(email, messageId, accountFor(chatId, email));
+    } catch (err) {
+      console.error(`fetchAttachments(${email}) error:`, err.message);
+      return [];
+    }
+  }
+
+  function downloadAttachment(chatId, email, attachment, maxBytes) {
+    return providerFor(chatId, email).downloadAttachment(email, attachment, accountFor(chatId, email), maxBytes);
+  }
+
+  // Full message, normalized to { id, from, to, subject, date, text, html }
+  async function fetchMessage(chatId, email, id) {
+    try {
+      return await providerFor(chatId, email).getMessage(email, id, accountFor(chatId, email));
+    } catch (err) {
+      console.error(`fetchMessage(${email}, ${id}) error:`, err.message);
+      return null;
+    }
+  }
+
+  // Creates count addresses on providerName and tracks them in chatId with
+  // fields. domain is one of domains, or null for a random one each time.
+  // Resolves with { created, failed }.
+  async function createAddresses(chatId, providerName, { count, domain, domains, prefix }, fields = {}) {
+    const provider = getProvider(providerName);
+    const taken = new Set(store.listEmails(chatId));
+    const created = [];
+    let failed = 0;
+    for (let i = 0; i < count; i++) {
+      const target = domain || pickDomain(domains);
+      let local = generateLocalPart(prefix);
+      while (taken.has(`${local}@${target}`)) local = generateLocalPart(prefix);
+      let email;
+      try {
+        email = await provider.createAddress(local, target);
+      } catch (err) {
+        console.error(`createAddress(${provider.name}) error:`, err.message);
+        failed++;
+        continue;
+      }
+      const problem = validateAddress(email);
+      if (problem) {
+        console.error(`createAddress(${provider.name}) returned ${email}: ${problem}`);
+        failed++;
+        continue;
+      }
+      taken.add(email);
+      created.push(email);
+    }
+    store.transaction(() => created.forEach(email => store.putAddress(chatId, email, { provider: provider.name, status: 'ok', ...fields })));
+    return { created, failed };
+  }
+
+  // Throws so the caller can tell the user it didn't work
+  function deleteMessage(chatId, email, id) {
+    return providerFor(chatId, email).deleteMessage(email, id, accountFor(chatId, email));
+  }
+
+  // Locate a message by ID across a user's tracked addresses
+  async function findMessage(chatId, id) {
+    const owner = store.findSeenAddress(chatId, id);
+    if (owner) return fetchMessage(chatId, owner, id);
+    // barid IDs are global, so mail not seen yet can still be looked up
+    const emails = store.listEmails(chatId);
+    if (!emails.some(e => providerNameFor(chatId, e) === 'barid')) return null;
+    try {
+      const message = await getProvider('barid').getMessage(null, id);
+      const tracked = emails.map(e => e.toLowerCase());
+      return message && tracked.includes(String(message.to).toLowerCase()) ? message : null;
+    } catch (err) {
+      console.error(`findMessage(${id}) error:`, err.message);
+      return null;
+    }
+  }
+
+  return {
+    providerNameFor,
+    accountFor,
+    outboundFor,
+    getDomains,
+    fetchEmails,
+    fetchAttachments,
+    downloadAttachment,
+    fetchMessage,
+    createAddresses,
+    deleteMessage,
+    findMessage
+  };
+}
+
+// 12 hex digits of a v4 UUID: 48 random bits, so batches of hundreds
+// don't collide with each other or with what other users generated
+function generateLocalPart(prefix) {
+  const id = uuidv4().replace(/-/g, '').slice(0, 12);
+  return prefix ? `${prefix.toLowerCase()}-${id}` : id;
+}
+
+function pickDomain(domains) {
+  return domains[crypto.randomInt(domains.length)];
+}
+
+module.exports = {
+  LEGACY_PROVIDER,
+  PREFIX_PATTERN,
+  createMailbox,
+  generateLocalPart,
+  pickDomain
+};
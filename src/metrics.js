@@ -0,0 +1,57 @@
+// src/metrics.js
+// Prometheus text exposition for /metrics. Counters run since the process
+// started; gauges are read at scrape time.
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+// [{ name, help, type, samples: [{ labels?, value }] }] -> exposition text
+function renderMetrics(metrics) {
+  const lines = [];
+  for (const { name, help, type, samples } of metrics) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const { labels = {}, value } of samples) {
+      const pairs = Object.entries(labels).map(([key, val]) => `${key}="${escapeLabel(val)}"`);
+      lines.push(`${name}${pairs.length ? `{${pairs.join(',')}}` : ''} ${value}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+function collectMetrics({ store, scheduler, sendQueue }) {
+  const polls = scheduler.stats();
+  const sends = sendQueue.stats();
+  const providers = Object.entries(scheduler.providers());
+  return [
+    {
+      name: 'mailbot_polls_total',
+      help: 'Inbox polls by provider and result.',
+      type: 'counter',
+      samples: providers.flatMap(([provider, totals]) => [
+        { labels: { provider, result: 'ok' }, value: totals.polls - totals.failed },
+        { labels: { provider, result: 'error' }, value: totals.failed }
+      ])
+    },
+    { name: 'mailbot_new_mail_total', help: 'New mails found by polls.', type: 'counter', samples: [{ value: polls.newMail }] },
+    { name: 'mailbot_poll_overlaps_skipped_total', help: 'Polls skipped because the previous one was still running.', type: 'counter', samples: [{ value: polls.overlapsSkipped }] },
+    { name: 'mailbot_poll_queue_depth', help: 'Polls waiting for a free slot.', type: 'gauge', samples: [{ value: polls.queued }] },
+    { name: 'mailbot_polls_running', help: 'Polls in progress.', type: 'gauge', samples: [{ value: polls.active }] },
+    { name: 'mailbot_addresses_backing_off', help: 'Addresses polled less often after failures.', type: 'gauge', samples: [{ value: polls.backingOff }] },
+    { name: 'mailbot_tracked_addresses', help: 'Addresses being polled.', type: 'gauge', samples: [{ value: polls.addresses }] },
+    { name: 'mailbot_chats', help: 'Chats that have used the bot.', type: 'gauge', samples: [{ value: store.chatIds().length }] },
+    {
+      name: 'mailbot_telegram_sends_total',
+      help: 'Telegram sends by result, after retries.',
+      type: 'counter',
+      samples: [{ labels: { result: 'ok' }, value: sends.sent }, { labels: { result: 'failed' }, value: sends.failed }]
+    },
+    { name: 'mailbot_telegram_rate_limited_total', help: 'Telegram 429 responses.', type: 'counter', samples: [{ value: sends.rateLimited }] },
+    { name: 'mailbot_telegram_send_queue_depth', help: 'Telegram sends waiting in the queue.', type: 'gauge', samples: [{ value: sends.depth }] }
+  ];
+}
+
+module.exports = {
+  renderMetrics,
+  collectMetrics
+};
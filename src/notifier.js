@@ -0,0 +1,196 @@
+// src/notifier.js
+// Turns new mail into Telegram notifications, or queues it for the chat's
+// digest. A mail only counts as seen once its notification was delivered
+// (or queued); otherwise the next poll retries it. A chat that blocked or
+// removed the bot gets no retries: its mail is dropped and marked seen.
+const { extractVerification } = require('./otp');
+const { evaluateRules } = require('./rules');
+const attachments = require('./attachments');
+const { mailPayload } = require('./mailEvents');
+const { archiveRow } = require('./archive');
+const { scheduleFor, digestRow } = require('./digest');
+const { preferencesFor } = require('./preferences');
+const { createFormatter } = require('./format');
+const { translator } = require('./i18n');
+const { isGroup } = require('./workspaces');
+const { isTransient } = require('./sendQueue');
+
+// events is from createMailEvents(): waiters and the webhook hear about
+// every new mail, muted or not. Notifications follow the chat's /settings
+// (src/preferences.js): format, language, preview and attachments.
+function createNotifier({ store, mailbox, telegram, workspaces, events, config }) {
+  // owner is { ownerId, ownerName } of the address, mentioned in groups
+  function notificationFor(email, mail, found, prefs, tags = [], owner = null) {
+    const format = createFormatter(prefs.format);
+    const t = translator(prefs.language);
+    const lines = [];
+    if (found.code) lines.push(`🔑 ${format.field(t('code'), '')}${format.code(found.code)}`);
+    lines.push(`📧 ${format.heading(t('newEmail', { email }))}`);
+    if (owner && owner.ownerId) lines.push(`👤 ${format.mention(owner.ownerId, owner.ownerName || 'owner')}`);
+    if (tags.length) lines.push(format.field(t('tags'), tags.map(tag => `#${tag}`).join(' ')));
+    lines.push(
+      format.field(t('from'), mail.from || t('unknown')),
+      format.field(t('subject'), mail.subject || t('noSubject')),
+      format.field(t('id'), mail.id)
+    );
+    if (mail.preview && prefs.preview) lines.push(format.field(t('preview'), mail.preview));
+    lines.push(format.escape(`${t('fullMessage')}: /read ${mail.id}`));
+
+    const buttons = [];
+    if (found.code) buttons.push({ text: t('copyCode'), copy_text: { text: found.code } });
+    if (found.link) buttons.push({ text: t('openLink'), url: found.link });
+    const keyboard = buttons.length ? [buttons] : [];
+    keyboard.push([{ text: t('reply'), callback_data: `reply:${mail.id}` }]);
+    const opts = {
+      disable_web_page_preview: true,
+      reply_markup: { inline_keyboard: keyboard }
+    };
+    if (format.parseMode) opts.parse_mode = format.parseMode;
+    return { text: format.join(lines), opts };
+  }
+
+  // Check one address and notify; returns the number of new mails
+  async function checkInbox(chatId, email) {
+    let newMail = 0;
+    try {
+      const user = store.ensureUser(chatId);
+      const prefs = preferencesFor(user, config);
+      const mails = await mailbox.fetchEmails(chatId, email);
+
+      for (const mail of mails) {
+        // the address may have been removed while we were fetching
+        if (!store.getAddress(chatId, email)) break;
+        // IMAP mail carries a Message-ID too; it survives UID renumbering
+        if (store.isSeen(chatId, email, mail.id) || (mail.messageId && store.isSeen(chatId, email, mail.messageId))) continue;
+
+        // Pull a code / confirmation link out of the full body
+        const full = await mailbox.fetchMessage(chatId, email, mail.id);
+        const found = extractVerification({
+          from: (full && full.from) || mail.from,
+          subject: (full && full.subject) || mail.subject,
+          text: full ? full.text : mail.preview,
+          html: full ? full.html : ''
+        }, user.extractRules);
+
+        // the chat's /rules decide whether and how it is announced
+        const outcome = evaluateRules(user.notifyRules, {
+          from: (full && full.from) || mail.from,
+          subject: (full && full.subject) || mail.subject,
+          address: email
+        });
+        const address = store.getAddress(chatId, email);
+        const render = target => {
+          const notification = notificationFor(email, mail, found, prefs, outcome.tags, isGroup(target) ? address : null);
+          if (outcome.silent) notification.opts.disable_notification = true;
+          return notification;
+        };
+        const { text, opts } = render(chatId);
+        // in digest mode the mail waits for the next digest (src/digest.js)
+        const digesting = !outcome.mute && scheduleFor(user, address).mode !== 'instant';
+        let delivered = null;
+        let dropped = false;
+        if (!outcome.mute && !digesting) {
+          try {
+            // the bot library serializes reply_markup in place; keep ours for the copies
+            delivered = await telegram.sendStrict(chatId, text, { ...opts });
+          } catch (err) {
+            if (isTransient(err)) {
+              console.error(`Notification for ${email} / ${mail.id} not delivered, will retry:`, err.message);
+              break;
+            }
+            console.error(`Notification for ${email} / ${mail.id} dropped:`, err.message);
+            dropped = true;
+          }
+        }
+        if (!store.getAddress(chatId, email)) break;
+        const payload = mailPayload(email, mail, full, found);
+        store.transaction(() => {
+          store.markSeen(chatId, email, [mail.id, mail.messageId]);
+          store.putAddress(chatId, email, { lastMailAt: new Date().toISOString() });
+          if (config.archiveRetention) {
+            store.putArchived(archiveRow(chatId, payload));
+            if (config.archiveMaxPerChat) store.pruneArchive({ chatId, keep: config.archiveMaxPerChat });
+          }
+          if (digesting) store.queueDigest(digestRow(chatId, payload));
+        });
+        newMail++;
+        events.received(chatId, email, payload);
+        if (delivered && outcome.pin) await telegram.pin(chatId, delivered.message_id);
+        // the home chat gets it first; chats that joined the workspace get copies
+        if (delivered || dropped) {
+          for (const target of workspaces.deliveryChats(chatId).slice(1)) {
+            const copy = render(target);
+            await telegram.send(target, copy.text, copy.opts);
+          }
+        }
+        for (const target of outcome.forwards) await forwardNotification(target, text, opts);
+        if (delivered && mail.hasAttachments) {
+          if (prefs.attachments === 'files') await forwardAttachments(chatId, email, mail);
+          else if (prefs.attachments === 'list') await listAttachments(chatId, email, mail, translator(prefs.language));
+        }
+      }
+    } catch (err) {
+      console.error(`checkInbox error for ${email}:`, err.message);
+      throw err;
+    }
+    return newMail;
+  }
+
+  // A copy for another chat, minus the Reply button: replies only work in
+  // the chat that tracks the address
+  function forwardNotification(target, text, opts) {
+    const keyboard = opts.reply_markup.inline_keyboard.filter(row => !row.some(button => button.callback_data));
+    return telegram.send(target, `↪️ Forwarded\n${text}`, { ...opts, reply_markup: { inline_keyboard: keyboard } });
+  }
+
+  // Re-upload one message's attachments as Telegram files; oversized or
+  // undownloadable ones are announced with a link instead. Returns how many
+  // attachments the message had. to is the chat to send them to.
+  async function forwardAttachments(chatId, email, mail, to = chatId) {
+    const atts = await mailbox.fetchAttachments(chatId, email, mail.id);
+    const files = [];
+    const skipped = [];
+    const maxBytes = config.attachmentMaxBytes;
+    for (const att of atts) {
+      if (att.size && att.size > maxBytes) {
+        skipped.push(att);
+        continue;
+      }
+      try {
+        const content = await mailbox.downloadAttachment(chatId, email, att, maxBytes);
+        if (content.length > maxBytes) {
+          skipped.push(att);
+          continue;
+        }
+        files.push({ ...att, content, contentType: att.contentType || attachments.guessContentType(att.filename) });
+      } catch (err) {
+        console.error(`downloadAttachment(${email}, ${att.filename}) error:`, err.message);
+        skipped.push(att);
+      }
+    }
+
+    for (const batch of attachments.planMediaGroups(files)) {
+      await telegram.sendFiles(to, batch, `📎 From: ${mail.subject || '(no subject)'} — ${email}`);
+    }
+    for (const att of skipped) {
+      const where = att.url ? `\nURL: ${att.url}` : '\nOpen the mailbox to download it.';
+      await telegram.send(to, `📎 Attachment: ${att.filename}\nSize: ${attachments.formatSize(att.size)} (not forwarded)${where}`);
+    }
+    return atts.length;
+  }
+
+  // Names and sizes only, for chats that don't want the files themselves
+  async function listAttachments(chatId, email, mail, t) {
+    const atts = await mailbox.fetchAttachments(chatId, email, mail.id);
+    if (atts.length === 0) return;
+    const lines = atts.map(att => `• ${att.filename} (${attachments.formatSize(att.size)})`);
+    await telegram.send(chatId, `📎 ${t('attachments')} — ${mail.subject || t('noSubject')}:\n${lines.join('\n')}\n${t('attachmentsHint')}`);
+  }
+
+  return {
+    checkInbox,
+    forwardAttachments
+  };
+}
+
+module.exports = { createNotifier };
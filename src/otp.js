@@ -0,0 +1,109 @@
+// src/otp.js
+// Heuristics for pulling one-time codes and confirmation links out of mail.
+const { htmlToText, decodeEntities } = require('./mailText');
+const { execUserRegex } = require('./userRegex');
+
+// "confirm" and "security" are left out: they turn up in order and account
+// mail far more often than next to a code ("security code" has "code")
+const CODE_KEYWORDS = /(code|verif|otp|one[- ]time|passcode|pin\b|авториз|код|验证码|código|codice)/i;
+const LINK_KEYWORDS = /(verif|confirm|activat|magic|sign[-_ ]?in|log[-_ ]?in|validate|auth|token|reset|approve)/i;
+const UNSUBSCRIBE = /(unsubscribe|preferences|privacy|terms|help|support|opt[-_]?out)/i;
+// How far (in characters) a code may sit from a keyword and still count.
+const KEYWORD_WINDOW = 80;
+
+// 4-8 char tokens: all digits (optionally "123 456" / "123-456"), or mixed
+// upper-case letters and digits like "A1B2C3". Amounts ("$1299", "€ 15",
+// "1299€", "1,299") are not tokens.
+const CODE_PATTERN = /(?<![\w\-/.,@#$€£¥]|[$€£¥] )(\d{3}[ -]\d{3}|\d{4,8}|(?=[A-Z0-9]*\d)(?=[A-Z0-9]*[A-Z])[A-Z0-9]{4,8})(?![\w\-/@$€£¥%]|[.,]\d| ?(?:USD|EUR|GBP)\b)/g;
+
+function looksLikeYear(token) {
+  return /^(19|20)\d{2}$/.test(token);
+}
+
+// A name with a version number, like HTTP2, MP3 or WIN11
+function looksLikeProduct(token) {
+  return /^[A-Z]+\d{1,2}$/.test(token);
+}
+
+// Returns the most likely one-time code in text, or null.
+function findCode(text) {
+  if (!text) return null;
+  let best = null;
+  let match;
+  CODE_PATTERN.lastIndex = 0;
+  while ((match = CODE_PATTERN.exec(text)) !== null) {
+    const token = match[1];
+    if (looksLikeYear(token) || looksLikeProduct(token)) continue;
+    const start = Math.max(0, match.index - KEYWORD_WINDOW);
+    const before = text.slice(start, match.index);
+    const after = text.slice(match.index + token.length, match.index + token.length + KEYWORD_WINDOW);
+    let score = 0;
+    if (CODE_KEYWORDS.test(before)) score += 3;
+    if (CODE_KEYWORDS.test(after)) score += 2;
+    if (score === 0) continue;
+    if (/^\d+$/.test(token.replace(/[ -]/g, ''))) score += 1;
+    if (token.replace(/[ -]/g, '').length === 6) score += 1;
+    if (!best || score > best.score) best = { code: token.replace(/[ -]/g, ''), score };
+  }
+  return best ? best.code : null;
+}
+
+// Collect candidate URLs from an HTML body (href + label) and plain text.
+function collectLinks(message) {
+  const links = [];
+  const html = message.html || '';
+  const anchor = /<a\b[^>]*?href\s*=\s*(["'])(.*?)\1[^>]*>([\s\S]*?)<\/a\s*>/gi;
+  let match;
+  while ((match = anchor.exec(html)) !== null) {
+    const label = decodeEntities(match[3].replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim();
+    links.push({ url: decodeEntities(match[2]).trim(), label });
+  }
+  const text = message.text || '';
+  const bare = /https?:\/\/[^\s<>"')\]]+/g;
+  while ((match = bare.exec(text)) !== null) {
+    const before = text.slice(Math.max(0, match.index - KEYWORD_WINDOW), match.index);
+    links.push({ url: match[0], label: before });
+  }
+  return links.filter(link => /^https?:\/\//i.test(link.url));
+}
+
+// Returns the most likely confirmation / magic link, or null.
+function findLink(message) {
+  let best = null;
+  for (const link of collectLinks(message)) {
+    if (UNSUBSCRIBE.test(link.url) || UNSUBSCRIBE.test(link.label)) continue;
+    let score = 0;
+    if (LINK_KEYWORDS.test(link.label)) score += 2;
+    if (LINK_KEYWORDS.test(link.url)) score += 1;
+    if (score === 0) continue;
+    if (!best || score > best.score) best = { url: link.url, score };
+  }
+  return best ? best.url : null;
+}
+
+// Apply user-defined per-sender regex overrides. A rule is
+// { sender, pattern } where sender is a case-insensitive substring of From.
+function applyRules(message, rules, text) {
+  const from = String(message.from || '').toLowerCase();
+  for (const rule of rules || []) {
+    if (!rule || !rule.sender || !from.includes(String(rule.sender).toLowerCase())) continue;
+    const match = execUserRegex(rule.pattern, `${message.subject || ''}\n${text}`);
+    if (match) return (match[1] || match[0]).trim();
+  }
+  return null;
+}
+
+// Extract { code, link } from a message { from, subject, text, html }.
+function extractVerification(message, rules = []) {
+  const text = message.text && message.text.trim() ? message.text : htmlToText(message.html || '');
+  const ruleCode = applyRules(message, rules, text);
+  const code = ruleCode || findCode(message.subject || '') || findCode(text);
+  const link = findLink(message);
+  return { code: code || null, link: link || null };
+}
+
+module.exports = {
+  findCode,
+  findLink,
+  extractVerification
+};
@@ -0,0 +1,155 @@
+// src/preferences.js
+// Per-chat preferences set with /settings, stored on the user row as
+// `preferences`. Whatever a chat hasn't set follows the process-wide config,
+// so changing the environment still moves every chat that kept the default.
+// Keys are the names /settings uses:
+//   interval     poll interval, within POLL_INTERVAL_MIN..POLL_INTERVAL_MAX
+//   preview      show the start of the mail in notifications
+//   format       rich, plain, markdown or text (see src/format.js)
+//   quiet        quiet hours: notifications arrive without a sound
+//   language     of notifications (see src/i18n.js)
+//   attachments  forward as files, only list them, or say nothing
+const { STYLES, createFormatter } = require('./format');
+const { LANGUAGES } = require('./i18n');
+const { parseDuration, formatDuration, parseTimeOfDay } = require('./duration');
+
+const KEYS = ['interval', 'preview', 'format', 'quiet', 'language', 'attachments'];
+const ATTACHMENT_MODES = ['files', 'list', 'off'];
+// what the /settings menu offers; any other value can be typed
+const INTERVAL_CHOICES = ['30s', '1m', '2m', '5m', '15m', '30m', '1h'];
+const QUIET_CHOICES = ['off', '22:00-07:00', '23:00-08:00', '00:00-06:00'];
+const DESCRIPTIONS = {
+  preview: { true: 'shown', false: 'hidden' },
+  format: { rich: 'rich (bold labels)', plain: 'plain', markdown: 'markdown (MarkdownV2)', text: 'text (no markup)' },
+  attachments: { files: 'sent as files', list: 'listed only', off: 'not mentioned' }
+};
+
+function defaults(config) {
+  return {
+    interval: config.pollInterval,
+    preview: config.showPreview,
+    format: config.messageStyle,
+    quiet: null,
+    language: config.defaultLanguage,
+    attachments: config.attachmentMode
+  };
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+// The chat's effective preferences
+function preferencesFor(user, config) {
+  const own = (user && user.preferences) || {};
+  const prefs = { ...defaults(config), ...own };
+  // the bounds may have narrowed since the chat picked its interval
+  if (own.interval) prefs.interval = clamp(own.interval, config.pollIntervalMin, config.pollIntervalMax);
+  return prefs;
+}
+
+// Formatter (src/format.js) for the chat's format
+function formatterFor(user, config) {
+  return createFormatter(preferencesFor(user, config).format);
+}
+
+// "30s", "5m", "1h 30m"
+function describeInterval(ms) {
+  return ms < 60 * 1000 ? `${Math.round(ms / 1000)}s` : formatDuration(ms);
+}
+
+function describePreference(key, value) {
+  if (key === 'interval') return describeInterval(value);
+  if (key === 'quiet') return value ? `${value.from}–${value.to}` : 'off';
+  if (key === 'language') return LANGUAGES[value] || value;
+  return DESCRIPTIONS[key][String(value)];
+}
+
+// ("quiet", "22:00-07:00") -> { value } or { error }; "default" forgets
+// the chat's own value (value undefined)
+function parsePreference(key, text, config) {
+  const input = String(text || '').trim().toLowerCase();
+  if (!input) return { error: 'Please give a value.' };
+  if (input === 'default') return { value: undefined };
+  switch (key) {
+    case 'interval': {
+      const ms = parseDuration(input);
+      if (ms === null) return { error: 'Please give a duration like 30s, 5m or 1h.' };
+      if (ms < config.pollIntervalMin || ms > config.pollIntervalMax) {
+        return { error: `The poll interval must be between ${describeInterval(config.pollIntervalMin)} and ${describeInterval(config.pollIntervalMax)}.` };
+      }
+      return { value: ms };
+    }
+    case 'preview':
+      if (['on', 'show', 'shown'].includes(input)) return { value: true };
+      if (['off', 'hide', 'hidden'].includes(input)) return { value: false };
+      return { error: 'preview is on or off.' };
+    case 'format':
+      return STYLES.includes(input) ? { value: input } : { error: `format is one of: ${STYLES.join(', ')}` };
+    case 'quiet': {
+      if (input === 'off') return { value: null };
+      const [from, to, ...rest] = input.split('-').map(parseTimeOfDay);
+      if (!from || !to || rest.length) return { error: 'Please give quiet hours as HH:MM-HH:MM, e.g. 22:00-07:00, or off.' };
+      if (from === to) return { error: 'Quiet hours need to start and end at different times.' };
+      return { value: { from, to } };
+    }
+    case 'language':
+      return LANGUAGES[input] ? { value: input } : { error: `language is one of: ${Object.keys(LANGUAGES).join(', ')}` };
+    case 'attachments':
+      return ATTACHMENT_MODES.includes(input) ? { value: input } : { error: `attachments is one of: ${ATTACHMENT_MODES.join(', ')}` };
+    default:
+      return { error: `Unknown setting: ${key}. Settings: ${KEYS.join(', ')}` };
+  }
+}
+
+// Values the menu offers for key, as text parsePreference() accepts
+function choicesFor(key, config) {
+  switch (key) {
+    case 'interval':
+      return INTERVAL_CHOICES.filter(text => {
+        const ms = parseDuration(text);
+        return ms >= config.pollIntervalMin && ms <= config.pollIntervalMax;
+      });
+    case 'preview':
+      return ['on', 'off'];
+    case 'format':
+      return STYLES;
+    case 'quiet':
+      return QUIET_CHOICES;
+    case 'language':
+      return Object.keys(LANGUAGES);
+    default:
+      return ATTACHMENT_MODES;
+  }
+}
+
+// Minutes since local midnight in timeZone
+function localMinutes(timeZone, at) {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone, hourCycle: 'h23', hour: 'numeric', minute: 'numeric' }).formatToParts(new Date(at));
+  const get = type => Number(parts.find(p => p.type === type).value);
+  return get('hour') * 60 + get('minute');
+}
+
+// Whether now falls in quiet hours { from, to } (which may span midnight)
+function isQuiet(quiet, timeZone, now = Date.now()) {
+  if (!quiet) return false;
+  const minutes = value => {
+    const [hours, mins] = value.split(':').map(Number);
+    return hours * 60 + mins;
+  };
+  const current = localMinutes(timeZone, now);
+  const from = minutes(quiet.from);
+  const to = minutes(quiet.to);
+  return from < to ? current >= from && current < to : current >= from || current < to;
+}
+
+module.exports = {
+  KEYS,
+  ATTACHMENT_MODES,
+  preferencesFor,
+  formatterFor,
+  describePreference,
+  parsePreference,
+  choicesFor,
+  isQuiet
+};
@@ -0,0 +1,113 @@
+// src/providers/barid.js
+// barid.site adapter: public disposable inboxes, no credentials needed.
+const axios = require('axios');
+
+const DEFAULT_BASE_URL = 'https://api.barid.site';
+const TIMEOUT = 10000;
+
+// barid wraps payloads as { success, result }; older responses were bare arrays
+function unwrap(data) {
+  if (data && data.success !== undefined) return data.result;
+  return data;
+}
+
+// barid.site reports dates as unix seconds; other sources use ISO strings
+function parseMailDate(value) {
+  if (!value) return null;
+  const date = typeof value === 'number' ? new Date(value < 1e12 ? value * 1000 : value) : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function normalizeMessage(raw, address) {
+  return {
+    id: String(raw.id),
+    from: raw.from_address || raw.from || '',
+    to: raw.to_address || raw.to || address || '',
+    subject: raw.subject || '',
+    date: parseMailDate(raw.received_at || raw.date),
+    preview: raw.preview || '',
+    hasAttachments: Boolean(raw.has_attachments || raw.hasAttachments || raw.attachment_count),
+    text: raw.text_content || raw.text || '',
+    html: raw.html_content || raw.html || ''
+  };
+}
+
+// baseUrl is BARID_API_URL, or barid.site; tests point it at a local fake
+function createBaridProvider({ baseUrl } = {}) {
+  baseUrl = (baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+
+  function normalizeAttachment(raw) {
+    return {
+      id: raw.id ? String(raw.id) : null,
+      messageId: raw.email_id ? String(raw.email_id) : null,
+      filename: raw.filename || raw.name || 'attachment',
+      contentType: raw.content_type || raw.contentType || null,
+      size: raw.size || null,
+      url: raw.url || (raw.id ? `${baseUrl}/attachments/${encodeURIComponent(raw.id)}` : null)
+    };
+  }
+
+  async function listDomains() {
+    const res = await axios.get(`${baseUrl}/domains`, { timeout: TIMEOUT });
+    const result = unwrap(res.data);
+    return Array.isArray(result) ? result : [];
+  }
+
+  // barid accepts mail for any local part on its domains, so nothing to register
+  async function createAddress(local, domain) {
+    return `${local}@${domain}`;
+  }
+
+  async function listMessages(address) {
+    const res = await axios.get(`${baseUrl}/emails/${encodeURIComponent(address)}`, { timeout: TIMEOUT });
+    const result = unwrap(res.data);
+    return Array.isArray(result) ? result.map(raw => normalizeMessage(raw, address)) : [];
+  }
+
+  async function getMessage(address, id) {
+    const res = await axios.get(`${baseUrl}/inbox/${encodeURIComponent(id)}`, { timeout: TIMEOUT });
+    const result = unwrap(res.data);
+    if (!result || typeof result !== 'object') return null;
+    const message = normalizeMessage({ id, ...result }, address);
+    // IDs are global on barid; never hand out another inbox's mail
+    if (address && message.to && message.to.toLowerCase() !== address.toLowerCase()) return null;
+    return message;
+  }
+
+  // The listing covers the whole inbox; each entry names the message it came with
+  async function listAttachments(address, messageId) {
+    const res = await axios.get(`${baseUrl}/emails/${encodeURIComponent(address)}/attachments?limit=50&offset=0`, { timeout: TIMEOUT });
+    const result = unwrap(res.data);
+    const attachments = Array.isArray(result) ? result.map(normalizeAttachment) : [];
+    return messageId ? attachments.filter(att => att.messageId === String(messageId)) : attachments;
+  }
+
+  async function downloadAttachment(address, attachment, account, maxBytes) {
+    if (!attachment.url) throw new Error(`No download URL for ${attachment.filename}`);
+    const res = await axios.get(attachment.url, {
+      responseType: 'arraybuffer',
+      timeout: TIMEOUT * 3,
+      maxContentLength: maxBytes || -1
+    });
+    return Buffer.from(res.data);
+  }
+
+  async function deleteMessage(address, id) {
+    await axios.delete(`${baseUrl}/inbox/${encodeURIComponent(id)}`, { timeout: TIMEOUT });
+    return true;
+  }
+
+  return {
+    name: 'barid',
+    description: 'barid.site disposable inboxes',
+    listDomains,
+    createAddress,
+    listMessages,
+    getMessage,
+    listAttachments,
+    downloadAttachment,
+    deleteMessage
+  };
+}
+
+module.exports = { createBaridProvider };
@@ -0,0 +1,186 @@
+// src/providers/imap.js
+// Generic IMAP adapter. Works against a catch-all mailbox configured through
+// the IMAP_* settings (messages are filtered by their To header), or against
+// a per-address account passed in by the caller.
+const imaps = require('imap-simple');
+
+const HEADER_FIELDS = 'HEADER.FIELDS (FROM TO SUBJECT DATE MESSAGE-ID)';
+
+async function withMailbox(account, fn) {
+  const connection = await imaps.connect({
+    imap: {
+      host: account.host,
+      port: account.port,
+      tls: account.tls,
+      user: account.user,
+      password: account.password,
+      authTimeout: 10000,
+      tlsOptions: { servername: account.host }
+    }
+  });
+  try {
+    await connection.openBox(account.mailbox || 'INBOX');
+    return await fn(connection);
+  } finally {
+    try {
+      connection.end();
+    } catch (err) {
+      // connection already closed
+    }
+  }
+}
+
+function first(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+function attachmentParts(struct) {
+  return imaps.getParts(struct || []).filter(part =>
+    part.disposition && ['ATTACHMENT', 'INLINE'].includes(String(part.disposition.type).toUpperCase()) &&
+    part.disposition.params && part.disposition.params.filename
+  );
+}
+
+function normalizeMessage(item, address) {
+  const header = (item.parts.find(part => part.which === HEADER_FIELDS) || {}).body || {};
+  const date = first(header.date) ? new Date(first(header.date)) : null;
+  return {
+    id: String(item.attributes.uid),
+    messageId: first(header['message-id']) || null,
+    from: first(header.from) || '',
+    to: first(header.to) || address || '',
+    subject: first(header.subject) || '',
+    date: date && !isNaN(date.getTime()) ? date : null,
+    preview: '',
+    hasAttachments: attachmentParts(item.attributes.struct).length > 0,
+    text: '',
+    html: ''
+  };
+}
+
+function normalizeAttachment(part, uid) {
+  return {
+    id: `${uid}:${part.partID}`,
+    messageId: String(uid),
+    partID: part.partID,
+    filename: part.disposition.params.filename,
+    contentType: part.type && part.subtype ? `${part.type}/${part.subtype}` : null,
+    size: part.size || null,
+    url: null
+  };
+}
+
+// catchAll is the shared mailbox (null: none); its domains are `domains`,
+// or else its login's domain. Mail older than lookbackDays is not searched.
+function createImapProvider({ catchAll = null, domains = [], lookbackDays = 7 } = {}) {
+  function resolveAccount(account) {
+    const resolved = account || catchAll;
+    if (!resolved) throw new Error('No IMAP account configured (set IMAP_HOST / IMAP_USER)');
+    return resolved;
+  }
+
+  function searchCriteria(account, address, extra = []) {
+    const since = new Date(Date.now() - lookbackDays * 24 * 60 * 60 * 1000);
+    const criteria = ['ALL', ['SINCE', since], ...extra];
+    // a shared catch-all mailbox holds mail for many addresses
+    if (account.catchAll && address) criteria.push(['TO', address]);
+    return criteria;
+  }
+
+  async function listDomains(account) {
+    if (domains.length > 0) return domains;
+    const resolved = account || catchAll;
+    return resolved && resolved.user.includes('@') ? [resolved.user.split('@')[1]] : [];
+  }
+
+  // A catch-all domain routes every local part to the shared mailbox
+  async function createAddress(local, domain) {
+    return `${local}@${domain}`;
+  }
+
+  async function listMessages(address, account) {
+    const resolved = resolveAccount(account);
+    return withMailbox(resolved, async (connection) => {
+      const items = await connection.search(searchCriteria(resolved, address), {
+        bodies: [HEADER_FIELDS],
+        struct: true
+      });
+      return items.map(item => normalizeMessage(item, address));
+    });
+  }
+
+  async function fetchByUid(connection, account, address, id) {
+    const items = await connection.search(searchCriteria(account, address, [['UID', id]]), {
+      bodies: [HEADER_FIELDS],
+      struct: true
+    });
+    return items[0] || null;
+  }
+
+  async function getMessage(address, id, account) {
+    const resolved = resolveAccount(account);
+    return withMailbox(resolved, async (connection) => {
+      const item = await fetchByUid(connection, resolved, address, id);
+      if (!item) return null;
+      const message = normalizeMessage(item, address);
+      const attachments = attachmentParts(item.attributes.struct);
+      const bodies = imaps.getParts(item.attributes.struct || []).filter(part =>
+        part.type === 'text' && !attachments.includes(part)
+      );
+      for (const part of bodies) {
+        const data = await connection.getPartData(item, part);
+        if (part.subtype === 'plain' && !message.text) message.text = String(data);
+        if (part.subtype === 'html' && !message.html) message.html = String(data);
+      }
+      return message;
+    });
+  }
+
+  async function listAttachments(address, messageId, account) {
+    const resolved = resolveAccount(account);
+    return withMailbox(resolved, async (connection) => {
+      const extra = messageId ? [['UID', messageId]] : [];
+      const items = await connection.search(searchCriteria(resolved, address, extra), { bodies: [], struct: true });
+      const result = [];
+      for (const item of items) {
+        for (const part of attachmentParts(item.attributes.struct)) {
+          result.push(normalizeAttachment(part, item.attributes.uid));
+        }
+      }
+      return result;
+    });
+  }
+
+  async function downloadAttachment(address, attachment, account) {
+    const resolved = resolveAccount(account);
+    return withMailbox(resolved, async (connection) => {
+      const item = await fetchByUid(connection, resolved, address, attachment.messageId);
+      const part = item && imaps.getParts(item.attributes.struct || []).find(p => p.partID === attachment.partID);
+      if (!part) throw new Error(`Attachment ${attachment.filename} is gone`);
+      const data = await connection.getPartData(item, part);
+      return Buffer.isBuffer(data) ? data : Buffer.from(data);
+    });
+  }
+
+  async function deleteMessage(address, id, account) {
+    const resolved = resolveAccount(account);
+    return withMailbox(resolved, async (connection) => {
+      await connection.deleteMessage(id);
+      return true;
+    });
+  }
+
+  return {
+    name: 'imap',
+    description: 'IMAP mailbox (catch-all via IMAP_* env)',
+    listDomains,
+    createAddress,
+    listMessages,
+    getMessage,
+    listAttachments,
+    downloadAttachment,
+    deleteMessage
+  };
+}
+
+module.exports = { createImapProvider };
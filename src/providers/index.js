@@ -0,0 +1,51 @@
+// src/providers/index.js
+// Registry of mail providers. Every adapter implements:
+//   listDomains(account?)                                        -> [domain]
+//   createAddress(local, domain, account?)                       -> address
+//   listMessages(address, account?)                              -> [message]
+//   getMessage(address, id, account?)                            -> message | null
+//   listAttachments(address, messageId?, account?)               -> [attachment]
+//   downloadAttachment(address, attachment, account?, maxBytes?) -> Buffer
+//   deleteMessage(address, id, account?)                         -> true
+// Messages are normalized to { id, from, to, subject, date, preview,
+// hasAttachments, text, html } and attachments to { id, messageId, filename,
+// contentType, size, url }. Adapters throw on failure; callers decide
+// how to report it.
+const { createBaridProvider } = require('./barid');
+const { createImapProvider } = require('./imap');
+
+// A registry is { DEFAULT_PROVIDER, getProvider(name), listProviders() };
+// the bot gets one injected so tests can swap adapters for fakes
+function createProviderRegistry(adapters, defaultName = 'barid') {
+  const providers = {};
+  for (const adapter of adapters) providers[adapter.name] = adapter;
+
+  function getProvider(name) {
+    return providers[(name || defaultName).toLowerCase()] || null;
+  }
+
+  function listProviders() {
+    return Object.values(providers);
+  }
+
+  return {
+    DEFAULT_PROVIDER: defaultName,
+    getProvider,
+    listProviders
+  };
+}
+
+// The real providers, set up from loadConfig()
+function providersFromConfig(config) {
+  return createProviderRegistry([
+    createBaridProvider({ baseUrl: config.baridApiUrl }),
+    createImapProvider({ catchAll: config.imapAccount, domains: config.imapDomains, lookbackDays: config.imapLookbackDays })
+  ], config.defaultProvider);
+}
+
+module.exports = {
+  createProviderRegistry,
+  providersFromConfig,
+  createBaridProvider,
+  createImapProvider
+};
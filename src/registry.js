@@ -0,0 +1,156 @@
+// src/registry.js
+// Every slash command is declared once here: name, argument schema, help
+// text and handler. Parsing, usage errors and the /start and /help listings
+// all come from the same declaration, so they can't drift apart.
+//
+// A command is { name, args, description, usage?, hidden?, role?, open?,
+// operator?, handler } where args is a list of { name, required?, rest?,
+// choices? }. A `rest` argument takes the remainder of the line, spaces
+// included, and must come last. In a workspace only members may run
+// commands, and only with at least `role` (default viewer); `open` commands
+// are for anyone. `operator` commands exist only for ADMIN_IDS: they are
+// left out of the listings and ignored for everyone else.
+//
+// Handlers get (ctx, { chatId, space, role, msg, args }): replies go to
+// chatId, state is read and written under space (see src/workspaces.js).
+const { roleAtLeast } = require('./workspaces');
+const { isAdmin } = require('./admin');
+
+function usageOf(command) {
+  if (command.usage) return `/${command.name} ${command.usage}`;
+  const args = (command.args || []).map(arg => {
+    const label = arg.choices ? arg.choices.join('|') : arg.name;
+    return arg.required ? `<${label}>` : `[${label}]`;
+  });
+  return [`/${command.name}`, ...args].join(' ');
+}
+
+// "/name@bot rest of line" -> { name, argText } (null when not a command)
+function parseCommandText(text) {
+  const match = /^\/([a-z0-9_]+)(?:@\w+)?(?:\s+([\s\S]*))?$/i.exec(String(text || '').trim());
+  if (!match) return null;
+  return { name: match[1].toLowerCase(), argText: (match[2] || '').trim() };
+}
+
+// Returns { args } or { error }
+function parseArgs(command, argText) {
+  const schema = command.args || [];
+  const args = {};
+  let remaining = argText;
+  for (const arg of schema) {
+    let value;
+    if (arg.rest) {
+      value = remaining;
+      remaining = '';
+    } else {
+      const match = /^(\S+)\s*([\s\S]*)$/.exec(remaining);
+      value = match ? match[1] : '';
+      remaining = match ? match[2] : '';
+    }
+    if (!value) {
+      if (arg.required) return { error: `Missing ${arg.name}.` };
+      continue;
+    }
+    if (arg.choices && !arg.choices.includes(value.toLowerCase())) {
+      return { error: `${arg.name} must be one of: ${arg.choices.join(', ')}` };
+    }
+    args[arg.name] = arg.choices ? value.toLowerCase() : value;
+  }
+  if (remaining) return { error: 'Too many arguments.' };
+  return { args };
+}
+
+function accessError(definition, { workspace, role }) {
+  if (definition.open || definition.operator) return null;
+  if (!role) {
+    return `🔒 This chat belongs to the workspace "${workspace.name}" and you're not a member. Ask its owner or an admin for an invite code, then /join <code>.`;
+  }
+  const needed = definition.role || 'viewer';
+  if (!roleAtLeast(role, needed)) return `🔒 /${definition.name} needs the ${needed} role; your role is ${role}.`;
+  return null;
+}
+
+function createRegistry() {
+  const commands = new Map();
+  const callbacks = new Map();
+
+  function command(definition) {
+    if (commands.has(definition.name)) throw new Error(`Command /${definition.name} is registered twice`);
+    commands.set(definition.name, definition);
+  }
+
+  // callback_data is "<action>:<argument>"
+  function callback(action, handler) {
+    callbacks.set(action, handler);
+  }
+
+  function list() {
+    return [...commands.values()].filter(c => !c.hidden && !c.operator);
+  }
+
+  function get(name) {
+    return commands.get(name);
+  }
+
+  // Runs the command in msg.text (or a file's caption); resolves false if
+  // the text isn't one of ours
+  async function dispatch(ctx, msg) {
+    const parsed = parseCommandText(msg.text || msg.caption);
+    const definition = parsed && commands.get(parsed.name);
+    if (!definition || (definition.operator && !isAdmin(ctx.config, msg.from))) return false;
+    const chatId = msg.chat.id;
+    const { space, workspace, role } = ctx.workspaces.access(chatId, msg.from);
+    const denied = accessError(definition, { workspace, role });
+    if (denied) {
+      await ctx.telegram.send(chatId, denied);
+      return true;
+    }
+    const { args, error } = parseArgs(definition, parsed.argText);
+    if (error) {
+      await ctx.telegram.send(chatId, `❌ ${error}\nUsage: ${usageOf(definition)}`);
+      return true;
+    }
+    try {
+      await definition.handler(ctx, { chatId, space, role, msg, args });
+    } catch (err) {
+      console.error(`/${definition.name} error:`, err.message);
+      ctx.telegram.send(chatId, "❌ Something went wrong, please try again.");
+    }
+    return true;
+  }
+
+  // Resolves with the handler's notice (a string shown as a toast), if any.
+  // Handlers get (ctx, query, arg, { chatId, space, role }) and check the
+  // role themselves where an action needs more than viewing.
+  async function dispatchCallback(ctx, query) {
+    const [action, ...rest] = String(query.data || '').split(':');
+    const handler = callbacks.get(action);
+    if (!handler) return null;
+    const chatId = query.message.chat.id;
+    const { space, role } = ctx.workspaces.access(chatId, query.from);
+    if (!role) return "🔒 You're not a member of this workspace.";
+    try {
+      const notice = await handler(ctx, query, rest.join(':'), { chatId, space, role });
+      return typeof notice === 'string' ? notice : null;
+    } catch (err) {
+      console.error(`callback ${action} error:`, err.message);
+      return null;
+    }
+  }
+
+  return {
+    command,
+    callback,
+    list,
+    get,
+    dispatch,
+    dispatchCallback
+  };
+}
+
+module.exports = {
+  createRegistry,
+  parseCommandText,
+  parseArgs,
+  usageOf
+};
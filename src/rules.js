@@ -0,0 +1,129 @@
+// src/rules.js
+// Per-chat notification rules: "conditions -> action", e.g.
+//   from:newsletter subject:"weekly digest" -> mute
+//   address:shop@fake.test -> forward:-100123
+// Conditions are from:, subject: (contains, case-insensitive) and address:
+// (the tracked address, exact); a /regex/ value matches as a regex instead.
+// Every rule a mail matches applies: mute drops the notification in this
+// chat, silent sends it without a sound, pin pins it, tag:<name> adds a
+// hashtag and forward:<chatId> sends a copy to another chat. Forwards go
+// out even when mute or digest mode keeps the mail out of this chat: they
+// are for the other chat, which has its own settings.
+
+const { patternError, execUserRegex } = require('./userRegex');
+
+const FIELDS = { from: 'from', subject: 'subject', address: 'address', to: 'address' };
+const TOKEN = /(\w+):(?:"([^"]*)"|(\S+))/g;
+
+function parseCondition(name, value) {
+  const field = FIELDS[name.toLowerCase()];
+  if (!field) return { error: `Unknown condition "${name}:". Use from:, subject: or address:.` };
+  if (!value) return { error: `${name}: needs a value.` };
+  const regex = /^\/(.+)\/$/.exec(value);
+  if (regex) {
+    const error = patternError(regex[1]);
+    if (error) return { error: `Invalid regex for ${name}: ${error}` };
+    return { field, op: 'regex', value: regex[1] };
+  }
+  return { field, op: field === 'address' ? 'is' : 'contains', value: value.toLowerCase() };
+}
+
+function parseAction(text) {
+  const [type, ...rest] = text.trim().split(':');
+  const value = rest.join(':').trim();
+  switch (type.toLowerCase()) {
+    case 'mute':
+    case 'silent':
+    case 'pin':
+      return value ? { error: `${type} takes no value.` } : { type: type.toLowerCase() };
+    case 'tag': {
+      const tag = value.replace(/^#/, '');
+      if (!/^[\p{L}\p{N}_]{1,32}$/u.test(tag)) return { error: 'Tags are up to 32 letters, digits or _, e.g. tag:orders' };
+      return { type: 'tag', value: tag };
+    }
+    case 'forward':
+      if (!/^-?\d+$/.test(value)) return { error: 'forward needs a chat ID, e.g. forward:-1001234567890' };
+      return { type: 'forward', value };
+    default:
+      return { error: `Unknown action "${text.trim()}". Use one of: mute, silent, pin, tag:<name>, forward:<chat id>.` };
+  }
+}
+
+// "from:x subject:"a b" -> mute" -> { rule } or { error }
+function parseRule(text) {
+  const parts = String(text || '').split(/\s*(?:->|→)\s*/);
+  if (parts.length !== 2 || !parts[0].trim() || !parts[1].trim()) {
+    return { error: 'A rule looks like: from:shop subject:"order" -> silent' };
+  }
+  const conditions = [];
+  let rest = parts[0];
+  let match;
+  TOKEN.lastIndex = 0;
+  while ((match = TOKEN.exec(parts[0])) !== null) {
+    const condition = parseCondition(match[1], match[2] !== undefined ? match[2] : match[3]);
+    if (condition.error) return condition;
+    conditions.push(condition);
+    rest = rest.replace(match[0], '');
+  }
+  if (rest.trim()) return { error: `Could not understand "${rest.trim()}". Conditions look like from:shop or subject:"two words".` };
+  const action = parseAction(parts[1]);
+  if (action.error) return action;
+  return { rule: { conditions, action } };
+}
+
+// Rules that come back from an /export json file are checked like typed ones
+function isValidRule(rule) {
+  if (!rule || !Array.isArray(rule.conditions) || rule.conditions.length === 0 || !rule.action) return false;
+  const conditionsOk = rule.conditions.every(c => c && Object.values(FIELDS).includes(c.field) && typeof c.value === 'string'
+    && !parseCondition(c.field, c.op === 'regex' ? `/${c.value}/` : c.value).error && ['contains', 'is', 'regex'].includes(c.op));
+  const action = parseAction(rule.action.value ? `${rule.action.type}:${rule.action.value}` : String(rule.action.type));
+  return conditionsOk && !action.error;
+}
+
+function describeRule(rule) {
+  const conditions = rule.conditions.map(c => (c.op === 'regex' ? `${c.field} ~ /${c.value}/` : `${c.field} ${c.op} "${c.value}"`));
+  const action = rule.action.value ? `${rule.action.type}:${rule.action.value}` : rule.action.type;
+  return `${conditions.join(' and ')} → ${action}`;
+}
+
+function matchesCondition(condition, mail) {
+  const actual = String(mail[condition.field] || '');
+  if (condition.op === 'regex') return execUserRegex(condition.value, actual) !== null;
+  if (condition.op === 'is') return actual.toLowerCase() === condition.value;
+  return actual.toLowerCase().includes(condition.value);
+}
+
+// mail is { from, subject, address }. Returns the 0-based indexes of the
+// matching rules and what they add up to.
+function evaluateRules(rules, mail) {
+  const outcome = { matched: [], mute: false, silent: false, pin: false, tags: [], forwards: [] };
+  (rules || []).forEach((rule, index) => {
+    if (!rule.conditions.every(condition => matchesCondition(condition, mail))) return;
+    outcome.matched.push(index);
+    const { type, value } = rule.action;
+    if (type === 'mute') outcome.mute = true;
+    if (type === 'silent') outcome.silent = true;
+    if (type === 'pin') outcome.pin = true;
+    if (type === 'tag' && !outcome.tags.includes(value)) outcome.tags.push(value);
+    if (type === 'forward' && !outcome.forwards.includes(value)) outcome.forwards.push(value);
+  });
+  return outcome;
+}
+
+// "notified silently, tagged #orders" for /rules test
+function describeOutcome(outcome) {
+  if (outcome.matched.length === 0) return 'no rule matches, notified as usual';
+  const parts = [outcome.mute ? 'muted' : outcome.silent ? 'notified silently' : 'notified'];
+  if (outcome.pin && !outcome.mute) parts.push('pinned');
+  if (outcome.tags.length) parts.push(`tagged ${outcome.tags.map(tag => `#${tag}`).join(' ')}`);
+  if (outcome.forwards.length) parts.push(`forwarded to ${outcome.forwards.join(', ')}`);
+  return parts.join(', ');
+}
+
+module.exports = {
+  parseRule,
+  isValidRule,
+  describeRule,
+  evaluateRules,
+  describeOutcome
+};
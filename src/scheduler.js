@@ -0,0 +1,276 @@
+// src/scheduler.js
+// Polls every tracked address on its own timer. Runs are limited by a global
+// concurrency cap and a token bucket per provider, an address is never
+// polled twice at once, failures back off exponentially and addresses that
+// haven't had mail for a while are polled less often. A target may carry
+// its own interval (the chat's /settings) in place of the default.
+
+// how far back activity() can look, in minutes
+const ACTIVITY_MINUTES = 15;
+
+// burst is at least one token, or a rate below 1/s could never pay for a call
+function createTokenBucket(ratePerSecond, burst = Math.max(1, ratePerSecond)) {
+  let tokens = burst;
+  let last = Date.now();
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + ((now - last) / 1000) * ratePerSecond);
+    last = now;
+  }
+
+  // Resolves once a token has been taken
+  function acquire() {
+    refill();
+    if (tokens >= 1) {
+      tokens -= 1;
+      return Promise.resolve();
+    }
+    const wait = Math.ceil(((1 - tokens) / ratePerSecond) * 1000);
+    return new Promise(resolve => setTimeout(resolve, wait)).then(acquire);
+  }
+
+  return { acquire };
+}
+
+// options:
+//   poll(target)        -> Promise<number of new mails>; throws on failure
+//   listTargets()       -> [{ chatId, email, provider, lastMailAt, createdAt, interval? }]
+//   interval            normal poll interval (ms), unless the target has one
+//   inactiveInterval    interval for addresses idle longer than inactiveAfter
+//   inactiveAfter       idle time (ms) before an address counts as inactive
+//   maxBackoff          upper bound for the failure backoff (ms)
+//   concurrency         polls running at the same time, across all users
+//   ratePerSecond       provider API calls per second (per provider)
+function createScheduler(options) {
+  const {
+    poll,
+    listTargets,
+    interval,
+    inactiveInterval = interval * 10,
+    inactiveAfter = 7 * 24 * 60 * 60 * 1000,
+    maxBackoff = 30 * 60 * 1000,
+    concurrency = 4,
+    ratePerSecond = 5,
+    tickMs = 1000
+  } = options;
+
+  const jobs = new Map(); // key -> job
+  const queue = []; // keys waiting for a free slot
+  const buckets = new Map(); // provider -> token bucket
+  const counters = { succeeded: 0, failed: 0, newMail: 0, overlapsSkipped: 0 };
+  // per-minute poll counts by provider: [{ minute, providers: { name: { polls, failed } } }]
+  const history = [];
+  // provider -> { polls, failed, lastSuccessAt, lastFailureAt, lastError }, since start
+  const providerTotals = {};
+  const startedAt = Date.now();
+  let active = 0;
+  let timer = null;
+
+  const jobKey = (chatId, email) => `${chatId} ${email}`;
+
+  function bucketFor(provider) {
+    if (!buckets.has(provider)) buckets.set(provider, createTokenBucket(ratePerSecond));
+    return buckets.get(provider);
+  }
+
+  function ensureJob(target, now) {
+    const key = jobKey(target.chatId, target.email);
+    let job = jobs.get(key);
+    // pollNow() callers pass bare address rows; keep the interval from listTargets
+    const every = target.interval || (job && job.interval) || interval;
+    if (!job) {
+      // spread first runs over one interval so a restart doesn't burst
+      job = { key, failures: 0, running: null, queued: false, waiters: [], nextRunAt: now + Math.random() * every };
+      jobs.set(key, job);
+    }
+    // a shorter interval applies right away, not after the current wait
+    if (every < intervalOf(job)) job.nextRunAt = Math.min(job.nextRunAt, (job.lastRunAt || now) + every);
+    Object.assign(job, { chatId: target.chatId, email: target.email, provider: target.provider, lastMailAt: target.lastMailAt, createdAt: target.createdAt, interval: every });
+    return job;
+  }
+
+  function sync(now) {
+    const live = new Set();
+    for (const target of listTargets()) live.add(ensureJob(target, now).key);
+    for (const key of jobs.keys()) {
+      const job = jobs.get(key);
+      if (!live.has(key) && !job.running && !job.queued) jobs.delete(key);
+    }
+  }
+
+  function intervalOf(job) {
+    return job.interval || interval;
+  }
+
+  function nextDelay(job, now) {
+    const every = intervalOf(job);
+    if (job.failures > 0) return Math.min(maxBackoff, every * 2 ** job.failures);
+    const lastActivity = new Date(job.lastMailAt || job.createdAt || now).getTime();
+    return now - lastActivity > inactiveAfter ? Math.max(inactiveInterval, every) : every;
+  }
+
+  function record(provider, ok, err) {
+    const now = Date.now();
+    if (!providerTotals[provider]) providerTotals[provider] = { polls: 0, failed: 0, lastSuccessAt: null, lastFailureAt: null, lastError: null };
+    const totals = providerTotals[provider];
+    totals.polls++;
+    if (ok) {
+      totals.lastSuccessAt = now;
+    } else {
+      totals.failed++;
+      totals.lastFailureAt = now;
+      totals.lastError = err ? err.message : null;
+    }
+
+    const minute = Math.floor(now / 60000);
+    if (!history.length || history[history.length - 1].minute !== minute) {
+      history.push({ minute, providers: {} });
+      while (history.length > ACTIVITY_MINUTES) history.shift();
+    }
+    const counts = history[history.length - 1].providers;
+    if (!counts[provider]) counts[provider] = { polls: 0, failed: 0 };
+    counts[provider].polls++;
+    if (!ok) counts[provider].failed++;
+  }
+
+  function run(job) {
+    active++;
+    job.queued = false;
+    job.running = (async () => {
+      let result;
+      try {
+        await bucketFor(job.provider).acquire();
+        const found = await poll(job);
+        job.failures = 0;
+        counters.succeeded++;
+        counters.newMail += found || 0;
+        result = { ok: true, newMail: found || 0 };
+      } catch (err) {
+        job.failures++;
+        counters.failed++;
+        result = { ok: false, newMail: 0, error: err };
+      }
+      record(job.provider || 'unknown', result.ok, result.error);
+      const now = Date.now();
+      job.lastRunAt = now;
+      job.nextRunAt = now + nextDelay(job, now);
+      job.running = null;
+      job.overran = false;
+      active--;
+      job.waiters.splice(0).forEach(resolve => resolve(result));
+      drain();
+      return result;
+    })();
+    return job.running;
+  }
+
+  function drain() {
+    while (active < concurrency && queue.length > 0) {
+      const job = jobs.get(queue.shift());
+      if (job && !job.running) run(job);
+    }
+  }
+
+  function tick() {
+    const now = Date.now();
+    sync(now);
+    for (const job of jobs.values()) {
+      if (job.nextRunAt > now || job.queued) continue;
+      if (job.running) {
+        // count each overrun once, however many ticks it spans
+        if (!job.overran) counters.overlapsSkipped++;
+        job.overran = true;
+        continue;
+      }
+      job.queued = true;
+      queue.push(job.key);
+    }
+    drain();
+  }
+
+  // Poll one address as soon as a slot is free; resolves with
+  // { ok, newMail, error }. Joins the run in progress instead of overlapping.
+  function pollNow(target) {
+    const job = ensureJob(target, Date.now());
+    if (job.running) return job.running;
+    return new Promise(resolve => {
+      job.waiters.push(resolve);
+      if (!job.queued) {
+        job.queued = true;
+        queue.unshift(job.key);
+      }
+      drain();
+    });
+  }
+
+  function start() {
+    if (!timer) timer = setInterval(tick, tickMs);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  // For shutdown, after stop(): drops queued polls and waits up to timeout
+  // ms for the running ones. Resolves with { finished, abandoned }.
+  async function finish(timeout) {
+    for (const key of queue.splice(0)) {
+      const job = jobs.get(key);
+      if (!job) continue;
+      job.queued = false;
+      job.waiters.splice(0).forEach(resolve => resolve({ ok: false, newMail: 0, error: new Error('shutting down') }));
+    }
+    const running = [...jobs.values()].filter(job => job.running).map(job => job.running);
+    let timer;
+    const timedOut = new Promise(resolve => {
+      timer = setTimeout(resolve, timeout);
+    });
+    await Promise.race([Promise.all(running), timedOut]);
+    clearTimeout(timer);
+    return { finished: running.length - active, abandoned: active };
+  }
+
+  function stats() {
+    let backingOff = 0;
+    for (const job of jobs.values()) if (job.failures > 0) backingOff++;
+    return { ...counters, addresses: jobs.size, active, queued: queue.length, backingOff };
+  }
+
+  // Polls over the last few minutes: { minutes, polls, failed, providers }
+  // where providers is { name: { polls, failed } }
+  function activity() {
+    const now = Date.now();
+    const since = Math.floor(now / 60000) - ACTIVITY_MINUTES;
+    const providers = {};
+    let polls = 0;
+    let failed = 0;
+    for (const entry of history) {
+      if (entry.minute <= since) continue;
+      for (const [name, counts] of Object.entries(entry.providers)) {
+        if (!providers[name]) providers[name] = { polls: 0, failed: 0 };
+        providers[name].polls += counts.polls;
+        providers[name].failed += counts.failed;
+        polls += counts.polls;
+        failed += counts.failed;
+      }
+    }
+    // a freshly started bot hasn't been up for the whole window
+    const minutes = Math.min(ACTIVITY_MINUTES, Math.max(1, (now - startedAt) / 60000));
+    return { minutes, polls, failed, providers };
+  }
+
+  function providers() {
+    const copy = {};
+    for (const [name, totals] of Object.entries(providerTotals)) copy[name] = { ...totals };
+    return copy;
+  }
+
+  return { start, stop, finish, tick, pollNow, stats, activity, providers };
+}
+
+module.exports = {
+  createTokenBucket,
+  createScheduler
+};
@@ -0,0 +1,52 @@
+// src/secrets.js
+// Encrypts credentials kept in the data store (AES-256-GCM). The key comes
+// from DATA_ENCRYPTION_KEY: 64 hex chars / 44 base64 chars are used as-is,
+// anything else is treated as a passphrase and hashed.
+const crypto = require('crypto');
+
+const PREFIX = 'enc:v1:';
+
+function deriveKey(raw) {
+  if (!raw) return null;
+  if (/^[0-9a-f]{64}$/i.test(raw)) return Buffer.from(raw, 'hex');
+  const b64 = Buffer.from(raw, 'base64');
+  if (b64.length === 32 && /^[A-Za-z0-9+/]{43}=$/.test(raw)) return b64;
+  return crypto.createHash('sha256').update(raw, 'utf8').digest();
+}
+
+// rawKey is config.dataEncryptionKey (null: encryption is unavailable)
+function createSecrets(rawKey) {
+  const key = deriveKey(rawKey);
+
+  function isConfigured() {
+    return key !== null;
+  }
+
+  function encrypt(plain) {
+    if (!key) throw new Error('DATA_ENCRYPTION_KEY is not set');
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(String(plain), 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+    return `${PREFIX}${iv.toString('base64')}:${tag.toString('base64')}:${data.toString('base64')}`;
+  }
+
+  function decrypt(value) {
+    if (typeof value !== 'string' || !value.startsWith(PREFIX)) {
+      throw new Error('Value is not encrypted');
+    }
+    if (!key) throw new Error('DATA_ENCRYPTION_KEY is not set');
+    const [iv, tag, data] = value.slice(PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+  }
+
+  return {
+    isConfigured,
+    encrypt,
+    decrypt
+  };
+}
+
+module.exports = { createSecrets };
@@ -0,0 +1,148 @@
+// src/sendQueue.js
+// Serializes outbound Telegram calls. Each chat gets its own FIFO with a
+// minimum gap between sends, all chats share a global rate, and 429
+// responses pause the chat for the retry_after Telegram asks for.
+// Telegram documents roughly 1 msg/s per chat and 30 msg/s overall.
+
+// how often drain() looks at the queue
+const DRAIN_CHECK_MS = 50;
+
+function retryAfterSeconds(err) {
+  const body = err && err.response && err.response.body;
+  if (body && body.parameters && body.parameters.retry_after) return body.parameters.retry_after;
+  return null;
+}
+
+function statusCode(err) {
+  if (err && err.response && err.response.statusCode) return err.response.statusCode;
+  const body = err && err.response && err.response.body;
+  return body && body.error_code ? body.error_code : null;
+}
+
+// Network failures and 5xx are worth retrying; other 4xx won't get better
+function isTransient(err) {
+  const code = statusCode(err);
+  return code === null || code === 429 || code >= 500;
+}
+
+function createSendQueue({
+  perChatInterval = 1000,
+  globalPerSecond = 25,
+  maxAttempts = 5,
+  retryDelay = 2000
+} = {}) {
+  const chats = new Map(); // chatId -> { items, readyAt, busy }
+  const counters = { sent: 0, failed: 0, rateLimited: 0, retried: 0 };
+  let globalReadyAt = 0;
+  let timer = null;
+  let order = []; // round-robin over chats
+
+  function chatState(chatId) {
+    const key = String(chatId);
+    if (!chats.has(key)) {
+      chats.set(key, { items: [], readyAt: 0, busy: false });
+      order.push(key);
+    }
+    return chats.get(key);
+  }
+
+  // Queue a send; resolves with the Telegram result or rejects once the
+  // attempts are used up (or immediately for permanent errors)
+  function enqueue(chatId, send) {
+    return new Promise((resolve, reject) => {
+      chatState(chatId).items.push({ send, resolve, reject, attempts: 0 });
+      pump();
+    });
+  }
+
+  function schedule(at) {
+    const wait = Math.max(0, at - Date.now());
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(() => {
+      timer = null;
+      pump();
+    }, wait);
+  }
+
+  async function deliver(key, chat, item) {
+    chat.busy = true;
+    item.attempts++;
+    try {
+      const result = await item.send();
+      chat.items.shift();
+      counters.sent++;
+      item.resolve(result);
+      chat.readyAt = Date.now() + perChatInterval;
+    } catch (err) {
+      const retryAfter = retryAfterSeconds(err);
+      if (retryAfter !== null) counters.rateLimited++;
+      if (isTransient(err) && item.attempts < maxAttempts) {
+        counters.retried++;
+        const delay = retryAfter !== null ? retryAfter * 1000 : retryDelay * 2 ** (item.attempts - 1);
+        chat.readyAt = Date.now() + delay;
+        // a flood-wait usually applies to the whole bot, not just this chat
+        if (retryAfter !== null) globalReadyAt = Math.max(globalReadyAt, Date.now() + delay);
+      } else {
+        chat.items.shift();
+        counters.failed++;
+        item.reject(err);
+        chat.readyAt = Date.now() + perChatInterval;
+      }
+    } finally {
+      chat.busy = false;
+      if (chat.items.length === 0 && chats.get(key) === chat) {
+        chats.delete(key);
+        order = order.filter(k => k !== key);
+      }
+      pump();
+    }
+  }
+
+  function pump() {
+    const now = Date.now();
+    let next = Infinity;
+    for (const key of [...order]) {
+      const chat = chats.get(key);
+      if (!chat || chat.busy || chat.items.length === 0) continue;
+      const readyAt = Math.max(chat.readyAt, globalReadyAt);
+      if (readyAt > now) {
+        next = Math.min(next, readyAt);
+        continue;
+      }
+      // rotate so busy chats can't starve quiet ones
+      order = order.filter(k => k !== key).concat(key);
+      globalReadyAt = Math.max(globalReadyAt, now) + 1000 / globalPerSecond;
+      deliver(key, chat, chat.items[0]);
+      next = Math.min(next, globalReadyAt);
+      break;
+    }
+    if (next !== Infinity) schedule(next);
+  }
+
+  function depth() {
+    let total = 0;
+    for (const chat of chats.values()) total += chat.items.length;
+    return total;
+  }
+
+  function stats() {
+    return { ...counters, depth: depth(), chats: chats.size };
+  }
+
+  // For shutdown: waits up to timeout ms for the queue to empty; resolves
+  // with the number of sends still waiting
+  async function drain(timeout) {
+    const deadline = Date.now() + timeout;
+    while (depth() > 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, Math.min(DRAIN_CHECK_MS, Math.max(1, deadline - Date.now()))));
+    }
+    return depth();
+  }
+
+  return { enqueue, depth, stats, drain };
+}
+
+module.exports = {
+  createSendQueue,
+  isTransient
+};
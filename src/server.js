@@ -0,0 +1,100 @@
+// src/server.js
+// The embedded HTTP server, opened when PORT is set: /healthz for the
+// platform's health checks, /metrics for Prometheus, the API for scripts
+// (src/api.js) and, in webhook mode, WEBHOOK_PATH where Telegram posts
+// updates.
+const http = require('http');
+
+const WEBHOOK_PATH = '/telegram';
+const API_PREFIX = '/api/';
+// Telegram updates and API requests are small; anything bigger isn't one
+const BODY_LIMIT = 1024 * 1024;
+
+function respond(res, status, type, body) {
+  res.writeHead(status, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+  res.end(body);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > BODY_LIMIT) {
+        reject(new Error('body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+// deps:
+//   health     from createHealth()
+//   metrics()  -> exposition text
+//   webhook    { secret, onUpdate(update) -> false to refuse it }, or null
+//              outside webhook mode
+//   api        from createApi(), or null
+function createServer({ health, metrics, webhook = null, api = null }) {
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const { pathname } = url;
+    if (req.method === 'GET' && pathname === '/healthz') {
+      const report = await health.check();
+      return respond(res, report.ok ? 200 : 503, 'application/json', JSON.stringify(report));
+    }
+    if (req.method === 'GET' && pathname === '/metrics') {
+      return respond(res, 200, 'text/plain; version=0.0.4; charset=utf-8', metrics());
+    }
+    if (api && pathname.startsWith(API_PREFIX)) return api.handle(req, res, url);
+    if (webhook && req.method === 'POST' && pathname === WEBHOOK_PATH) {
+      if (req.headers['x-telegram-bot-api-secret-token'] !== webhook.secret) return respond(res, 401, 'text/plain', 'unauthorized');
+      let update;
+      try {
+        update = JSON.parse(await readBody(req));
+      } catch (err) {
+        return respond(res, 400, 'text/plain', 'bad request');
+      }
+      // a refused update (shutting down) gets a 503, so Telegram delivers
+      // it again later, to the next instance
+      if (webhook.onUpdate(update) === false) return respond(res, 503, 'text/plain', 'shutting down');
+      return respond(res, 200, 'text/plain', 'ok');
+    }
+    respond(res, 404, 'text/plain', 'not found');
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch(err => {
+      console.error(`HTTP ${req.method} ${req.url} error:`, err.message);
+      if (!res.headersSent) respond(res, 500, 'text/plain', 'internal error');
+    });
+  });
+
+  // Resolves with the port actually bound (useful with port 0)
+  function listen(port) {
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, () => {
+        server.off('error', reject);
+        resolve(server.address().port);
+      });
+    });
+  }
+
+  function close() {
+    return new Promise(resolve => server.close(() => resolve()));
+  }
+
+  return { listen, close };
+}
+
+module.exports = {
+  WEBHOOK_PATH,
+  respond,
+  readBody,
+  createServer
+};
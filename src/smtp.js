@@ -0,0 +1,47 @@
+// src/smtp.js
+// Outbound mail through nodemailer. Settings are { host, port, secure, user,
+// password } and come either from a per-address record or from the global
+// SMTP_* settings (config.smtp), which only cover the domains listed in
+// SMTP_DOMAINS.
+const nodemailer = require('nodemailer');
+
+// The global settings if they cover address, else null
+function globalSettingsFor(shared, address) {
+  if (!shared) return null;
+  const domain = String(address).split('@')[1] || '';
+  if (!shared.domains.includes(domain.toLowerCase())) return null;
+  const { host, port, secure, user, password } = shared;
+  return { host, port, secure, user, password };
+}
+
+function createTransport(settings) {
+  return nodemailer.createTransport({
+    host: settings.host,
+    port: settings.port,
+    secure: settings.secure,
+    auth: settings.user ? { user: settings.user, pass: settings.password } : undefined,
+    connectionTimeout: 15000
+  });
+}
+
+// mail: { from, to, subject, text, attachments, inReplyTo, references }
+async function sendMail(settings, mail) {
+  const transport = createTransport(settings);
+  try {
+    return await transport.sendMail(mail);
+  } finally {
+    transport.close();
+  }
+}
+
+// "Name <user@host>" -> "user@host"
+function extractAddress(value) {
+  const match = /<([^>]+)>/.exec(String(value || ''));
+  return (match ? match[1] : String(value || '')).trim();
+}
+
+module.exports = {
+  globalSettingsFor,
+  sendMail,
+  extractAddress
+};
@@ -0,0 +1,470 @@
+// src/storage/index.js
+// Persistent state for the bot. Tables:
+//   users     chatId               -> { chatId, createdAt, extractRules, notifyRules?,
+//                                       sentLog, bannedAt?, addressQuota?, webhook?,
+//                                       notifyMode?, digestAt?, timezone?, preferences? }
+//   addresses [chatId, email]      -> { chatId, email, provider, createdAt, lastMailAt?,
+//                                       label?, expiresAt?, expiryWarnedAt?, status?,
+//                                       statusReason?, imap?, smtp?, ownerId?,
+//                                       ownerName?, notifyMode?, digestAt? }
+//   seen      [chatId, email, id]  -> { chatId, email, id, at, read? }
+//   archive   [chatId, email, id]  -> { chatId, email, id, ref, from, to, subject, date,
+//                                       receivedAt, text, html, code, link,
+//                                       hasAttachments } (see src/archive.js)
+//   digest    [chatId, email, id]  -> { chatId, email, id, from, subject, code, queuedAt }
+//                                     mail waiting for its digest (src/digest.js)
+//   workspaces id (= home chatId)  -> { id, name, ownerId, createdAt, members, invites }
+//   links     chatId               -> id of the workspace the chat has joined
+//   tokens    SHA-256 of the token -> { hash, chatId, userId, userName, label, createdAt }
+//   settings  key                  -> value
+//   meta      key                  -> value (schemaVersion, migration info)
+// Address, seen, archive, digest and user rows of a workspace are keyed by
+// its home chat.
+// All tables live in memory; every change is committed to the backend as a
+// transaction before the call returns. A backend implements
+//   load() -> tables, commit(ops), compact(), dump() -> { filename, content },
+//   close()
+// where ops are ['put', table, key, value] / ['del', table, key].
+const { createJournalBackend } = require('./journal');
+const { readLegacyFile, legacyToRows } = require('./migrate');
+
+const SCHEMA_VERSION = 1;
+
+const backends = {
+  journal: createJournalBackend
+};
+
+function rowKey(...parts) {
+  return JSON.stringify(parts.map(String));
+}
+
+// backend and compactEvery come from STORAGE_BACKEND and STORAGE_COMPACT_EVERY
+function openStorage({ file, legacyFile, backend = 'journal', compactEvery }) {
+  const createBackend = backends[backend];
+  if (!createBackend) throw new Error(`Unknown storage backend: ${backend}`);
+  const db = createBackend({ file, compactEvery });
+  const tables = db.load();
+  for (const name of ['users', 'addresses', 'seen', 'archive', 'digest', 'workspaces', 'links', 'tokens', 'settings', 'meta']) {
+    if (!tables[name]) tables[name] = {};
+  }
+
+  // chatId -> Map(email -> address row), in insertion order
+  const addressIndex = new Map();
+  // [chatId, email] key -> Set of seen message ids
+  const seenIndex = new Map();
+  // table -> chatId -> Map(row key -> row), for the per-chat mail tables
+  const chatIndexes = { archive: new Map(), digest: new Map() };
+
+  function indexRow(table, key, value) {
+    if (table === 'addresses') {
+      if (!addressIndex.has(value.chatId)) addressIndex.set(value.chatId, new Map());
+      addressIndex.get(value.chatId).set(value.email, value);
+    } else if (table === 'seen') {
+      const addrKey = rowKey(value.chatId, value.email);
+      if (!seenIndex.has(addrKey)) seenIndex.set(addrKey, new Set());
+      seenIndex.get(addrKey).add(value.id);
+    } else if (chatIndexes[table]) {
+      const index = chatIndexes[table];
+      if (!index.has(value.chatId)) index.set(value.chatId, new Map());
+      index.get(value.chatId).set(key, value);
+    }
+  }
+
+  function unindexRow(table, key, value) {
+    if (table === 'addresses') {
+      const byChat = addressIndex.get(value.chatId);
+      if (byChat) byChat.delete(value.email);
+    } else if (table === 'seen') {
+      const ids = seenIndex.get(rowKey(value.chatId, value.email));
+      if (ids) ids.delete(value.id);
+    } else if (chatIndexes[table]) {
+      const byChat = chatIndexes[table].get(value.chatId);
+      if (byChat) byChat.delete(key);
+    }
+  }
+
+  for (const [key, value] of Object.entries(tables.addresses)) indexRow('addresses', key, value);
+  for (const [key, value] of Object.entries(tables.seen)) indexRow('seen', key, value);
+  for (const table of Object.keys(chatIndexes)) {
+    for (const [key, value] of Object.entries(tables[table])) indexRow(table, key, value);
+  }
+
+  // ---- transactions ----
+  let txOps = null;
+  let txUndo = null;
+
+  function apply(op, table, key, value) {
+    const previous = tables[table][key];
+    if (previous !== undefined) unindexRow(table, key, previous);
+    if (op === 'put') {
+      tables[table][key] = value;
+      indexRow(table, key, value);
+    } else {
+      delete tables[table][key];
+    }
+    return previous;
+  }
+
+  function write(op, table, key, value) {
+    if (op === 'del' && tables[table][key] === undefined) return;
+    const previous = apply(op, table, key, value);
+    const entry = op === 'put' ? ['put', table, key, value] : ['del', table, key];
+    if (txOps) {
+      txOps.push(entry);
+      txUndo.push([table, key, previous]);
+    } else {
+      db.commit([entry]);
+    }
+  }
+
+  // Run fn with all of its writes committed as one unit; if it throws,
+  // in-memory state is rolled back and nothing reaches the backend.
+  function transaction(fn) {
+    if (txOps) return fn();
+    txOps = [];
+    txUndo = [];
+    try {
+      const result = fn();
+      const ops = txOps;
+      txOps = null;
+      txUndo = null;
+      db.commit(ops);
+      return result;
+    } catch (err) {
+      for (const [table, key, previous] of txUndo.reverse()) {
+        apply(previous === undefined ? 'del' : 'put', table, key, previous);
+      }
+      txOps = null;
+      txUndo = null;
+      throw err;
+    }
+  }
+
+  // ---- users ----
+  function chatIds() {
+    return Object.keys(tables.users);
+  }
+
+  function getUser(chatId) {
+    return tables.users[String(chatId)] || null;
+  }
+
+  function ensureUser(chatId) {
+    const existing = getUser(chatId);
+    if (existing) return existing;
+    const user = { chatId: String(chatId), createdAt: new Date().toISOString(), extractRules: [], notifyRules: [], sentLog: [] };
+    write('put', 'users', user.chatId, user);
+    return user;
+  }
+
+  function updateUser(chatId, patch) {
+    const user = { ...ensureUser(chatId), ...patch };
+    write('put', 'users', user.chatId, user);
+    return user;
+  }
+
+  // ---- addresses ----
+  function listAddresses(chatId) {
+    const byChat = addressIndex.get(String(chatId));
+    return byChat ? [...byChat.values()] : [];
+  }
+
+  function listEmails(chatId) {
+    return listAddresses(chatId).map(a => a.email);
+  }
+
+  function getAddress(chatId, email) {
+    const byChat = addressIndex.get(String(chatId));
+    return (byChat && byChat.get(email)) || null;
+  }
+
+  function putAddress(chatId, email, fields = {}) {
+    const existing = getAddress(chatId, email);
+    const address = existing
+      ? { ...existing, ...fields }
+      : { chatId: String(chatId), email, provider: 'barid', createdAt: new Date().toISOString(), ...fields };
+    write('put', 'addresses', rowKey(chatId, email), address);
+    return address;
+  }
+
+  function removeAddress(chatId, email) {
+    if (!getAddress(chatId, email)) return false;
+    transaction(() => {
+      for (const id of seenIds(chatId, email)) write('del', 'seen', rowKey(chatId, email, id));
+      write('del', 'addresses', rowKey(chatId, email));
+    });
+    return true;
+  }
+
+  // Move an address and its seen history to a new spelling; merges into
+  // the target when that is already tracked
+  function renameAddress(chatId, from, to) {
+    const address = getAddress(chatId, from);
+    if (!address || from === to) return address;
+    return transaction(() => {
+      const rows = seenRows(chatId, from);
+      removeAddress(chatId, from);
+      const target = getAddress(chatId, to) || putAddress(chatId, to, { ...address, email: to });
+      for (const row of rows) {
+        if (!isSeen(chatId, to, row.id)) write('put', 'seen', rowKey(chatId, to, row.id), { ...row, email: to });
+      }
+      return target;
+    });
+  }
+
+  function clearAddresses(chatId) {
+    const emails = listEmails(chatId);
+    transaction(() => emails.forEach(email => removeAddress(chatId, email)));
+    return emails.length;
+  }
+
+  // ---- seen messages ----
+  function seenIds(chatId, email) {
+    return [...(seenIndex.get(rowKey(chatId, email)) || [])];
+  }
+
+  function isSeen(chatId, email, id) {
+    const ids = seenIndex.get(rowKey(chatId, email));
+    return Boolean(ids && ids.has(String(id)));
+  }
+
+  function markSeen(chatId, email, ids) {
+    const at = new Date().toISOString();
+    transaction(() => {
+      for (const id of ids) {
+        if (id === undefined || id === null || isSeen(chatId, email, id)) continue;
+        write('put', 'seen', rowKey(chatId, email, id), { chatId: String(chatId), email, id: String(id), at });
+      }
+    });
+  }
+
+  function seenRows(chatId, email) {
+    return seenIds(chatId, email).map(id => tables.seen[rowKey(chatId, email, id)]);
+  }
+
+  // Re-create seen rows from an export, keeping their times and read state
+  function restoreSeen(chatId, email, rows) {
+    transaction(() => {
+      for (const row of rows) {
+        const id = String(row.id);
+        if (isSeen(chatId, email, id)) continue;
+        const restored = { chatId: String(chatId), email, id, at: row.at || new Date().toISOString() };
+        if (row.read) restored.read = true;
+        write('put', 'seen', rowKey(chatId, email, id), restored);
+      }
+    });
+  }
+
+  // Read/unread state for the inbox browser; mail without it counts as unread
+  function isRead(chatId, email, id) {
+    const row = tables.seen[rowKey(chatId, email, id)];
+    return Boolean(row && row.read);
+  }
+
+  // Marking mail read also marks it seen, so it won't be announced later
+  function markRead(chatId, email, id, read = true) {
+    const key = rowKey(chatId, email, id);
+    const row = tables.seen[key] || { chatId: String(chatId), email, id: String(id), at: new Date().toISOString() };
+    write('put', 'seen', key, { ...row, read });
+  }
+
+  // Which of a user's addresses a message ID was seen on
+  function findSeenAddress(chatId, id) {
+    return listEmails(chatId).find(email => isSeen(chatId, email, id)) || null;
+  }
+
+  // ---- archived mail ----
+  function putArchived(row) {
+    write('put', 'archive', rowKey(row.chatId, row.email, row.id), row);
+    return row;
+  }
+
+  function chatRows(table, chatId) {
+    const byChat = chatIndexes[table].get(String(chatId));
+    return byChat ? [...byChat.values()] : [];
+  }
+
+  function listArchived(chatId) {
+    return chatRows('archive', chatId);
+  }
+
+  // By the short ref search results use, or by message ID
+  function getArchived(chatId, ref) {
+    return listArchived(chatId).find(row => row.ref === ref) || null;
+  }
+
+  function findArchived(chatId, id) {
+    return listArchived(chatId).find(row => row.id === String(id)) || null;
+  }
+
+  // Drop mail archived before `before` (ISO time) in every chat, and all
+  // but the newest `keep` rows of chatId if given; returns how many went
+  function pruneArchive({ before = null, chatId = null, keep = null }) {
+    const doomed = new Set();
+    if (before) {
+      for (const rows of chatIndexes.archive.values()) {
+        for (const row of rows.values()) if (row.receivedAt < before) doomed.add(row);
+      }
+    }
+    if (chatId !== null && keep !== null) {
+      const newestFirst = listArchived(chatId).sort((a, b) => (a.receivedAt < b.receivedAt ? 1 : -1));
+      newestFirst.slice(keep).forEach(row => doomed.add(row));
+    }
+    transaction(() => doomed.forEach(row => write('del', 'archive', rowKey(row.chatId, row.email, row.id))));
+    return doomed.size;
+  }
+
+  // ---- digest queue ----
+  function queueDigest(row) {
+    write('put', 'digest', rowKey(row.chatId, row.email, row.id), row);
+    return row;
+  }
+
+  // Queued mail of chatId, oldest first
+  function listDigest(chatId) {
+    return chatRows('digest', chatId).sort((a, b) => (a.queuedAt < b.queuedAt ? -1 : a.queuedAt > b.queuedAt ? 1 : 0));
+  }
+
+  function removeDigest(rows) {
+    transaction(() => rows.forEach(row => write('del', 'digest', rowKey(row.chatId, row.email, row.id))));
+  }
+
+  // Chats with mail waiting for a digest
+  function digestChats() {
+    return [...chatIndexes.digest.entries()].filter(([, rows]) => rows.size > 0).map(([chatId]) => chatId);
+  }
+
+  // ---- workspaces ----
+  function getWorkspace(id) {
+    return tables.workspaces[String(id)] || null;
+  }
+
+  function putWorkspace(workspace) {
+    write('put', 'workspaces', String(workspace.id), workspace);
+    return workspace;
+  }
+
+  function listWorkspaces() {
+    return Object.values(tables.workspaces);
+  }
+
+  function getLink(chatId) {
+    return tables.links[String(chatId)] || null;
+  }
+
+  function setLink(chatId, workspaceId) {
+    if (workspaceId === null) {
+      if (getLink(chatId)) write('del', 'links', String(chatId));
+    } else {
+      write('put', 'links', String(chatId), String(workspaceId));
+    }
+  }
+
+  function linkedChats(workspaceId) {
+    return Object.keys(tables.links).filter(chatId => tables.links[chatId] === String(workspaceId));
+  }
+
+  // ---- API tokens ----
+  function getToken(hash) {
+    return tables.tokens[hash] || null;
+  }
+
+  function putToken(token) {
+    write('put', 'tokens', token.hash, token);
+    return token;
+  }
+
+  function removeToken(hash) {
+    if (!getToken(hash)) return false;
+    write('del', 'tokens', hash);
+    return true;
+  }
+
+  // Tokens created in chatId, oldest first
+  function listTokens(chatId) {
+    return Object.values(tables.tokens).filter(token => token.chatId === String(chatId));
+  }
+
+  // ---- settings ----
+  function getSetting(key, fallback = null) {
+    return tables.settings[key] === undefined ? fallback : tables.settings[key];
+  }
+
+  function setSetting(key, value) {
+    write('put', 'settings', key, value);
+  }
+
+  // ---- migration ----
+  function migrate() {
+    if (tables.meta.schemaVersion) return;
+    const legacy = readLegacyFile(legacyFile);
+    transaction(() => {
+      if (legacy) {
+        const rows = legacyToRows(legacy);
+        rows.users.forEach(user => write('put', 'users', user.chatId, user));
+        rows.addresses.forEach(a => write('put', 'addresses', rowKey(a.chatId, a.email), a));
+        rows.seen.forEach(s => write('put', 'seen', rowKey(s.chatId, s.email, s.id), s));
+        write('put', 'meta', 'migratedFrom', legacyFile);
+        write('put', 'meta', 'migratedAt', new Date().toISOString());
+        console.log(`Storage: migrated ${rows.users.length} user(s), ${rows.addresses.length} address(es) from ${legacyFile}`);
+      }
+      write('put', 'meta', 'schemaVersion', SCHEMA_VERSION);
+    });
+  }
+
+  migrate();
+
+  return {
+    backend: db.name,
+    transaction,
+    chatIds,
+    getUser,
+    ensureUser,
+    updateUser,
+    listAddresses,
+    listEmails,
+    getAddress,
+    putAddress,
+    removeAddress,
+    renameAddress,
+    clearAddresses,
+    seenIds,
+    isSeen,
+    markSeen,
+    seenRows,
+    restoreSeen,
+    isRead,
+    markRead,
+    findSeenAddress,
+    putArchived,
+    listArchived,
+    getArchived,
+    findArchived,
+    pruneArchive,
+    queueDigest,
+    listDigest,
+    removeDigest,
+    digestChats,
+    getWorkspace,
+    putWorkspace,
+    listWorkspaces,
+    getLink,
+    setLink,
+    linkedChats,
+    getToken,
+    putToken,
+    removeToken,
+    listTokens,
+    getSetting,
+    setSetting,
+    compact: () => db.compact(),
+    dump: () => db.dump(),
+    close: () => db.close()
+  };
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  backends,
+  openStorage
+};
@@ -0,0 +1,133 @@
+// src/storage/journal.js
+// File backend: a JSON snapshot plus an append-only journal of committed
+// transactions. Snapshots are replaced by write-then-rename, so a crash
+// leaves either the old or the new one on disk; the journal is replayed on
+// top of it at startup and a torn final line (crash mid-append) is dropped.
+const fs = require('fs');
+const path = require('path');
+
+// compactEvery: journal entries before they are folded into a new snapshot
+function createJournalBackend({ file, compactEvery = 500 }) {
+  const snapshotFile = `${file}.json`;
+  const journalFile = `${file}.journal`;
+  let seq = 0;
+  let pending = 0;
+  let tables = {};
+  let fd = null;
+
+  function fsyncDir() {
+    try {
+      const dirFd = fs.openSync(path.dirname(snapshotFile), 'r');
+      fs.fsyncSync(dirFd);
+      fs.closeSync(dirFd);
+    } catch (err) {
+      // not supported on every platform; the rename itself is still atomic
+    }
+  }
+
+  function applyOps(ops) {
+    for (const [op, table, key, value] of ops) {
+      if (!tables[table]) tables[table] = {};
+      if (op === 'put') tables[table][key] = value;
+      else if (op === 'del') delete tables[table][key];
+      else throw new Error(`Unknown journal op: ${op}`);
+    }
+  }
+
+  function load() {
+    if (fs.existsSync(snapshotFile)) {
+      let snapshot;
+      try {
+        snapshot = JSON.parse(fs.readFileSync(snapshotFile, 'utf8'));
+      } catch (err) {
+        throw new Error(`Storage snapshot ${snapshotFile} is unreadable: ${err.message}`);
+      }
+      tables = snapshot.tables || {};
+      seq = snapshot.seq || 0;
+    }
+
+    if (fs.existsSync(journalFile)) {
+      const lines = fs.readFileSync(journalFile, 'utf8').split('\n');
+      // everything after the last newline is an incomplete write
+      const torn = lines.pop();
+      if (torn) console.warn(`Storage: dropped incomplete journal entry (${torn.length} bytes)`);
+      lines.forEach((line, i) => {
+        if (!line) return;
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (err) {
+          throw new Error(`Storage journal ${journalFile} is corrupt at line ${i + 1}: ${err.message}`);
+        }
+        // entries already folded into the snapshot are skipped
+        if (entry.seq <= seq) return;
+        applyOps(entry.ops);
+        seq = entry.seq;
+        pending++;
+      });
+    }
+
+    compact();
+    return tables;
+  }
+
+  function openJournal() {
+    if (fd === null) fd = fs.openSync(journalFile, 'a');
+    return fd;
+  }
+
+  // Durably append one transaction; returns once it is on disk. The caller
+  // has already applied the ops to the tables object returned by load().
+  function commit(ops) {
+    if (ops.length === 0) return;
+    seq++;
+    const line = JSON.stringify({ seq, ops }) + '\n';
+    const journal = openJournal();
+    fs.writeSync(journal, line);
+    fs.fsyncSync(journal);
+    pending++;
+    if (pending >= compactEvery) compact();
+  }
+
+  // Fold the journal into a fresh snapshot and start a new journal
+  function compact() {
+    const tmp = `${snapshotFile}.tmp`;
+    const tmpFd = fs.openSync(tmp, 'w');
+    fs.writeSync(tmpFd, JSON.stringify({ seq, savedAt: new Date().toISOString(), tables }));
+    fs.fsyncSync(tmpFd);
+    fs.closeSync(tmpFd);
+    fs.renameSync(tmp, snapshotFile);
+    fsyncDir();
+    if (fd !== null) {
+      fs.closeSync(fd);
+      fd = null;
+    }
+    fs.writeFileSync(journalFile, '');
+    pending = 0;
+  }
+
+  // The snapshot file with everything committed so far, for backups
+  function dump() {
+    compact();
+    return { filename: path.basename(snapshotFile), content: fs.readFileSync(snapshotFile) };
+  }
+
+  function close() {
+    if (pending > 0) compact();
+    if (fd !== null) {
+      fs.closeSync(fd);
+      fd = null;
+    }
+  }
+
+  return {
+    name: 'journal',
+    load,
+    commit,
+    compact,
+    dump,
+    close
+  };
+}
+
+module.exports = { createJournalBackend };
@@ -0,0 +1,51 @@
+// src/storage/migrate.js
+// One-time import of the legacy bot_data.json shape:
+//   { chatId: { emails: [], seenEmails: { email: { id: true } }, providers,
+//               imapAccounts, smtpAccounts, extractRules, sentLog } }
+const fs = require('fs');
+
+function readLegacyFile(file) {
+  if (!file || !fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Legacy data file ${file} is unreadable, refusing to start with empty state: ${err.message}`);
+  }
+}
+
+// Returns rows per table; keys are built by the store
+function legacyToRows(legacy) {
+  const now = new Date().toISOString();
+  const rows = { users: [], addresses: [], seen: [] };
+  for (const [chatId, data] of Object.entries(legacy || {})) {
+    if (!data || typeof data !== 'object') continue;
+    rows.users.push({
+      chatId: String(chatId),
+      createdAt: now,
+      extractRules: data.extractRules || [],
+      sentLog: data.sentLog || []
+    });
+    const emails = [...new Set(data.emails || [])];
+    for (const email of emails) {
+      const address = {
+        chatId: String(chatId),
+        email,
+        provider: (data.providers && data.providers[email]) || 'barid',
+        createdAt: now
+      };
+      if (data.imapAccounts && data.imapAccounts[email]) address.imap = data.imapAccounts[email];
+      if (data.smtpAccounts && data.smtpAccounts[email]) address.smtp = data.smtpAccounts[email];
+      rows.addresses.push(address);
+      const seen = (data.seenEmails && data.seenEmails[email]) || {};
+      for (const id of Object.keys(seen)) {
+        rows.seen.push({ chatId: String(chatId), email, id, at: now });
+      }
+    }
+  }
+  return rows;
+}
+
+module.exports = {
+  readLegacyFile,
+  legacyToRows
+};
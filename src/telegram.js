@@ -0,0 +1,124 @@
+// src/telegram.js
+// Outbound Telegram helpers. Every send goes through the queue so bursts
+// stay within Telegram's per-chat and global limits and 429s are retried.
+// During a chat's quiet hours everything arrives without a sound.
+const { splitMessage } = require('./mailText');
+
+// quiet(chatId) -> whether the chat is in its quiet hours
+function createTelegram({ bot, sendQueue, quiet = () => false }) {
+  function silenced(chatId, opts) {
+    return quiet(chatId) ? { ...opts, disable_notification: true } : opts;
+  }
+
+  // Resolves with the sent message, or null if it could not be delivered
+  function send(chatId, message, opts = {}) {
+    return sendStrict(chatId, message, opts).catch(err => {
+      console.error("Telegram send error:", err.message);
+      return null;
+    });
+  }
+
+  // Like send, but rejects with Telegram's error so the caller can tell a
+  // chat that blocked the bot from an outage (see isTransient)
+  function sendStrict(chatId, message, opts = {}) {
+    return sendQueue.enqueue(chatId, () => bot.sendMessage(chatId, message, silenced(chatId, opts)));
+  }
+
+  // Replace a message's text and keyboard in place
+  function edit(chatId, messageId, text, opts = {}) {
+    return sendQueue.enqueue(chatId, () => bot.editMessageText(text, { chat_id: chatId, message_id: messageId, ...opts })).catch(err => {
+      // re-rendering an unchanged screen is harmless
+      if (!/message is not modified/.test(err.message)) console.error("Telegram edit error:", err.message);
+      return null;
+    });
+  }
+
+  function pin(chatId, messageId) {
+    return sendQueue.enqueue(chatId, () => bot.pinChatMessage(chatId, messageId, { disable_notification: true })).catch(err => {
+      console.error("Telegram pin error:", err.message);
+      return null;
+    });
+  }
+
+  // send text that may exceed Telegram's length limit as several messages
+  // Resolves with the last message sent, or null once a chunk wasn't delivered
+  async function sendLong(chatId, text, opts = {}) {
+    let sent = null;
+    for (const chunk of splitMessage(text)) {
+      sent = await send(chatId, chunk, opts);
+      if (!sent) return null;
+    }
+    return sent;
+  }
+
+  function sendDocument(chatId, buffer, filename, contentType, opts = {}) {
+    return sendQueue.enqueue(chatId, () => bot.sendDocument(chatId, buffer, silenced(chatId, opts), { filename, contentType })).catch(err => {
+      console.error("Telegram document send error:", err.message);
+      return null;
+    });
+  }
+
+  // batch is { kind: 'photo' | 'document', files: [{ filename, contentType, content }] }
+  function sendFiles(chatId, batch, caption) {
+    const fileOptions = file => ({ filename: file.filename, contentType: file.contentType });
+    if (batch.files.length === 1) {
+      const [file] = batch.files;
+      const method = batch.kind === 'photo' ? bot.sendPhoto : bot.sendDocument;
+      const opts = silenced(chatId, { caption: `${caption}\n${file.filename}` });
+      return sendQueue.enqueue(chatId, () => method.call(bot, chatId, file.content, opts, fileOptions(file))).catch(err => {
+        console.error("Telegram file send error:", err.message);
+        return null;
+      });
+    }
+    const media = batch.files.map((file, i) => ({
+      type: batch.kind,
+      media: file.content,
+      caption: i === 0 ? caption : undefined,
+      fileOptions: fileOptions(file)
+    }));
+    return sendQueue.enqueue(chatId, () => bot.sendMediaGroup(chatId, media, silenced(chatId, {}))).catch(err => {
+      console.error("Telegram media group send error:", err.message);
+      return null;
+    });
+  }
+
+  // Download a file the user sent to the bot into memory
+  async function downloadFile(fileId) {
+    const chunks = [];
+    for await (const chunk of bot.getFileStream(fileId)) chunks.push(chunk);
+    return Buffer.concat(chunks);
+  }
+
+  // Whether userId is in the group chatId; false when the bot can't tell
+  // (e.g. it isn't in that chat itself)
+  async function isMember(chatId, userId) {
+    try {
+      const member = await bot.getChatMember(chatId, userId);
+      return ['creator', 'administrator', 'member'].includes(member.status) || (member.status === 'restricted' && member.is_member);
+    } catch (err) {
+      return false;
+    }
+  }
+
+  function deleteMessage(chatId, messageId) {
+    return bot.deleteMessage(chatId, messageId).catch(err => {
+      console.error("Telegram delete error:", err.message);
+      return null;
+    });
+  }
+
+  return {
+    send,
+    sendStrict,
+    edit,
+    sendLong,
+    pin,
+    sendDocument,
+    sendFiles,
+    downloadFile,
+    isMember,
+    deleteMessage
+  };
+}
+
+module.exports = { createTelegram };
@@ -0,0 +1,208 @@
+// src/transfer.js
+// Address lists as files. txt is one address per line, csv adds labels and
+// dates, json is a full export (addresses, seen mail, OTP and notification
+// rules) that /import restores on another deployment. Stored IMAP/SMTP
+// logins are encrypted with this deployment's key and are never exported.
+const path = require('path');
+const { validateAddress, normalizeAddress } = require('./lifecycle');
+const { isValidRule } = require('./rules');
+const { patternError } = require('./userRegex');
+
+const FORMATS = ['txt', 'csv', 'json'];
+const EXPORT_KIND = 'mailbot-export';
+const EXPORT_VERSION = 1;
+const CSV_COLUMNS = ['email', 'provider', 'label', 'created_at', 'expires_at', 'last_mail_at'];
+// csv column -> address field
+const CSV_FIELDS = {
+  provider: 'provider',
+  label: 'label',
+  created_at: 'createdAt',
+  expires_at: 'expiresAt',
+  last_mail_at: 'lastMailAt'
+};
+const CONTENT_TYPES = { txt: 'text/plain', csv: 'text/csv', json: 'application/json' };
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Rows of cells, each tagged with the line it starts on
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (c === '\n') line++;
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        cell += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (c === '\n') {
+      row.push(cell);
+      rows.push({ line: rowLine, cells: row });
+      row = [];
+      cell = '';
+      rowLine = line;
+    } else if (c !== '\r') {
+      cell += c;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push({ line: rowLine, cells: row });
+  }
+  return rows.filter(r => r.cells.some(value => value.trim()));
+}
+
+// 20240131-0945, for file names
+function fileStamp(date = new Date()) {
+  return date.toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+}
+
+// { name, type, content } for the given addresses (default: all of them)
+function exportFile(store, chatId, format, emails = store.listEmails(chatId)) {
+  const addresses = emails.map(email => store.getAddress(chatId, email)).filter(Boolean);
+  let content;
+  if (format === 'txt') {
+    content = addresses.map(a => `${a.email}\n`).join('');
+  } else if (format === 'csv') {
+    const rows = addresses.map(a => [a.email, ...CSV_COLUMNS.slice(1).map(column => a[CSV_FIELDS[column]])]);
+    content = [CSV_COLUMNS, ...rows].map(row => `${row.map(csvCell).join(',')}\n`).join('');
+  } else {
+    const user = store.ensureUser(chatId);
+    content = JSON.stringify({
+      kind: EXPORT_KIND,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      extractRules: user.extractRules || [],
+      notifyRules: user.notifyRules || [],
+      addresses: addresses.map(a => ({
+        email: a.email,
+        provider: a.provider,
+        label: a.label || null,
+        createdAt: a.createdAt,
+        expiresAt: a.expiresAt || null,
+        lastMailAt: a.lastMailAt || null,
+        seen: store.seenRows(chatId, a.email).map(({ id, at, read }) => (read ? { id, at, read } : { id, at }))
+      }))
+    }, null, 2);
+  }
+  return { name: `addresses-${fileStamp()}.${format}`, type: CONTENT_TYPES[format], content };
+}
+
+function formatOf(filename, text) {
+  const ext = path.extname(String(filename || '')).slice(1).toLowerCase();
+  if (FORMATS.includes(ext)) return ext;
+  return /^\s*[{[]/.test(text) ? 'json' : 'txt';
+}
+
+function validDate(value) {
+  return !value || !isNaN(new Date(value).getTime());
+}
+
+function txtEntries(text) {
+  return text.split(/\r?\n/).map((raw, i) => ({ where: `line ${i + 1}`, raw: raw.trim() }))
+    .filter(entry => entry.raw && !entry.raw.startsWith('#'))
+    .map(({ where, raw }) => ({ where, raw, fields: {} }));
+}
+
+function csvEntries(text) {
+  const rows = parseCsv(text);
+  if (rows.length === 0) return { entries: [] };
+  const header = rows[0].cells.map(cell => cell.trim().toLowerCase());
+  // without a header row the first column holds the address
+  const hasHeader = header.includes('email');
+  const columns = hasHeader ? header : ['email'];
+  const entries = (hasHeader ? rows.slice(1) : rows).map(({ line, cells }) => {
+    const fields = {};
+    columns.forEach((column, i) => {
+      const value = (cells[i] || '').trim();
+      if (CSV_FIELDS[column] && value) fields[CSV_FIELDS[column]] = value;
+    });
+    return { where: `line ${line}`, raw: (cells[columns.indexOf('email')] || '').trim(), fields };
+  });
+  return { entries };
+}
+
+function jsonEntries(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return { error: `Not valid JSON: ${err.message}` };
+  }
+  if (!data || data.kind !== EXPORT_KIND || !Array.isArray(data.addresses)) {
+    return { error: "This JSON file isn't an /export json file." };
+  }
+  if (data.version > EXPORT_VERSION) return { error: `Export version ${data.version} is newer than this bot understands.` };
+  const entries = data.addresses.map((a, i) => {
+    const fields = {};
+    for (const key of Object.values(CSV_FIELDS)) if (a && a[key]) fields[key] = a[key];
+    const seen = a && Array.isArray(a.seen) ? a.seen.filter(s => s && s.id !== undefined && s.id !== null) : [];
+    return { where: `entry ${i + 1}`, raw: a && typeof a.email === 'string' ? a.email : '', fields, seen };
+  });
+  const rules = Array.isArray(data.extractRules)
+    ? data.extractRules.filter(r => r && typeof r.sender === 'string' && typeof r.pattern === 'string' && !patternError(r.pattern))
+    : [];
+  const notifyRules = Array.isArray(data.notifyRules) ? data.notifyRules.filter(isValidRule) : [];
+  return { entries, rules, notifyRules };
+}
+
+// Parses an import file. Resolves every entry to a normalized address or
+// an error: { format, entries: [{ where, email, fields, seen? }],
+// errors: [{ where, message }], rules, notifyRules, error? } where error
+// means the file as a whole couldn't be read. providerNames limits the
+// provider column.
+function parseImport(text, filename, providerNames) {
+  const format = formatOf(filename, text);
+  const parsed = format === 'json' ? jsonEntries(text) : format === 'csv' ? csvEntries(text) : { entries: txtEntries(text) };
+  if (parsed.error) return { format, entries: [], errors: [], rules: [], notifyRules: [], error: parsed.error };
+
+  const entries = [];
+  const errors = [];
+  const firstSeen = new Map(); // email -> where
+  for (const entry of parsed.entries) {
+    const email = normalizeAddress(entry.raw);
+    const problem = entry.raw ? validateAddress(email) : 'no address';
+    const { provider, createdAt, expiresAt, lastMailAt } = entry.fields;
+    let message = null;
+    if (problem) message = `${problem} (${entry.raw || 'empty'})`;
+    else if (firstSeen.has(email)) message = `duplicate of ${firstSeen.get(email)} (${email})`;
+    else if (provider && !providerNames.includes(provider.toLowerCase())) message = `unknown provider "${provider}" (${email})`;
+    else if (![createdAt, expiresAt, lastMailAt].every(validDate)) message = `invalid date (${email})`;
+    if (message) {
+      errors.push({ where: entry.where, message });
+      continue;
+    }
+    firstSeen.set(email, entry.where);
+    const fields = { ...entry.fields };
+    if (provider) fields.provider = provider.toLowerCase();
+    // same limit as /label
+    if (fields.label) fields.label = String(fields.label).slice(0, 64);
+    entries.push({ where: entry.where, email, fields, seen: entry.seen || [] });
+  }
+  return { format, entries, errors, rules: parsed.rules || [], notifyRules: parsed.notifyRules || [] };
+}
+
+module.exports = {
+  FORMATS,
+  fileStamp,
+  exportFile,
+  parseImport,
+  parseCsv
+};
@@ -0,0 +1,97 @@
+// src/userRegex.js
+// Regexes that users type (/rules, /otprule) run against every incoming
+// mail, so they are kept to shapes that can't backtrack for ages: short,
+// no backreferences, and no repeated group that itself repeats or
+// alternates, like (a+)+ or (a|ab)*. What slips through (e.g. .*.*.*x)
+// still runs under a time limit. Compiled patterns are cached, so a rule
+// is compiled once rather than per mail.
+const vm = require('vm');
+
+const MAX_PATTERN_LENGTH = 100;
+// only this much of a subject or body is searched
+const MAX_INPUT_LENGTH = 16 * 1024;
+const TIME_LIMIT_MS = 50;
+const CACHE_SIZE = 500;
+
+// a context of its own, so a runaway match can be stopped by vm's timeout
+const sandbox = vm.createContext({});
+const execScript = new vm.Script('re.exec(text)');
+
+const cache = new Map(); // pattern -> RegExp, or null when refused
+
+// Whether the character at i starts an unbounded quantifier: *, + or {n,}
+function unboundedAt(pattern, i) {
+  const c = pattern[i];
+  return c === '*' || c === '+' || (c === '{' && /^\{\d+,\}/.test(pattern.slice(i)));
+}
+
+// Why pattern won't be run, e.g. "longer than 100 characters", or null
+function patternError(pattern) {
+  if (pattern.length > MAX_PATTERN_LENGTH) return `longer than ${MAX_PATTERN_LENGTH} characters`;
+  if (/\\[1-9]|\\k</.test(pattern)) return 'backreferences (\\1, \\k<name>) are not supported';
+  try {
+    new RegExp(pattern, 'i');
+  } catch (err) {
+    return err.message;
+  }
+  // one frame per open group: does it repeat or alternate inside?
+  const groups = [{ risky: false }];
+  let inClass = false;
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === '\\') {
+      i++;
+      continue;
+    }
+    if (inClass) {
+      if (c === ']') inClass = false;
+      continue;
+    }
+    if (c === '[') inClass = true;
+    else if (c === '(') groups.push({ risky: false });
+    else if (c === '|') groups[groups.length - 1].risky = true;
+    else if (unboundedAt(pattern, i)) groups[groups.length - 1].risky = true;
+    else if (c === ')') {
+      const group = groups.pop();
+      if (group.risky && unboundedAt(pattern, i + 1)) {
+        return 'a repeated group can\'t itself repeat or alternate, like (a+)+ or (a|b)*, as that can take ages on some mail';
+      }
+      if (group.risky) groups[groups.length - 1].risky = true;
+    }
+  }
+  return null;
+}
+
+// The compiled, case-insensitive regex, or null if the pattern is refused
+// (rules saved before these checks may still hold one)
+function compile(pattern) {
+  if (cache.has(pattern)) return cache.get(pattern);
+  const re = patternError(pattern) ? null : new RegExp(pattern, 'i');
+  if (cache.size >= CACHE_SIZE) cache.clear();
+  cache.set(pattern, re);
+  return re;
+}
+
+// The first match of pattern in the start of text; null when there is
+// none, the pattern is refused or matching takes too long
+function execUserRegex(pattern, text) {
+  const re = compile(pattern);
+  if (!re) return null;
+  sandbox.re = re;
+  sandbox.text = String(text).slice(0, MAX_INPUT_LENGTH);
+  try {
+    return execScript.runInContext(sandbox, { timeout: TIME_LIMIT_MS });
+  } catch (err) {
+    if (err.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw err;
+    console.error(`Regex /${pattern}/ took over ${TIME_LIMIT_MS}ms, treated as no match`);
+    return null;
+  } finally {
+    sandbox.re = null;
+    sandbox.text = null;
+  }
+}
+
+module.exports = {
+  patternError,
+  execUserRegex
+};
@@ -0,0 +1,131 @@
+// src/webhooks.js
+// Outgoing webhooks: a chat's /webhook URL gets a signed JSON POST for each
+// new mail. Receivers check X-Mailbot-Signature, which is
+//   sha256=<hex HMAC-SHA256 of "<X-Mailbot-Timestamp>.<body>" with the secret>
+// and should reject old timestamps so a captured request can't be replayed.
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+
+const TIMEOUT = 10000;
+// waits before the second and third attempt of a failed delivery
+const RETRY_DELAYS = [2000, 10000];
+
+const PRIVATE_V4 = [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]
+];
+
+function createSecret() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+function sign(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function v4ToInt(ip) {
+  return ip.split('.').reduce((n, part) => n * 256 + Number(part), 0);
+}
+
+function isPrivateIp(ip) {
+  if (net.isIPv4(ip)) {
+    const n = v4ToInt(ip);
+    return PRIVATE_V4.some(([base, bits]) => Math.floor(n / 2 ** (32 - bits)) === Math.floor(v4ToInt(base) / 2 ** (32 - bits)));
+  }
+  const lower = ip.toLowerCase();
+  if (lower.startsWith('::ffff:') && net.isIPv4(lower.slice(7))) return isPrivateIp(lower.slice(7));
+  return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower);
+}
+
+// Why url can't be a webhook target, or null. Unless allowPrivate, hosts
+// that are or resolve to private and loopback addresses are refused, so a
+// chat can't make the bot call into the network it runs in.
+async function urlError(url, allowPrivate = false) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    return 'not a valid URL';
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) return 'only http and https URLs are supported';
+  if (parsed.username || parsed.password) return "URLs can't carry credentials";
+  if (allowPrivate) return null;
+  const host = parsed.hostname.replace(/^\[(.*)\]$/, '$1');
+  if (host === 'localhost' || host.endsWith('.localhost')) return 'private and local hosts are not allowed';
+  let ips;
+  try {
+    ips = net.isIP(host) ? [host] : (await dns.promises.lookup(host, { all: true })).map(entry => entry.address);
+  } catch (err) {
+    return `could not resolve ${host}`;
+  }
+  return ips.some(isPrivateIp) ? 'private and local hosts are not allowed' : null;
+}
+
+// dns.lookup for the request itself, refusing private addresses: the
+// address urlError() checked may not be the one a host resolves to a moment
+// later (DNS rebinding), so the check is repeated for the address connected to
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    const blocked = addresses.find(entry => isPrivateIp(entry.address));
+    if (blocked) return callback(new Error(`${hostname} resolved to the private address ${blocked.address}`));
+    callback(null, address, family);
+  });
+}
+
+const PUBLIC_AGENTS = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// POSTs { event, sentAt, ...data } to hook.url, retrying failures unless
+// retry is false. Never throws; resolves with { ok, status?, error? } of
+// the last attempt.
+async function deliver(hook, event, data, { retry = true, allowPrivate = false } = {}) {
+  const delays = retry ? [0, ...RETRY_DELAYS] : [0];
+  let result = null;
+  for (const delay of delays) {
+    if (delay) await sleep(delay);
+    const problem = await urlError(hook.url, allowPrivate);
+    if (problem) return { ok: false, error: problem };
+    const body = JSON.stringify({ event, sentAt: new Date().toISOString(), ...data });
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    try {
+      const res = await axios.post(hook.url, body, {
+        timeout: TIMEOUT,
+        maxRedirects: 0,
+        validateStatus: () => true,
+        ...(allowPrivate ? {} : PUBLIC_AGENTS),
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'mailbot-webhook',
+          'X-Mailbot-Event': event,
+          'X-Mailbot-Timestamp': timestamp,
+          'X-Mailbot-Signature': sign(hook.secret, timestamp, body)
+        }
+      });
+      result = res.status >= 200 && res.status < 300 ? { ok: true, status: res.status } : { ok: false, status: res.status, error: `HTTP ${res.status}` };
+    } catch (err) {
+      result = { ok: false, error: err.message };
+    }
+    if (result.ok) return result;
+  }
+  console.error(`Webhook ${event} to ${hook.url} failed:`, result.error);
+  return result;
+}
+
+module.exports = {
+  createSecret,
+  sign,
+  urlError,
+  deliver
+};
@@ -0,0 +1,174 @@
+// src/workspaces.js
+// Shared workspaces. A workspace opens one chat's state (addresses, rules,
+// seen mail) to a team: it is keyed by that home chat, people join with an
+// invite code and get a role, and a chat they join from works on the
+// workspace's state instead of its own until they leave. Chats outside any
+// workspace work alone, and whoever uses them has every right.
+const crypto = require('crypto');
+
+// lowest to highest
+const ROLES = ['viewer', 'admin', 'owner'];
+const INVITE_TTL = 7 * 24 * 60 * 60 * 1000;
+
+function roleAtLeast(role, needed) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(needed);
+}
+
+// Group chats have negative IDs
+function isGroup(chatId) {
+  return Number(chatId) < 0;
+}
+
+// How a Telegram user is shown to the rest of the team
+function displayName(user) {
+  if (!user) return 'someone';
+  const name = [user.first_name, user.last_name].filter(Boolean).join(' ');
+  return name || (user.username ? `@${user.username}` : String(user.id));
+}
+
+// Fields stored on an address so notifications can mention who added it
+function ownerFields(user) {
+  return user ? { ownerId: String(user.id), ownerName: displayName(user) } : {};
+}
+
+function createWorkspaces({ store }) {
+  // The state a chat works on: the home chat of the workspace it joined,
+  // or its own
+  function spaceFor(chatId) {
+    const link = store.getLink(chatId);
+    return link && store.getWorkspace(link) ? link : chatId;
+  }
+
+  function get(space) {
+    return store.getWorkspace(space);
+  }
+
+  // { space, workspace, role } for a message from user in chatId; role is
+  // null for someone who isn't a member of the chat's workspace
+  function access(chatId, user) {
+    const space = spaceFor(chatId);
+    const workspace = store.getWorkspace(space);
+    if (!workspace) return { space, workspace: null, role: 'owner' };
+    const member = user && workspace.members[String(user.id)];
+    return { space, workspace, role: member ? member.role : null };
+  }
+
+  function create(chatId, user, name) {
+    if (store.getWorkspace(spaceFor(chatId))) return { error: 'This chat already belongs to a workspace.' };
+    const now = new Date().toISOString();
+    const workspace = {
+      id: String(chatId),
+      name,
+      ownerId: String(user.id),
+      createdAt: now,
+      members: { [user.id]: { role: 'owner', name: displayName(user), joinedAt: now } },
+      invites: {}
+    };
+    store.transaction(() => {
+      store.ensureUser(chatId);
+      store.putWorkspace(workspace);
+    });
+    return { workspace };
+  }
+
+  // A single-use code that lets someone join with the given role
+  function invite(space, role, user) {
+    const workspace = store.getWorkspace(space);
+    const now = Date.now();
+    const invites = {};
+    for (const [code, pending] of Object.entries(workspace.invites)) {
+      if (new Date(pending.expiresAt).getTime() > now) invites[code] = pending;
+    }
+    const code = crypto.randomBytes(5).toString('hex').toUpperCase();
+    invites[code] = { role, createdBy: String(user.id), expiresAt: new Date(now + INVITE_TTL).toISOString() };
+    store.putWorkspace({ ...workspace, invites });
+    return { code, role, expiresAt: invites[code].expiresAt };
+  }
+
+  function join(chatId, user, code) {
+    code = String(code).toUpperCase();
+    const workspace = store.listWorkspaces().find(w => w.invites[code]);
+    const pending = workspace && workspace.invites[code];
+    if (!pending || new Date(pending.expiresAt).getTime() <= Date.now()) {
+      return { error: 'That invite code is invalid or has expired.' };
+    }
+    const current = store.getWorkspace(spaceFor(chatId));
+    if (current && current.id !== workspace.id) {
+      return { error: `This chat already belongs to the workspace "${current.name}". Use /workspace leave first.` };
+    }
+
+    const { [code]: used, ...invites } = workspace.invites;
+    const members = { ...workspace.members };
+    const existing = members[String(user.id)];
+    // an invite never demotes anyone
+    const role = existing && roleAtLeast(existing.role, used.role) ? existing.role : used.role;
+    // the chats they linked, so leaving unlinks them all
+    const chats = existing && existing.chats ? existing.chats : [];
+    members[String(user.id)] = {
+      role,
+      name: displayName(user),
+      joinedAt: existing ? existing.joinedAt : new Date().toISOString(),
+      chats: String(chatId) === workspace.id || chats.includes(String(chatId)) ? chats : [...chats, String(chatId)]
+    };
+    store.transaction(() => {
+      store.putWorkspace({ ...workspace, members, invites });
+      if (String(chatId) !== workspace.id) store.setLink(chatId, workspace.id);
+    });
+    return { workspace: store.getWorkspace(workspace.id), role };
+  }
+
+  // Drops a member; their private chat, the chats they joined from and
+  // fromChat (where they left, if given) go back to their own state. A chat
+  // that another member also joined from stays linked.
+  function removeMember(space, userId, fromChat = null) {
+    const workspace = store.getWorkspace(space);
+    const { [String(userId)]: removed, ...members } = workspace.members;
+    if (!removed) return false;
+    const kept = new Set(Object.values(members).flatMap(member => member.chats || []));
+    const chats = [String(userId), ...(removed.chats || [])].filter(chat => !kept.has(chat));
+    if (fromChat !== null) chats.push(String(fromChat));
+    store.transaction(() => {
+      store.putWorkspace({ ...workspace, members });
+      for (const chat of new Set(chats)) {
+        if (store.getLink(chat) === workspace.id) store.setLink(chat, null);
+      }
+    });
+    return true;
+  }
+
+  function setRole(space, userId, role) {
+    const workspace = store.getWorkspace(space);
+    const member = workspace.members[String(userId)];
+    if (!member) return false;
+    store.putWorkspace({ ...workspace, members: { ...workspace.members, [String(userId)]: { ...member, role } } });
+    return true;
+  }
+
+  // The home chat plus every chat that joined it; notifications go to all
+  function deliveryChats(space) {
+    const chats = [String(space)];
+    if (store.getWorkspace(space)) chats.push(...store.linkedChats(space));
+    return chats;
+  }
+
+  return {
+    spaceFor,
+    get,
+    access,
+    create,
+    invite,
+    join,
+    removeMember,
+    setRole,
+    deliveryChats
+  };
+}
+
+module.exports = {
+  ROLES,
+  roleAtLeast,
+  isGroup,
+  displayName,
+  ownerFields,
+  createWorkspaces
+};
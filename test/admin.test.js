@@ -0,0 +1,85 @@
+// test/admin.test.js
+// The /admin console: who can see it, quotas, bans, broadcast and dump.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startHarness } = require('./helpers');
+
+const STRANGER = 6001;
+
+describe('/admin', () => {
+  let h;
+  before(async () => {
+    h = await startHarness({ env: { ADMIN_IDS: '1, 4242', ADDRESS_QUOTA: '3' } });
+  });
+  after(() => h.close());
+
+  function push(chatId, text, extra) {
+    h.telegram.pushMessage(chatId, text, extra);
+  }
+
+  // Resolves with the next reply in chatId
+  async function say(chatId, text, extra) {
+    const since = h.telegram.calls.length;
+    push(chatId, text, extra);
+    const call = await h.telegram.waitForCall(c => c.method === 'sendMessage' && Number(c.params.chat_id) === chatId, { since });
+    return call.params.text;
+  }
+
+  it('is invisible to everyone else', async () => {
+    push(STRANGER, '/admin stats');
+    assert.match(await say(STRANGER, '/help'), /^👋/);
+    assert.doesNotMatch(await h.send('/help'), /\/admin/);
+  });
+
+  it('enforces address quotas in /new, /add and /import', async () => {
+    await h.send('/add one@fake.test');
+    assert.strictEqual(await h.send('/new 3 any'), "❌ That would go over your quota of 3 addresses; you can add 2 more.");
+    await h.send('/add two@fake.test');
+
+    h.telegram.addFile('quota-list', 'three@fake.test\nfour@fake.test\n');
+    const document = { file_id: 'quota-list', file_name: 'more.txt', file_size: 31 };
+    assert.strictEqual(await h.send('', { document, caption: '/import' }), [
+      '✅ Imported 1 new email(s) from more.txt. Total tracked: 3',
+      '⚠️ Skipped 1:',
+      'line 2: over your quota of 3 addresses (four@fake.test)'
+    ].join('\n'));
+    assert.strictEqual(await h.send('/add four@fake.test'), "❌ You've reached your quota of 3 addresses. Delete some with /delete or /clear first.");
+
+    assert.strictEqual(await h.send(`/admin quota ${h.chatId} 4`), '📦 Chat 4242 tracks 3 address(es); quota 4 (set for this chat).');
+    assert.strictEqual(await h.send('/add four@fake.test'), '✅ Now tracking: four@fake.test');
+    assert.strictEqual(await h.send(`/admin quota ${h.chatId} default`), '📦 Chat 4242 tracks 4 address(es); quota 3 (default, ADDRESS_QUOTA=3).');
+  });
+
+  it('reports stats', async () => {
+    h.barid.deliver('one@fake.test', { subject: 'Hi' });
+    await h.pollAll();
+    const text = await h.send('/admin');
+    assert.match(text, /^📊 Bot stats\nChats: 2 \(0 banned\)\nWorkspaces: 0\nAddresses: 4 \(0 invalid\)\nPolls: [\d.]+\/min over the last \d+ min\nProvider errors:\n• barid: 0 of 4 \(0\.0%\)\n/);
+  });
+
+  it('bans and unbans chats', async () => {
+    await say(STRANGER, '/add stranger@fake.test');
+    assert.strictEqual(await h.send(`/admin ban ${STRANGER}`), `🚫 Banned chat ${STRANGER}. Its 1 address(es) are no longer polled.`);
+    assert.strictEqual(await h.send(`/admin ban ${h.chatId}`), "❌ Admins can't be banned.");
+
+    const since = h.telegram.calls.length;
+    push(STRANGER, '/list');
+    await h.send('/admin stats');
+    assert.ok(!h.telegram.calls.slice(since).some(c => Number(c.params.chat_id) === STRANGER));
+
+    assert.strictEqual(await h.send(`/admin unban ${STRANGER}`), `✅ Unbanned chat ${STRANGER}.`);
+    assert.match(await say(STRANGER, '/list'), /stranger@fake\.test/);
+  });
+
+  it('broadcasts and dumps the storage', async () => {
+    const calls = await h.sendAndCollect('/admin broadcast Maintenance at 22:00', 3);
+    const sent = calls.filter(c => c.params.text === '📣 Maintenance at 22:00');
+    assert.deepStrictEqual(sent.map(c => Number(c.params.chat_id)).sort(), [h.chatId, STRANGER].sort());
+    assert.strictEqual(calls[2].params.text, '📣 Broadcast delivered to 2 of 2 chat(s).');
+
+    const [doc] = await h.sendAndCollect('/admin dump', 1);
+    assert.match(doc.params.document.filename, /^state-\d{8}-\d{4}\.json$/);
+    const snapshot = JSON.parse(doc.params.document.content.toString());
+    assert.deepStrictEqual(Object.keys(snapshot.tables.users).sort(), [String(h.chatId), String(STRANGER)].sort());
+  });
+});
@@ -0,0 +1,204 @@
+// test/api.test.js
+// The HTTP API for scripts and outgoing webhooks.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const webhooks = require('../src/webhooks');
+const { startHarness } = require('./helpers');
+
+const GROUP = -7001;
+
+// A local receiver for webhook calls; resolves with { url, requests, close }
+function startReceiver() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body: Buffer.concat(chunks).toString('utf8') });
+      res.writeHead(200);
+      res.end('ok');
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      url: `http://127.0.0.1:${server.address().port}/hook`,
+      requests,
+      close: () => new Promise(done => server.close(done))
+    }));
+  });
+}
+
+async function until(check) {
+  for (let i = 0; i < 100 && !check(); i++) await new Promise(resolve => setTimeout(resolve, 20));
+  assert.ok(check());
+}
+
+describe('webhook URLs', () => {
+  it('refuses other schemes, credentials and private hosts', async () => {
+    assert.strictEqual(await webhooks.urlError('ftp://example.com/x'), 'only http and https URLs are supported');
+    assert.strictEqual(await webhooks.urlError('https://u:p@example.com/x'), "URLs can't carry credentials");
+    assert.strictEqual(await webhooks.urlError('http://localhost:8080/x'), 'private and local hosts are not allowed');
+    assert.strictEqual(await webhooks.urlError('http://10.1.2.3/x'), 'private and local hosts are not allowed');
+    assert.strictEqual(await webhooks.urlError('http://[::1]/x'), 'private and local hosts are not allowed');
+    assert.strictEqual(await webhooks.urlError('http://8.8.8.8/x'), null);
+    assert.strictEqual(await webhooks.urlError('http://10.1.2.3/x', true), null);
+  });
+});
+
+describe('HTTP API', () => {
+  let h;
+  let token;
+  before(async () => {
+    h = await startHarness({ env: { PORT: '0', OUTGOING_WEBHOOK_ALLOW_PRIVATE: 'true' } });
+    await h.started;
+  });
+  after(() => h.close());
+
+  function api(path, { method = 'GET', body, auth = token } = {}) {
+    return fetch(`http://127.0.0.1:${h.app.httpPort()}/api/v1${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...(auth ? { Authorization: `Bearer ${auth}` } : {}) },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+  }
+
+  it('hands out tokens in private chats only', async () => {
+    const since = h.telegram.calls.length;
+    h.telegram.pushMessage(GROUP, '/api token');
+    const call = await h.telegram.waitForCall(c => c.method === 'sendMessage' && Number(c.params.chat_id) === GROUP, { since });
+    assert.match(call.params.text, /^🔒 Create API tokens in a private chat/);
+
+    const reply = await h.send('/api token signup-bot');
+    const [title, value] = reply.split('\n');
+    assert.match(title, /^🔑 New API token [0-9a-f]{8} — signup-bot:$/);
+    token = value;
+    assert.match(await h.send('/api tokens'), /^🔑 Your API tokens \(1\):\n\n• [0-9a-f]{8} — signup-bot \(created \d{4}-\d{2}-\d{2}\)$/);
+  });
+
+  it('rejects missing and unknown tokens', async () => {
+    assert.strictEqual((await api('/addresses', { auth: null })).status, 401);
+    assert.strictEqual((await api('/addresses', { auth: 'mbk_nope' })).status, 401);
+    assert.strictEqual((await api('/nothing')).status, 404);
+    assert.strictEqual((await api('/addresses', { method: 'PUT' })).status, 405);
+  });
+
+  it('creates and lists addresses', async () => {
+    assert.deepStrictEqual(await (await api('/domains')).json(), { provider: 'barid', domains: ['fake.test', 'spare.test'] });
+    assert.strictEqual((await api('/addresses', { method: 'POST', body: { count: 0 } })).status, 400);
+    assert.strictEqual((await api('/addresses', { method: 'POST', body: { domain: 'other.test' } })).status, 400);
+
+    const res = await api('/addresses', { method: 'POST', body: { count: 2, domain: 'fake.test', prefix: 'qa' } });
+    assert.strictEqual(res.status, 201);
+    const { addresses, failed } = await res.json();
+    assert.strictEqual(failed, 0);
+    assert.strictEqual(addresses.length, 2);
+    assert.ok(addresses.every(a => /^qa-[0-9a-f]{12}@fake\.test$/.test(a.email) && a.provider === 'barid'));
+
+    const listed = await (await api('/addresses')).json();
+    assert.deepStrictEqual(listed.addresses.map(a => a.email), addresses.map(a => a.email));
+    assert.strictEqual(h.store.getAddress(h.chatId, addresses[0].email).ownerName, 'Test');
+  });
+
+  it('lists and reads messages', async () => {
+    await h.send('/add reader@fake.test');
+    h.barid.deliver('reader@fake.test', { subject: 'Welcome', text: 'Your verification code is 482913.' });
+    const { messages } = await (await api('/addresses/reader%40fake.test/messages')).json();
+    assert.strictEqual(messages.length, 1);
+    assert.strictEqual(messages[0].subject, 'Welcome');
+    assert.strictEqual(messages[0].read, false);
+
+    const { message } = await (await api(`/addresses/reader@fake.test/messages/${messages[0].id}`)).json();
+    assert.strictEqual(message.code, '482913');
+    assert.strictEqual(message.text, 'Your verification code is 482913.');
+    assert.strictEqual((await api('/addresses/nobody@fake.test/messages')).status, 404);
+    const malformed = await api('/addresses/%E0%A4%A/messages');
+    assert.strictEqual(malformed.status, 400);
+    assert.deepStrictEqual(await malformed.json(), { error: 'The path has a malformed %-escape' });
+  });
+
+  it('long-polls for the next matching mail', async () => {
+    await h.send('/add waiter@fake.test');
+    assert.strictEqual((await api('/addresses/waiter@fake.test/wait?timeout=1')).status, 204);
+    assert.strictEqual((await api('/addresses/waiter@fake.test/wait?timeout=100000')).status, 400);
+
+    const pending = api('/addresses/waiter@fake.test/wait?timeout=10&from=shop');
+    await until(() => h.ctx.events.waiting() === 1);
+    h.barid.deliver('waiter@fake.test', { from: 'news@example.com', subject: 'Newsletter' });
+    await h.pollAll();
+    assert.strictEqual(h.ctx.events.waiting(), 1);
+    h.barid.deliver('waiter@fake.test', { from: 'no-reply@shop.example', subject: 'Your code', text: 'Code: 550011' });
+    await h.pollAll();
+
+    const res = await pending;
+    assert.strictEqual(res.status, 200);
+    const { message } = await res.json();
+    assert.strictEqual(message.from, 'no-reply@shop.example');
+    assert.strictEqual(message.code, '550011');
+  });
+
+  it('checks the role and forgets revoked tokens', async () => {
+    await h.send('/workspace create QA');
+    const invite = (await h.send('/workspace invite viewer')).match(/: ([0-9A-F]+)$/m)[1];
+    const VIEWER = 7002;
+    const since = h.telegram.calls.length;
+    h.telegram.pushMessage(VIEWER, `/join ${invite}`);
+    await h.telegram.waitForCall(c => c.method === 'sendMessage' && Number(c.params.chat_id) === VIEWER, { since });
+    h.telegram.pushMessage(VIEWER, '/api token');
+    const call = await h.telegram.waitForCall(c => c.method === 'sendMessage' && Number(c.params.chat_id) === VIEWER && c.params.text.startsWith('🔑'), { since });
+    const viewerToken = call.params.text.split('\n')[1];
+
+    const listed = await (await api('/addresses', { auth: viewerToken })).json();
+    assert.ok(listed.addresses.some(a => a.email === 'waiter@fake.test'));
+    const res = await api('/addresses/waiter@fake.test', { method: 'DELETE', auth: viewerToken });
+    assert.strictEqual(res.status, 403);
+    assert.deepStrictEqual(await res.json(), { error: "This needs the admin role; the token's role is viewer" });
+
+    assert.strictEqual(await h.send('/api revoke all'), '🗑️ Revoked 1 API token(s).');
+    assert.strictEqual((await api('/addresses')).status, 401);
+  });
+});
+
+describe('outgoing webhooks', () => {
+  let h;
+  let receiver;
+  before(async () => {
+    h = await startHarness({ env: { OUTGOING_WEBHOOK_ALLOW_PRIVATE: 'true' } });
+    receiver = await startReceiver();
+  });
+  after(async () => {
+    await h.close();
+    await receiver.close();
+  });
+
+  it('sets webhooks in private chats only', async () => {
+    const since = h.telegram.calls.length;
+    h.telegram.pushMessage(GROUP, `/webhook set ${receiver.url}`);
+    const call = await h.telegram.waitForCall(c => c.method === 'sendMessage' && Number(c.params.chat_id) === GROUP, { since });
+    assert.match(call.params.text, /^🔒 Set the webhook in a private chat/);
+    assert.strictEqual(h.store.getUser(GROUP).webhook, undefined);
+  });
+
+  it('posts signed JSON for new mail', async () => {
+    assert.match(await h.send('/webhook'), /^No webhook set/);
+    const reply = await h.send(`/webhook set ${receiver.url}`);
+    const secret = reply.match(/^Signing secret: ([0-9a-f]+)$/m)[1];
+    assert.strictEqual(await h.send('/webhook test'), `✅ ${receiver.url} answered 200.`);
+    assert.strictEqual(JSON.parse(receiver.requests[0].body).event, 'ping');
+
+    await h.send('/add hooked@fake.test');
+    h.barid.deliver('hooked@fake.test', { subject: 'Confirm', text: 'Your code is 771203' });
+    await h.pollAll();
+    await until(() => receiver.requests.length === 2);
+
+    const { headers, body } = receiver.requests[1];
+    assert.strictEqual(headers['x-mailbot-event'], 'mail.received');
+    assert.strictEqual(headers['x-mailbot-signature'], webhooks.sign(secret, headers['x-mailbot-timestamp'], body));
+    const payload = JSON.parse(body);
+    assert.strictEqual(payload.address, 'hooked@fake.test');
+    assert.strictEqual(payload.message.subject, 'Confirm');
+    assert.strictEqual(payload.message.code, '771203');
+
+    assert.strictEqual(await h.send('/webhook off'), '🗑️ Webhook removed.');
+  });
+});
@@ -0,0 +1,90 @@
+// test/archive.test.js
+// The archive of received mail: search syntax, /search, opening archived
+// mail after the provider dropped it, retention and the per-chat cap.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { TEXT_LIMIT, HTML_LIMIT, archiveRow, parseSearch, searchArchive } = require('../src/archive');
+const { startHarness } = require('./helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('search syntax', () => {
+  const now = Date.parse('2026-10-18T12:00:00Z');
+
+  it('splits fields, quoted phrases, dates and ages', () => {
+    assert.deepStrictEqual(parseSearch('from:shop subject:"your code" after:7d before:2026-10-18 reset', now), {
+      terms: ['reset'],
+      from: 'shop',
+      subject: 'your code',
+      after: now - 7 * DAY,
+      before: Date.parse('2026-10-18T00:00:00Z')
+    });
+    assert.deepStrictEqual(parseSearch('address:Box@fake.test "two words"', now), { terms: ['two words'], to: 'box@fake.test', after: null, before: null });
+    assert.strictEqual(parseSearch('after:yesterday', now).error, 'after: takes a date like 2026-10-01 or an age like 7d');
+    assert.strictEqual(parseSearch('  ', now).error, 'Please give something to search for.');
+  });
+
+  it('matches every term anywhere, newest first', () => {
+    const rows = [
+      { email: 'a@fake.test', from: 'shop@x.test', subject: 'Code', text: 'your code 1', receivedAt: '2026-10-10T00:00:00Z' },
+      { email: 'b@fake.test', from: 'news@x.test', subject: 'Weekly', text: 'no code here', receivedAt: '2026-10-12T00:00:00Z' },
+      { email: 'a@fake.test', from: 'shop@x.test', subject: 'Receipt', text: 'thanks', receivedAt: '2026-10-14T00:00:00Z' }
+    ];
+    assert.deepStrictEqual(searchArchive(rows, parseSearch('code', now)).map(r => r.subject), ['Weekly', 'Code']);
+    assert.deepStrictEqual(searchArchive(rows, parseSearch('from:shop', now)).map(r => r.subject), ['Receipt', 'Code']);
+    assert.deepStrictEqual(searchArchive(rows, parseSearch('to:b@ code', now)).map(r => r.subject), ['Weekly']);
+    assert.deepStrictEqual(searchArchive(rows, parseSearch('after:2026-10-11 before:2026-10-13', now)).map(r => r.subject), ['Weekly']);
+  });
+});
+
+describe('archived rows', () => {
+  it('cut long text and leave out large HTML', () => {
+    const payload = { address: 'a@fake.test', id: '1', subject: 'Big', text: 'x'.repeat(TEXT_LIMIT + 10), html: `<p>${'y'.repeat(HTML_LIMIT)}</p>` };
+    const row = archiveRow(1, payload);
+    assert.strictEqual(row.text, `${'x'.repeat(TEXT_LIMIT)}\n[…]`);
+    assert.strictEqual(row.html, null);
+    assert.strictEqual(archiveRow(1, { ...payload, text: 'short', html: '<p>short</p>' }).html, '<p>short</p>');
+  });
+});
+
+describe('/search', () => {
+  let h;
+  before(async () => {
+    h = await startHarness({ env: { ARCHIVE_MAX_PER_CHAT: '3' } });
+  });
+  after(() => h.close());
+
+  it('finds received mail and opens it after the provider dropped it', async () => {
+    await h.send('/add box@fake.test');
+    const id = h.barid.deliver('box@fake.test', { from: 'no-reply@shop.example', subject: 'Your login code', text: 'Use 845120 to sign in.' });
+    h.barid.deliver('box@fake.test', { from: 'news@example.com', subject: 'Weekly news', text: 'Nothing to see.' });
+    await h.pollAll();
+    await h.ctx.mailbox.deleteMessage(h.chatId, 'box@fake.test', id);
+
+    const [call] = await h.sendAndCollect('/search from:shop sign', 1);
+    assert.match(call.params.text, /^🔎 1 result\(s\) for "from:shop sign":\n\n1\. \d{4}-\d{2}-\d{2} · no-reply@shop\.example — Your login code \(box@fake\.test\)$/);
+    const [[button]] = JSON.parse(call.params.reply_markup).inline_keyboard;
+    assert.strictEqual(button.text, '1. Your login code');
+
+    const since = h.telegram.calls.length;
+    await h.press(button.callback_data);
+    const opened = h.telegram.calls.slice(since).find(c => c.method === 'sendMessage');
+    assert.match(opened.params.text, /^📦 Archived copy, received .* UTC\n📨 Your login code\nFrom: no-reply@shop\.example\nTo: box@fake\.test\n[\s\S]*Use 845120 to sign in\.$/);
+    assert.match(await h.send(`/read ${id}`), /^📦 Archived copy/);
+
+    assert.strictEqual(await h.send('/search invoice'), '🔎 No archived mail matches "invoice".');
+    assert.match(await h.send('/search after:soon'), /^❌ after: takes a date/);
+  });
+
+  it('keeps the newest mails per chat and drops them after the retention', async () => {
+    h.barid.deliver('box@fake.test', { subject: 'Third' });
+    h.barid.deliver('box@fake.test', { subject: 'Fourth' });
+    await h.pollAll();
+    assert.strictEqual(h.store.listArchived(h.chatId).length, 3);
+    const kept = h.store.listArchived(h.chatId).map(row => row.subject);
+    assert.ok(kept.includes('Third') && kept.includes('Fourth'));
+
+    await h.ctx.lifecycle.sweep(Date.now() + 31 * DAY);
+    assert.strictEqual(h.store.listArchived(h.chatId).length, 0);
+  });
+});
@@ -0,0 +1,257 @@
+// test/commands.test.js
+// Every registered command, driven through the fake Telegram server.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startHarness } = require('./helpers');
+
+describe('commands', () => {
+  let h;
+  before(async () => {
+    h = await startHarness();
+  });
+  after(() => h.close());
+
+  it('/start and /help list every visible registered command', async () => {
+    const start = await h.send('/start');
+    const help = await h.send('/help');
+    assert.strictEqual(start, help);
+    for (const command of h.ctx.registry.list()) {
+      assert.ok(help.includes(`/${command.name}`), `missing /${command.name}`);
+    }
+    assert.ok(!help.includes('/start'));
+  });
+
+  it('accepts the bot username suffix used in groups', async () => {
+    const text = await h.send('/help@mail_test_bot');
+    assert.match(text, /Available commands/);
+  });
+
+  it('ignores commands it does not know', async () => {
+    const since = h.telegram.calls.length;
+    h.telegram.pushMessage(h.chatId, '/newsletter');
+    assert.match(await h.send('/list'), /No tracked emails/);
+    const replies = h.telegram.calls.slice(since).filter(c => c.method === 'sendMessage');
+    assert.strictEqual(replies.length, 1);
+  });
+
+  it('/new with a domain creates one address there', async () => {
+    const text = await h.send('/new fake.test');
+    const [, email] = /created: (\S+)$/.exec(text);
+    assert.match(email, /^[0-9a-f]{12}@fake\.test$/);
+    assert.strictEqual(h.store.getAddress(h.chatId, email).provider, 'barid');
+    await h.send(`/delete ${email}`);
+  });
+
+  it('/new without a domain offers the live domains', async () => {
+    const since = h.telegram.calls.length;
+    const text = await h.send('/new 3 shop');
+    assert.strictEqual(text, '🌐 Pick a domain for 3 new addresses (shop-…):');
+    const picker = h.telegram.calls.slice(since).find(c => c.method === 'sendMessage');
+    const keyboard = JSON.parse(picker.params.reply_markup).inline_keyboard;
+    assert.deepStrictEqual(keyboard.flat().map(b => [b.text, b.callback_data]), [
+      ['fake.test', 'nw:barid:3:csv:fake.test:shop'],
+      ['spare.test', 'nw:barid:3:csv:spare.test:shop'],
+      ['🎲 Any domain', 'nw:barid:3:csv:*:shop']
+    ]);
+
+    const { edit } = await h.press('nw:barid:3:csv:spare.test:shop', 77);
+    assert.strictEqual(edit.params.text, '🆕 Created 3 temporary email(s).');
+    const doc = await h.telegram.waitForCall(c => c.method === 'sendDocument', { since });
+    assert.match(doc.params.document.filename, /^addresses-\d{8}-\d{4}\.csv$/);
+    const [header, ...rows] = doc.params.document.content.toString().trim().split('\n');
+    assert.strictEqual(header, 'email,provider,label,created_at,expires_at,last_mail_at');
+    assert.strictEqual(rows.length, 3);
+    for (const row of rows) assert.match(row, /^shop-[0-9a-f]{12}@spare\.test,barid,,\d{4}-[^,]+,,$/);
+    assert.strictEqual(h.store.listEmails(h.chatId).length, 3);
+    await h.send('/clear');
+  });
+
+  it('/new batches on random domains as a text file', async () => {
+    const since = h.telegram.calls.length;
+    assert.strictEqual(await h.send('/new 20 any txt'), '🆕 Created 20 temporary email(s).');
+    const doc = await h.telegram.waitForCall(c => c.method === 'sendDocument', { since });
+    const emails = doc.params.document.content.toString().trim().split('\n');
+    assert.strictEqual(new Set(emails).size, 20);
+    for (const email of emails) assert.match(email, /^[0-9a-f]{12}@(fake|spare)\.test$/);
+    assert.deepStrictEqual(h.store.listEmails(h.chatId).sort(), emails.sort());
+    await h.send('/clear');
+  });
+
+  it('/new validates its arguments', async () => {
+    assert.match(await h.send('/new 0 fake.test'), /Count must be between 1 and 50\.\nUsage: \/new \[count\] \[domain\] \[prefix\]/);
+    assert.match(await h.send('/new 51'), /Count must be between 1 and 50/);
+    assert.match(await h.send('/new a+b'), /Prefixes are up to 16 letters/);
+    assert.match(await h.send('/new one two'), /Unexpected argument: two/);
+    assert.strictEqual(await h.send('/new other.test'), "❌ barid doesn't offer other.test.\nAvailable: fake.test, spare.test");
+    assert.strictEqual(h.store.listEmails(h.chatId).length, 0);
+  });
+
+  it('/new reports when the provider is down', async () => {
+    h.barid.failNext();
+    assert.match(await h.send('/new'), /Could not fetch domains from barid/);
+  });
+
+  it('/add tracks an address once', async () => {
+    assert.strictEqual(await h.send('/add one@fake.test'), '✅ Now tracking: one@fake.test');
+    assert.strictEqual(await h.send('/add one@fake.test'), 'ℹ️ Already tracking: one@fake.test');
+    assert.ok(h.store.getAddress(h.chatId, 'one@fake.test'));
+  });
+
+  it('/add validates its arguments', async () => {
+    assert.strictEqual(await h.send('/add'), '❌ Missing email.\nUsage: /add <email> [provider]');
+    assert.match(await h.send('/add omiif400@undefined'), /Not a valid email address \(invalid domain "undefined"\)/);
+    assert.strictEqual(await h.send('/add <One@Fake.test>'), 'ℹ️ Already tracking: one@fake.test');
+    assert.match(await h.send('/add two@fake.test nosuch'), /Unknown provider: nosuch/);
+    assert.match(await h.send('/add a@b.c barid extra'), /Too many arguments/);
+  });
+
+  it('/list shows tracked addresses with label and age', async () => {
+    assert.strictEqual(await h.send('/list'), '📋 Tracked emails (1):\n\none@fake.test\n   added <1m ago');
+    assert.strictEqual(await h.send('/label one@fake.test shop #3 seller signup'), '🏷️ one@fake.test — shop #3 seller signup');
+    assert.match(await h.send('/ttl one@fake.test 2d'), /expires in 2d/);
+    assert.strictEqual(await h.send('/list'), '📋 Tracked emails (1):\n\none@fake.test — shop #3 seller signup\n   added <1m ago · expires in 1d 23h');
+    assert.strictEqual(await h.send('/label one@fake.test'), '🏷️ Label removed from one@fake.test');
+    assert.strictEqual(await h.send('/ttl one@fake.test off'), '♾️ one@fake.test no longer expires.');
+    assert.match(await h.send('/ttl one@fake.test soon'), /duration like 30m/);
+    assert.match(await h.send('/label nope@fake.test x'), /Email not found/);
+  });
+
+  it('/delete removes an address', async () => {
+    assert.strictEqual(await h.send('/delete <One@Fake.test>'), '🗑️ Stopped tracking: one@fake.test');
+    assert.strictEqual(await h.send('/delete one@fake.test'), '❌ Email not found: one@fake.test');
+    assert.strictEqual(h.store.getAddress(h.chatId, 'one@fake.test'), null);
+  });
+
+  it('/import adds only new addresses', async () => {
+    await h.send('/add a@fake.test');
+    const text = await h.send('/import a@fake.test, b@fake.test,c@fake.test,bad@undefined,');
+    assert.strictEqual(text, [
+      '✅ Imported 2 new email(s). Total tracked: 3',
+      'ℹ️ 1 already tracked:',
+      'a@fake.test',
+      '⚠️ Skipped 1:',
+      'invalid domain "undefined" (bad@undefined)'
+    ].join('\n'));
+    assert.match(await h.send('/import ,,'), /Please provide valid emails/);
+  });
+
+  it('/export sends tracked addresses as a file', async () => {
+    const [doc] = await h.sendAndCollect('/export', 1);
+    assert.strictEqual(doc.method, 'sendDocument');
+    assert.match(doc.params.document.filename, /^addresses-\d{8}-\d{4}\.txt$/);
+    assert.strictEqual(doc.params.document.content.toString(), 'a@fake.test\nb@fake.test\nc@fake.test\n');
+    assert.strictEqual(doc.params.caption, '📤 3 email(s) as TXT');
+    assert.match(await h.send('/export pdf'), /format must be one of: txt, csv, json/);
+  });
+
+  it('/clear removes every address', async () => {
+    assert.strictEqual(await h.send('/clear'), '🗑️ Cleared 3 tracked email(s).');
+    assert.strictEqual(await h.send('/export'), 'No emails to export.');
+  });
+
+  it('/check polls, announces new mail and reports what it found', async () => {
+    assert.strictEqual(await h.send('/check'), 'No tracked emails to check.');
+    await h.send('/add check@fake.test');
+    h.barid.deliver('check@fake.test', { subject: 'Hello' });
+    const since = h.telegram.calls.length;
+    assert.strictEqual(await h.send('/check'), '🔄 Checking 1 address...');
+    const call = await h.telegram.waitForCall(c => /New email for check@fake\.test/.test(c.params.text || ''), { since });
+    assert.match(call.params.text, /Subject: Hello/);
+    const summary = await h.telegram.waitForCall(c => /checked/.test(c.params.text || ''), { since });
+    assert.strictEqual(summary.params.text, '✅ 1 address checked, 1 new mail, 0 provider errors');
+
+    await h.send('/add second@fake.test');
+    h.barid.failNext();
+    const [, report] = await h.sendAndCollect('/check', 2);
+    assert.match(report.params.text, /^⚠️ 2 addresses checked, 0 new mails, 1 provider error\n• (check|second)@fake\.test: Request failed with status code \d+$/);
+    await h.send('/delete second@fake.test');
+  });
+
+  it('/wait posts the next matching mail with its code', async () => {
+    const since = h.telegram.calls.length;
+    assert.strictEqual(await h.send('/wait check@fake.test 30s shop'), '⏳ Watching check@fake.test for mail from "shop", up to 30s. The code follows as soon as it arrives.');
+    h.barid.deliver('check@fake.test', { from: 'news@example.com', subject: 'Weekly news' });
+    await h.pollAll();
+    h.barid.deliver('check@fake.test', { from: 'no-reply@shop.example', subject: 'Verify', text: 'Your verification code is 123987' });
+    await h.pollAll();
+    const call = await h.telegram.waitForCall(c => /📬 Mail for/.test(c.params.text || ''), { since });
+    assert.match(call.params.text, /^🔑 Code: 123987\n📬 Mail for check@fake\.test after \d+s\nFrom: no-reply@shop\.example\nSubject: Verify\n/);
+    assert.ok(call.params.reply_to_message_id);
+
+    assert.strictEqual(await h.send('/wait nobody@fake.test'), '❌ Email not found: nobody@fake.test');
+    assert.strictEqual(await h.send('/wait check@fake.test 1h'), '❌ Waits are limited to 5m.');
+    await h.send('/wait check@fake.test 1s');
+    const timeout = await h.telegram.waitForCall(c => /^⌛/.test(c.params.text || ''), { since });
+    assert.strictEqual(timeout.params.text, '⌛ No mail for check@fake.test within 1s. Back to normal polling.');
+  });
+
+  it('/wait watches for two minutes unless told otherwise', async () => {
+    const since = h.telegram.calls.length;
+    assert.strictEqual(await h.send('/wait check@fake.test shop'), '⏳ Watching check@fake.test for mail from "shop", up to 2m. The code follows as soon as it arrives.');
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.strictEqual(h.ctx.events.waiting(), 1);
+    h.barid.deliver('check@fake.test', { from: 'no-reply@shop.example', subject: 'Late', text: 'Code: 771122' });
+    await h.pollAll();
+    const call = await h.telegram.waitForCall(c => /📬 Mail for/.test(c.params.text || ''), { since });
+    assert.match(call.params.text, /^🔑 Code: 771122\n/);
+    assert.ok(!h.telegram.calls.slice(since).some(c => /^⌛/.test(c.params.text || '')));
+  });
+
+  it('/read shows a message, and as .eml or .html on request', async () => {
+    const id = h.barid.deliver('check@fake.test', { subject: 'Readable', text: 'Body text', html: '<p>Body</p>' });
+    await h.pollAll();
+    assert.match(await h.send(`/read ${id}`), /^📨 Readable\nFrom: sender@example\.com\nTo: check@fake\.test[\s\S]*Body text/);
+
+    const [eml] = await h.sendAndCollect(`/read ${id} eml`, 1);
+    assert.strictEqual(eml.method, 'sendDocument');
+    assert.strictEqual(eml.params.document.filename, 'Readable.eml');
+    assert.match(eml.params.document.content.toString(), /Subject: Readable/);
+
+    const [html] = await h.sendAndCollect(`/read ${id} html`, 1);
+    assert.strictEqual(html.params.document.content.toString(), '<p>Body</p>');
+
+    assert.match(await h.send(`/read ${id} pdf`), /format must be one of: eml, html/);
+    assert.match(await h.send('/read nope'), /Message not found/);
+  });
+
+  it('/otprule adds, lists and deletes rules', async () => {
+    assert.match(await h.send('/otprule'), /No extraction rules/);
+    assert.match(await h.send('/otprule add shop.example Code:\\s*(\\w+)'), /Rule added for shop\.example/);
+    assert.strictEqual(await h.send('/otprule list'), '🧩 Extraction rules (1):\n\n1. shop.example → Code:\\s*(\\w+)');
+    assert.match(await h.send('/otprule add x ([a-'), /Invalid regex/);
+    assert.strictEqual(await h.send('/otprule add x (\\d+)*$'), "❌ Invalid regex: a repeated group can't itself repeat or alternate, like (a+)+ or (a|b)*, as that can take ages on some mail");
+    assert.match(await h.send('/otprule delete 5'), /Rule not found/);
+    assert.strictEqual(await h.send('/otprule delete 1'), '🗑️ Removed rule for shop.example');
+    assert.match(await h.send('/otprule remove'), /action must be one of: add, list, delete/);
+  });
+
+  it('/addimap needs an encryption key', async () => {
+    assert.match(await h.send('/addimap'), /DATA_ENCRYPTION_KEY/);
+  });
+
+  it('/send refuses receive-only addresses', async () => {
+    assert.match(await h.send('/send nope@fake.test to@example.com Hi'), /Not one of your tracked emails/);
+    assert.match(await h.send('/send check@fake.test not-an-address Hi'), /Invalid recipient/);
+    assert.match(await h.send('/send check@fake.test to@example.com Hi there'), /cannot send mail/);
+  });
+
+  it('/setsmtp, /sent, /done and /cancel without a flow', async () => {
+    assert.match(await h.send('/setsmtp nope@fake.test'), /Not one of your tracked emails/);
+    assert.strictEqual(await h.send('/sent'), 'No sent emails.');
+    assert.strictEqual(await h.send('/done'), 'ℹ️ Nothing to send.');
+    assert.strictEqual(await h.send('/cancel'), 'ℹ️ Nothing to cancel.');
+  });
+});
+
+describe('commands with DATA_ENCRYPTION_KEY set', () => {
+  let h;
+  before(async () => {
+    h = await startHarness({ env: { DATA_ENCRYPTION_KEY: 'a passphrase' } });
+  });
+  after(() => h.close());
+
+  it('/addimap starts the guided setup', async () => {
+    assert.match(await h.send('/addimap'), /^📬 Add an IMAP mailbox/);
+    await h.send('/cancel');
+  });
+});
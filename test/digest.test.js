@@ -0,0 +1,116 @@
+// test/digest.test.js
+// Digest mode: schedule boundaries across timezones, /mode and /timezone,
+// and queued mail surviving a restart.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { lastBoundary, nextBoundary, parseTimeOfDay } = require('../src/digest');
+const { startHarness } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('digest schedules', () => {
+  it('finds daily boundaries in the local timezone', () => {
+    const daily = { mode: 'daily', at: '09:00' };
+    // 09:00 in Kolkata (UTC+5:30) is 03:30 UTC
+    const now = Date.parse('2026-10-18T02:00:00Z');
+    assert.strictEqual(new Date(lastBoundary(daily, 'Asia/Kolkata', now)).toISOString(), '2026-10-17T03:30:00.000Z');
+    assert.strictEqual(new Date(nextBoundary(daily, 'Asia/Kolkata', now)).toISOString(), '2026-10-18T03:30:00.000Z');
+    // across the end of daylight saving time in Berlin (25 October 2026)
+    assert.strictEqual(new Date(nextBoundary(daily, 'Europe/Berlin', Date.parse('2026-10-24T12:00:00Z'))).toISOString(), '2026-10-25T08:00:00.000Z');
+  });
+
+  it('finds hourly boundaries in half-hour timezones', () => {
+    const hourly = { mode: 'hourly' };
+    const now = Date.parse('2026-10-18T10:10:00Z');
+    assert.strictEqual(new Date(lastBoundary(hourly, 'UTC', now)).toISOString(), '2026-10-18T10:00:00.000Z');
+    assert.strictEqual(new Date(lastBoundary(hourly, 'Asia/Kolkata', now)).toISOString(), '2026-10-18T09:30:00.000Z');
+    assert.strictEqual(nextBoundary(hourly, 'UTC', now) - lastBoundary(hourly, 'UTC', now), HOUR);
+  });
+
+  it('reads times of day', () => {
+    assert.strictEqual(parseTimeOfDay('7:05'), '07:05');
+    assert.strictEqual(parseTimeOfDay('23:59'), '23:59');
+    assert.strictEqual(parseTimeOfDay('24:00'), null);
+    assert.strictEqual(parseTimeOfDay('noon'), null);
+  });
+});
+
+describe('/mode', () => {
+  let h;
+  before(async () => {
+    h = await startHarness();
+  });
+  after(() => h.close());
+
+  const notified = address => h.messagesSent().filter(text => text.includes(`New email for ${address}`)).length;
+  const digests = since => h.telegram.calls.slice(since)
+    .filter(c => c.method === 'sendMessage' && c.params.text.startsWith('📰'))
+    .map(c => c.params.text);
+
+  it('holds mail for the hourly digest', async () => {
+    await h.send('/add quiet@fake.test');
+    assert.match(await h.send('/mode hourly'), /^📰 This chat now gets digests hourly \(UTC\)\.$/);
+    assert.match(await h.send('/mode'), /^🔔 Notifications: hourly\nTimezone: UTC\nNext digest: \w{3} \d{2}:00/);
+
+    const since = h.telegram.calls.length;
+    h.barid.deliver('quiet@fake.test', { subject: 'Welcome', text: 'Your code is 660011' });
+    h.barid.deliver('quiet@fake.test', { subject: 'Tips' });
+    assert.deepStrictEqual(await h.pollAll(), [{ ok: true, newMail: 2 }]);
+    assert.strictEqual(notified('quiet@fake.test'), 0);
+    assert.strictEqual(await h.ctx.digests.flush(), 0);
+
+    assert.strictEqual(await h.ctx.digests.flush(Date.now() + HOUR), 1);
+    const [digest] = digests(since);
+    assert.match(digest, /^📰 Hourly digest: 2 new mail\(s\)\n\n📧 quiet@fake\.test \(2\)\n• 🔑 <code>660011<\/code> · Welcome — .* \(\/read \S+\)\n• Tips — /);
+    assert.strictEqual(await h.ctx.digests.flush(Date.now() + HOUR), 0);
+  });
+
+  it('lets an address keep instant notifications', async () => {
+    await h.send('/add urgent@fake.test');
+    assert.strictEqual(await h.send('/mode urgent@fake.test instant'), '🔔 urgent@fake.test is notified of each new mail at once. Mail already held for a digest follows within a minute.');
+    h.barid.deliver('urgent@fake.test', { subject: 'Now' });
+    await h.pollAll();
+    assert.strictEqual(notified('urgent@fake.test'), 1);
+    assert.match(await h.send('/mode'), /Addresses with their own mode:\n• urgent@fake\.test: instant/);
+
+    assert.match(await h.send('/mode urgent@fake.test default'), /^🔔 urgent@fake\.test follows the chat again: hourly\.$/);
+    assert.match(await h.send('/mode hourly 09:00'), /^❌ Too many arguments\./);
+    assert.match(await h.send('/mode daily 25:00'), /^❌ Please give the time as HH:MM/);
+  });
+
+  it('keeps queued mail across a restart', async () => {
+    assert.match(await h.send('/mode daily 18:30'), /^📰 This chat now gets digests daily at 18:30 \(UTC\)/);
+    const since = h.telegram.calls.length;
+    h.barid.deliver('quiet@fake.test', { subject: 'Overnight' });
+    await h.pollAll();
+    await h.restart();
+    await h.started;
+
+    await h.ctx.digests.flush(Date.now() + 24 * HOUR);
+    assert.match(digests(since).join('\n'), /^📰 Daily digest: 1 new mail\(s\)\n\n📧 quiet@fake\.test \(1\)\n• Overnight — /);
+    assert.strictEqual(h.store.listDigest(h.chatId).length, 0);
+  });
+
+  it('follows the format and language settings', async () => {
+    await h.send('/mode hourly');
+    await h.send('/settings language es');
+    await h.send('/settings format markdown');
+    const since = h.telegram.calls.length;
+    h.barid.deliver('quiet@fake.test', { subject: 'Hola', text: 'Tu código: 551100' });
+    h.barid.deliver('quiet@fake.test', { subject: '' });
+    await h.pollAll();
+    await h.ctx.digests.flush(Date.now() + HOUR);
+    const call = h.telegram.calls.slice(since).find(c => c.method === 'sendMessage' && c.params.text.startsWith('📰'));
+    assert.strictEqual(call.params.parse_mode, 'MarkdownV2');
+    assert.match(call.params.text, /^📰 \*Resumen horario: 2 correo\\\(s\\\) nuevo\\\(s\\\)\*\n\n📧 \*quiet@fake\\\.test \\\(2\\\)\*\n• 🔑 `551100` · Hola — .* \\\(\/read \S+\\\)\n• \\\(sin asunto\\\) — /);
+    await h.send('/settings language default');
+    await h.send('/settings format default');
+  });
+
+  it('sets the timezone for daily digests', async () => {
+    assert.match(await h.send('/timezone Asia/Kolkata'), /^🕰️ Timezone set to Asia\/Kolkata\. It is \w{3} \d{2}:\d{2} there\.$/);
+    assert.match(await h.send('/timezone'), /^🕰️ Timezone: Asia\/Kolkata/);
+    assert.match(await h.send('/timezone Mars/Olympus'), /^❌ Unknown timezone: Mars\/Olympus\./);
+    assert.strictEqual(h.store.getUser(h.chatId).timezone, 'Asia/Kolkata');
+  });
+});
@@ -0,0 +1,116 @@
+// test/fakes/baridServer.js
+// In-process stand-in for the barid.site API. Mail is injected with
+// deliver(); responses use the same { success, result } wrapper and field
+// names as the real service.
+const http = require('http');
+
+function json(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function createBaridServer({ domains = ['fake.test', 'spare.test'] } = {}) {
+  const messages = new Map(); // id -> raw message
+  const attachments = new Map(); // id -> { raw, content }
+  const requests = [];
+  let nextId = 1;
+  let failures = 0; // respond 503 to this many upcoming requests
+  let server = null;
+
+  // Put a message into an inbox; returns its ID
+  function deliver(address, { from = 'sender@example.com', subject = '', text = '', html = '', files = [] } = {}) {
+    const id = `m${nextId++}`;
+    messages.set(id, {
+      id,
+      from_address: from,
+      to_address: address.toLowerCase(),
+      subject,
+      received_at: Math.floor(Date.now() / 1000),
+      text_content: text,
+      html_content: html,
+      has_attachments: files.length > 0
+    });
+    for (const file of files) {
+      const attId = `a${nextId++}`;
+      const content = Buffer.from(file.content);
+      attachments.set(attId, {
+        raw: { id: attId, email_id: id, filename: file.filename, content_type: file.contentType, size: content.length },
+        content
+      });
+    }
+    return id;
+  }
+
+  function failNext(count = 1) {
+    failures = count;
+  }
+
+  function summary(raw) {
+    const { text_content, html_content, ...rest } = raw;
+    return { ...rest, preview: String(text_content).slice(0, 100) };
+  }
+
+  function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    requests.push({ method: req.method, path: url.pathname });
+    if (failures > 0) {
+      failures--;
+      return json(res, 503, { success: false, error: 'unavailable' });
+    }
+
+    if (req.method === 'GET' && parts[0] === 'domains') {
+      return json(res, 200, { success: true, result: domains });
+    }
+    if (req.method === 'GET' && parts[0] === 'emails' && parts.length === 2) {
+      const address = parts[1].toLowerCase();
+      const inbox = [...messages.values()].filter(m => m.to_address === address).map(summary);
+      return json(res, 200, { success: true, result: inbox });
+    }
+    if (req.method === 'GET' && parts[0] === 'emails' && parts[2] === 'attachments') {
+      const address = parts[1].toLowerCase();
+      const list = [...attachments.values()]
+        .filter(att => messages.get(att.raw.email_id).to_address === address)
+        .map(att => att.raw);
+      return json(res, 200, { success: true, result: list });
+    }
+    if (parts[0] === 'inbox' && parts.length === 2) {
+      const raw = messages.get(parts[1]);
+      if (!raw) return json(res, 404, { success: false, error: 'not found' });
+      if (req.method === 'DELETE') {
+        messages.delete(parts[1]);
+        return json(res, 200, { success: true, result: true });
+      }
+      return json(res, 200, { success: true, result: raw });
+    }
+    if (req.method === 'GET' && parts[0] === 'attachments' && parts.length === 2) {
+      const att = attachments.get(parts[1]);
+      if (!att) return json(res, 404, { success: false, error: 'not found' });
+      res.writeHead(200, { 'Content-Type': att.raw.content_type || 'application/octet-stream' });
+      return res.end(att.content);
+    }
+    json(res, 404, { success: false, error: 'no route' });
+  }
+
+  function listen() {
+    server = http.createServer(handle);
+    return new Promise(resolve => server.listen(0, '127.0.0.1', resolve)).then(() => {
+      return `http://127.0.0.1:${server.address().port}`;
+    });
+  }
+
+  function close() {
+    return new Promise(resolve => server.close(resolve));
+  }
+
+  return {
+    deliver,
+    failNext,
+    requests,
+    messages,
+    listen,
+    close
+  };
+}
+
+module.exports = { createBaridServer };
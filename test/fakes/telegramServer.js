@@ -0,0 +1,233 @@
+// test/fakes/telegramServer.js
+// In-process stand-in for the Telegram Bot API. Updates queued with
+// pushMessage() / pushCallback() are served through getUpdates long
+// polling; every method the bot calls is recorded in `calls`.
+const http = require('http');
+const querystring = require('querystring');
+
+// Just enough multipart/form-data parsing for the upload methods
+function parseMultipart(body, boundary) {
+  const fields = {};
+  const delimiter = Buffer.from(`--${boundary}`);
+  let start = body.indexOf(delimiter);
+  while (start !== -1) {
+    const next = body.indexOf(delimiter, start + delimiter.length);
+    if (next === -1) break;
+    const part = body.slice(start + delimiter.length + 2, next - 2); // skip CRLFs
+    const headerEnd = part.indexOf('\r\n\r\n');
+    const headers = part.slice(0, headerEnd).toString('utf8');
+    const content = part.slice(headerEnd + 4);
+    const name = /name="([^"]+)"/.exec(headers)[1];
+    const filename = /filename="([^"]*)"/.exec(headers);
+    const type = /Content-Type:\s*([^\r\n]+)/i.exec(headers);
+    fields[name] = filename
+      ? { filename: filename[1], contentType: type ? type[1] : null, content }
+      : content.toString('utf8');
+    start = next;
+  }
+  return fields;
+}
+
+function parseBody(req, body) {
+  const type = req.headers['content-type'] || '';
+  if (type.startsWith('multipart/form-data')) return parseMultipart(body, /boundary=(.+)$/.exec(type)[1]);
+  if (type.startsWith('application/json')) return JSON.parse(body.toString('utf8') || '{}');
+  return querystring.parse(body.toString('utf8'));
+}
+
+function createTelegramServer({ token = '123456:TEST' } = {}) {
+  const calls = []; // { method, params }
+  const updates = [];
+  const files = new Map(); // file_id -> Buffer
+  const failures = {}; // method -> [error bodies]
+  const members = new Map(); // "chatId userId" -> getChatMember status
+  const pollers = [];
+  const callWaiters = [];
+  let nextUpdateId = 1;
+  let nextMessageId = 1000;
+  let server = null;
+
+  function flushPollers() {
+    while (pollers.length > 0 && updates.length > 0) pollers.shift().respond();
+  }
+
+  function pushUpdate(update) {
+    updates.push({ update_id: nextUpdateId++, ...update });
+    flushPollers();
+  }
+
+  function pushMessage(chatId, text, extra = {}) {
+    pushUpdate({
+      message: {
+        message_id: nextMessageId++,
+        date: Math.floor(Date.now() / 1000),
+        chat: { id: chatId, type: 'private' },
+        from: { id: chatId, is_bot: false, first_name: 'Test' },
+        text,
+        ...extra
+      }
+    });
+  }
+
+  // messageId is the bot message the button belongs to
+  function pushCallback(chatId, data, messageId = nextMessageId++) {
+    pushUpdate({
+      callback_query: {
+        id: String(nextUpdateId),
+        from: { id: chatId, is_bot: false, first_name: 'Test' },
+        message: { message_id: Number(messageId), chat: { id: chatId, type: 'private' } },
+        data
+      }
+    });
+  }
+
+  // Make the next calls of `method` fail with Telegram's error body
+  function failNext(method, error, times = 1) {
+    failures[method] = (failures[method] || []).concat(Array(times).fill(error));
+  }
+
+  // getChatMember answers with status for userId in chatId ("left" otherwise)
+  function setChatMember(chatId, userId, status) {
+    members.set(`${chatId} ${userId}`, status);
+  }
+
+  function addFile(fileId, content) {
+    files.set(fileId, Buffer.from(content));
+  }
+
+  // Resolves with the first call (from `since` on) matching the predicate
+  function waitForCall(predicate, { since = 0, timeout = 3000 } = {}) {
+    const found = calls.slice(since).find(predicate);
+    if (found) return Promise.resolve(found);
+    return new Promise((resolve, reject) => {
+      const waiter = { predicate, since, resolve };
+      waiter.timer = setTimeout(() => {
+        callWaiters.splice(callWaiters.indexOf(waiter), 1);
+        reject(new Error('Timed out waiting for a Telegram call'));
+      }, timeout);
+      callWaiters.push(waiter);
+    });
+  }
+
+  function record(method, params) {
+    const call = { method, params };
+    calls.push(call);
+    for (const waiter of [...callWaiters]) {
+      if (calls.indexOf(call) >= waiter.since && waiter.predicate(call)) {
+        clearTimeout(waiter.timer);
+        callWaiters.splice(callWaiters.indexOf(waiter), 1);
+        waiter.resolve(call);
+      }
+    }
+  }
+
+  function sentMessage(params) {
+    return {
+      message_id: nextMessageId++,
+      date: Math.floor(Date.now() / 1000),
+      chat: { id: Number(params.chat_id), type: 'private' },
+      text: params.text
+    };
+  }
+
+  function reply(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  function getUpdates(req, res, params) {
+    const offset = Number(params.offset || 0);
+    // acknowledged updates are gone for good, like on the real API
+    while (updates.length > 0 && updates[0].update_id < offset) updates.shift();
+    const respond = () => reply(res, 200, { ok: true, result: updates.slice() });
+    if (updates.length > 0) return respond();
+    const poller = { respond };
+    const timer = setTimeout(() => {
+      pollers.splice(pollers.indexOf(poller), 1);
+      respond();
+    }, Math.min(Number(params.timeout || 0), 1) * 1000);
+    poller.respond = () => {
+      clearTimeout(timer);
+      respond();
+    };
+    res.on('close', () => {
+      clearTimeout(timer);
+      const index = pollers.indexOf(poller);
+      if (index !== -1) pollers.splice(index, 1);
+    });
+    pollers.push(poller);
+  }
+
+  function handleMethod(req, res, method, params) {
+    if (method === 'getUpdates') return getUpdates(req, res, params);
+    record(method, params);
+    const queued = failures[method];
+    if (queued && queued.length > 0) return reply(res, queued[0].error_code || 400, { ok: false, ...queued.shift() });
+
+    switch (method) {
+      case 'sendMessage':
+      case 'sendDocument':
+      case 'sendPhoto':
+        return reply(res, 200, { ok: true, result: sentMessage(params) });
+      case 'sendMediaGroup': {
+        const media = JSON.parse(params.media);
+        return reply(res, 200, { ok: true, result: media.map(() => sentMessage(params)) });
+      }
+      case 'editMessageText':
+        return reply(res, 200, { ok: true, result: { ...sentMessage(params), message_id: Number(params.message_id) } });
+      case 'getChatMember':
+        return reply(res, 200, { ok: true, result: { user: { id: Number(params.user_id) }, status: members.get(`${params.chat_id} ${params.user_id}`) || 'left' } });
+      case 'getFile':
+        return reply(res, 200, { ok: true, result: { file_id: params.file_id, file_path: `files/${params.file_id}` } });
+      default:
+        return reply(res, 200, { ok: true, result: true });
+    }
+  }
+
+  function handle(req, res) {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const fileMatch = /^\/file\/bot[^/]+\/files\/(.+)$/.exec(url.pathname);
+      if (fileMatch) {
+        const content = files.get(decodeURIComponent(fileMatch[1]));
+        if (!content) return reply(res, 404, { ok: false, error_code: 404, description: 'Not Found' });
+        res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+        return res.end(content);
+      }
+      const match = /^\/bot([^/]+)\/(\w+)$/.exec(url.pathname);
+      if (!match || match[1] !== token) return reply(res, 404, { ok: false, error_code: 404, description: 'Not Found' });
+      const params = { ...Object.fromEntries(url.searchParams), ...parseBody(req, Buffer.concat(chunks)) };
+      handleMethod(req, res, match[2], params);
+    });
+  }
+
+  function listen() {
+    server = http.createServer(handle);
+    return new Promise(resolve => server.listen(0, '127.0.0.1', resolve)).then(() => {
+      return `http://127.0.0.1:${server.address().port}`;
+    });
+  }
+
+  function close() {
+    pollers.splice(0).forEach(poller => poller.respond());
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+  }
+
+  return {
+    token,
+    calls,
+    pushMessage,
+    pushCallback,
+    setChatMember,
+    failNext,
+    addFile,
+    waitForCall,
+    listen,
+    close
+  };
+}
+
+module.exports = { createTelegramServer };
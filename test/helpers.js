@@ -0,0 +1,113 @@
+// test/helpers.js
+// Boots the real bot (src/app.js) against the fake barid and Telegram
+// servers with storage in a temp directory. Nothing touches the network.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TelegramBot = require('node-telegram-bot-api');
+const { loadConfig } = require('../src/config');
+const { openStorage } = require('../src/storage');
+const { createBot } = require('../src/app');
+const { createProviderRegistry, createBaridProvider, createImapProvider } = require('../src/providers');
+const { createBaridServer } = require('./fakes/baridServer');
+const { createTelegramServer } = require('./fakes/telegramServer');
+
+const CHAT_ID = 4242;
+
+async function startHarness({ env = {}, storageDir } = {}) {
+  const barid = createBaridServer();
+  const telegram = createTelegramServer();
+  const baridUrl = await barid.listen();
+  const telegramUrl = await telegram.listen();
+  const dir = storageDir || fs.mkdtempSync(path.join(os.tmpdir(), 'mailbot-test-'));
+
+  const config = loadConfig({
+    BOT_TOKEN: telegram.token,
+    BOT_CONTACT: '',
+    STORAGE_PATH: path.join(dir, 'state'),
+    // the scheduler never fires on its own during a test; polls are explicit
+    POLL_INTERVAL_MS: String(60 * 60 * 1000),
+    TELEGRAM_CHAT_INTERVAL_MS: '0',
+    TELEGRAM_GLOBAL_PER_SEC: '1000',
+    PROVIDER_RATE_PER_SEC: '1000',
+    ...env
+  });
+  const providers = createProviderRegistry([createBaridProvider({ baseUrl: baridUrl }), createImapProvider()], 'barid');
+
+  const harness = { barid, telegram, config, dir, chatId: CHAT_ID };
+
+  function boot() {
+    harness.store = openStorage({ file: config.storagePath });
+    harness.bot = new TelegramBot(config.botToken, {
+      baseApiUrl: telegramUrl,
+      polling: { autoStart: false, interval: 0, params: { timeout: 1 } }
+    });
+    harness.app = createBot({ config, bot: harness.bot, store: harness.store, providers });
+    harness.ctx = harness.app.ctx;
+    // resolves once the HTTP server (if any) is listening
+    harness.started = harness.app.start();
+  }
+
+  async function shutdown() {
+    await harness.app.stop();
+    harness.store.close();
+  }
+
+  // Send a chat message and resolve with the text of the bot's next reply
+  harness.send = async (text, extra) => {
+    const since = telegram.calls.length;
+    telegram.pushMessage(CHAT_ID, text, extra);
+    const call = await telegram.waitForCall(c => c.method === 'sendMessage' && Number(c.params.chat_id) === CHAT_ID, { since });
+    return call.params.text;
+  };
+
+  // Send a chat message and resolve once the bot has made `count` calls
+  harness.sendAndCollect = async (text, count, extra) => {
+    const since = telegram.calls.length;
+    telegram.pushMessage(CHAT_ID, text, extra);
+    await telegram.waitForCall(() => telegram.calls.length - since >= count, { since });
+    return telegram.calls.slice(since, since + count);
+  };
+
+  // Tap an inline button; resolves once the bot has answered the callback
+  // with { edit, answer } (edit is null if the message was left alone)
+  harness.press = async (data, messageId) => {
+    const since = telegram.calls.length;
+    telegram.pushCallback(CHAT_ID, data, messageId);
+    const answer = await telegram.waitForCall(c => c.method === 'answerCallbackQuery', { since });
+    const edit = telegram.calls.slice(since).find(c => c.method === 'editMessageText') || null;
+    return { edit, answer };
+  };
+
+  // Poll the chat's addresses through the scheduler as /check does, and
+  // wait for the notifications; resolves with [{ ok, newMail }]
+  harness.pollAll = () => {
+    const addresses = harness.store.listAddresses(CHAT_ID).filter(a => a.status !== 'invalid');
+    return Promise.all(addresses.map(address => harness.ctx.scheduler.pollNow(address)));
+  };
+
+  harness.messagesSent = () => telegram.calls.filter(c => c.method === 'sendMessage').map(c => c.params.text);
+
+  // Stop and rebuild the bot on the same storage, like a process restart;
+  // whileDown runs in between, with the bot and its store closed
+  harness.restart = async ({ whileDown } = {}) => {
+    await shutdown();
+    if (whileDown) await whileDown();
+    boot();
+  };
+
+  harness.close = async () => {
+    await shutdown();
+    await telegram.close();
+    await barid.close();
+    if (!storageDir) fs.rmSync(dir, { recursive: true, force: true });
+  };
+
+  boot();
+  return harness;
+}
+
+module.exports = {
+  CHAT_ID,
+  startHarness
+};
@@ -0,0 +1,102 @@
+// test/inbox.test.js
+// The /inbox browser: navigation, pagination and message actions, all by
+// editing one message through callback queries.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startHarness } = require('./helpers');
+
+const BROWSER = 77; // message_id of the browser message in these tests
+
+const keyboardOf = call => JSON.parse(call.params.reply_markup).inline_keyboard;
+const buttons = call => keyboardOf(call).flat();
+const button = (call, label) => buttons(call).find(b => b.text.includes(label));
+
+describe('/inbox browser', () => {
+  let h;
+  before(async () => {
+    h = await startHarness();
+  });
+  after(() => h.close());
+
+  it('says so when nothing is tracked', async () => {
+    assert.match(await h.send('/inbox'), /No tracked emails/);
+  });
+
+  it('lists addresses as buttons', async () => {
+    await h.send('/add first@fake.test');
+    await h.send('/add second@fake.test');
+    const [call] = await h.sendAndCollect('/inbox', 1);
+    assert.match(call.params.text, /pick an address \(2\)/);
+    assert.deepStrictEqual(keyboardOf(call), [
+      [{ text: 'first@fake.test', callback_data: 'ib:a:0:0' }],
+      [{ text: 'second@fake.test', callback_data: 'ib:a:1:0' }]
+    ]);
+  });
+
+  it('pages through an address\'s messages by editing in place', async () => {
+    for (let i = 1; i <= 7; i++) h.barid.deliver('first@fake.test', { subject: `Mail ${i}` });
+    const first = (await h.press('ib:a:0:0', BROWSER)).edit;
+    assert.strictEqual(Number(first.params.message_id), BROWSER);
+    assert.match(first.params.text, /7 message\(s\), 7 unread\nPage 1\/2/);
+    assert.strictEqual(buttons(first).filter(b => b.text.startsWith('●')).length, 5);
+    assert.ok(!button(first, 'Prev'));
+
+    const second = (await h.press(button(first, 'Next').callback_data, BROWSER)).edit;
+    assert.match(second.params.text, /Page 2\/2/);
+    assert.strictEqual(buttons(second).filter(b => b.text.startsWith('●')).length, 2);
+    assert.strictEqual(button(second, 'Prev').callback_data, 'ib:a:0:0');
+    assert.strictEqual(button(second, 'Addresses').callback_data, 'ib:l:0');
+  });
+
+  it('opens a message and toggles its read state', async () => {
+    const id = h.barid.deliver('second@fake.test', { subject: 'Welcome', text: 'Your code is 246810' });
+    const opened = (await h.press(`ib:m:1:0:${id}`, BROWSER)).edit;
+    assert.match(opened.params.text, /📨 Welcome\nFrom: sender@example\.com\nTo: second@fake\.test/);
+    assert.match(opened.params.text, /Your code is 246810/);
+    assert.deepStrictEqual(button(opened, 'Copy OTP').copy_text, { text: '246810' });
+    assert.strictEqual(button(opened, 'Back').callback_data, 'ib:a:1:0');
+
+    const { edit: marked, answer } = await h.press(button(opened, 'Mark read').callback_data, BROWSER);
+    assert.ok(button(marked, 'Mark unread'));
+    assert.strictEqual(answer.params.text, 'Marked as read');
+    assert.ok(h.store.isRead(h.chatId, 'second@fake.test', id));
+
+    const list = (await h.press('ib:a:1:0', BROWSER)).edit;
+    assert.match(list.params.text, /1 message\(s\), 0 unread/);
+    assert.match(buttons(list)[0].text, /^○ Welcome/);
+
+    await h.press(button(marked, 'Mark unread').callback_data, BROWSER);
+    assert.ok(!h.store.isRead(h.chatId, 'second@fake.test', id));
+  });
+
+  it('sends attachments as files without editing the browser', async () => {
+    const id = h.barid.deliver('second@fake.test', {
+      subject: 'Files',
+      files: [{ filename: 'a.txt', contentType: 'text/plain', content: 'hello' }]
+    });
+    const since = h.telegram.calls.length;
+    const { edit, answer } = await h.press(`ib:f:1:0:${id}`, BROWSER);
+    assert.strictEqual(answer.params.text, 'Sent 1 attachment(s)');
+    assert.strictEqual(edit, null);
+    const doc = h.telegram.calls.slice(since).find(c => c.method === 'sendDocument');
+    assert.strictEqual(doc.params.document.filename, 'a.txt');
+  });
+
+  it('deletes a message after confirmation', async () => {
+    const id = h.barid.deliver('second@fake.test', { subject: 'Delete me' });
+    const confirm = (await h.press(`ib:d:1:0:${id}`, BROWSER)).edit;
+    assert.match(confirm.params.text, /can't be undone/);
+    assert.strictEqual(button(confirm, 'Cancel').callback_data, `ib:m:1:0:${id}`);
+
+    const { edit: list, answer } = await h.press(button(confirm, 'Yes, delete').callback_data, BROWSER);
+    assert.ok(!h.barid.messages.has(id));
+    assert.ok(!buttons(list).some(b => b.text.includes('Delete me')));
+    assert.strictEqual(answer.params.text, 'Message deleted');
+  });
+
+  it('copes with buttons for addresses that are gone', async () => {
+    const stale = (await h.press('ib:a:9:0', BROWSER)).edit;
+    assert.match(stale.params.text, /no longer tracked/);
+    assert.strictEqual(button(stale, 'Addresses').callback_data, 'ib:l:0');
+  });
+});
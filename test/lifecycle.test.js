@@ -0,0 +1,91 @@
+// test/lifecycle.test.js
+// Address validation, the startup repair pass and TTL expiry.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { validateAddress, normalizeAddress } = require('../src/lifecycle');
+const { startHarness } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('address validation', () => {
+  it('rejects what the legacy data got wrong', () => {
+    assert.strictEqual(validateAddress('ok.name+tag@mail.fake.test'), null);
+    assert.strictEqual(validateAddress('omiif400@undefined'), 'invalid domain "undefined"');
+    assert.strictEqual(validateAddress('no-at-sign'), 'not of the form name@domain');
+    assert.strictEqual(validateAddress('a b@fake.test'), 'invalid name "a b"');
+  });
+
+  it('normalizes repairable spellings', () => {
+    assert.strictEqual(normalizeAddress(' mailto:<Shop@Fake.Test.> '), 'shop@fake.test');
+  });
+});
+
+describe('address lifecycle', () => {
+  let h;
+  before(async () => {
+    h = await startHarness({ env: { ADDRESS_TTL: '3d' } });
+  });
+  after(() => h.close());
+
+  it('repairs or flags malformed addresses at startup', async () => {
+    const { store, chatId } = h;
+    store.ensureUser(chatId);
+    store.putAddress(chatId, 'omiif400@undefined');
+    store.putAddress(chatId, ' Fixable@Fake.test');
+    store.markSeen(chatId, ' Fixable@Fake.test', ['m-old']);
+
+    assert.deepStrictEqual(h.ctx.lifecycle.repairAddresses(), { repaired: 1, flagged: 1 });
+    assert.strictEqual(store.getAddress(chatId, ' Fixable@Fake.test'), null);
+    assert.ok(store.isSeen(chatId, 'fixable@fake.test', 'm-old'));
+    assert.strictEqual(store.getAddress(chatId, 'omiif400@undefined').status, 'invalid');
+    // a second pass has nothing left to do
+    assert.deepStrictEqual(h.ctx.lifecycle.repairAddresses(), { repaired: 0, flagged: 0 });
+
+    const list = await h.send('/list');
+    assert.match(list, /omiif400@undefined\n   added <1m ago · ⚠️ invalid domain "undefined", not checked/);
+    assert.match(list, /remove them with \/delete/);
+
+    // flagged addresses are never polled
+    const results = await h.pollAll();
+    assert.strictEqual(results.length, 1);
+    await h.send('/clear');
+  });
+
+  it('gives /new addresses the configured TTL', async () => {
+    const text = await h.send('/new any');
+    assert.match(text, /Expires in 3d \(change with \/ttl\)/);
+    const [address] = h.store.listAddresses(h.chatId);
+    const ttl = new Date(address.expiresAt).getTime() - Date.now();
+    assert.ok(ttl > 3 * 24 * HOUR - 60000 && ttl <= 3 * 24 * HOUR);
+    await h.send('/clear');
+  });
+
+  it('warns once before expiry, then removes the address', async () => {
+    await h.send('/add temp@fake.test');
+    await h.send('/label temp@fake.test signup');
+    await h.send('/ttl temp@fake.test 2d');
+    const expiresAt = new Date(h.store.getAddress(h.chatId, 'temp@fake.test').expiresAt).getTime();
+    const before = h.messagesSent().length;
+
+    await h.ctx.lifecycle.sweep(expiresAt - 48 * HOUR);
+    assert.strictEqual(h.messagesSent().length, before);
+
+    await h.ctx.lifecycle.sweep(expiresAt - 2 * HOUR);
+    await h.ctx.lifecycle.sweep(expiresAt - HOUR);
+    const warnings = h.messagesSent().slice(before);
+    assert.deepStrictEqual(warnings, ['⏳ temp@fake.test (signup) expires in 2h.\nKeep it with /ttl temp@fake.test 7d or /ttl temp@fake.test off']);
+
+    await h.ctx.lifecycle.sweep(expiresAt);
+    assert.strictEqual(h.messagesSent().pop(), '⌛ Expired and no longer tracked: temp@fake.test (signup)');
+    assert.strictEqual(h.store.getAddress(h.chatId, 'temp@fake.test'), null);
+  });
+
+  it('extending the TTL re-arms the warning', async () => {
+    await h.send('/add keep@fake.test');
+    await h.send('/ttl keep@fake.test 1h');
+    await h.ctx.lifecycle.sweep();
+    assert.ok(h.store.getAddress(h.chatId, 'keep@fake.test').expiryWarnedAt);
+    await h.send('/ttl keep@fake.test 7d');
+    assert.strictEqual(h.store.getAddress(h.chatId, 'keep@fake.test').expiryWarnedAt, null);
+  });
+});
@@ -0,0 +1,89 @@
+// test/notifications.test.js
+// New-mail detection: dedupe, delivery retries and attachment forwarding.
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { startHarness } = require('./helpers');
+
+describe('new mail notifications', () => {
+  let h;
+  let address;
+  let count = 0;
+  before(async () => {
+    h = await startHarness();
+  });
+  after(() => h.close());
+  // a fresh address per test, so earlier mail can't leak in
+  beforeEach(async () => {
+    address = `inbox${++count}@fake.test`;
+    await h.send('/clear');
+    await h.send(`/add ${address}`);
+  });
+
+  const notifications = () => h.messagesSent().filter(text => text.includes(`New email for ${address}`));
+
+  it('announces each mail exactly once', async () => {
+    const before = notifications().length;
+    h.barid.deliver(address, { subject: 'First' });
+    h.barid.deliver(address, { subject: 'Second' });
+    assert.deepStrictEqual(await h.pollAll(), [{ ok: true, newMail: 2 }]);
+    assert.deepStrictEqual(await h.pollAll(), [{ ok: true, newMail: 0 }]);
+    h.barid.deliver(address, { subject: 'Third' });
+    assert.deepStrictEqual(await h.pollAll(), [{ ok: true, newMail: 1 }]);
+    assert.deepStrictEqual(notifications().slice(before).map(text => /Subject: (.*)/.exec(text)[1]), ['First', 'Second', 'Third']);
+  });
+
+  it('puts an extracted code first, with copy and reply buttons', async () => {
+    const id = h.barid.deliver(address, { subject: 'Verify', text: 'Your verification code is 482913.' });
+    const since = h.telegram.calls.length;
+    await h.pollAll();
+    const call = await h.telegram.waitForCall(c => c.method === 'sendMessage', { since });
+    assert.match(call.params.text, /^🔑 Code: <code>482913<\/code>/);
+    const keyboard = JSON.parse(call.params.reply_markup).inline_keyboard;
+    assert.deepStrictEqual(keyboard[0][0].copy_text, { text: '482913' });
+    assert.strictEqual(keyboard[1][0].callback_data, `reply:${id}`);
+  });
+
+  it('answers the Reply button with a toast when it cannot reply', async () => {
+    const id = h.barid.deliver(address, { subject: 'No SMTP' });
+    await h.pollAll();
+    const { answer } = await h.press(`reply:${id}`);
+    assert.strictEqual(answer.params.text, `❌ ${address} cannot send mail: it has no outgoing SMTP configured.`);
+    assert.strictEqual((await h.press('reply:gone')).answer.params.text, '❌ That message is no longer tracked.');
+  });
+
+  it('escapes HTML in mail fields', async () => {
+    h.barid.deliver(address, { subject: '<b>Sale</b> & more' });
+    await h.pollAll();
+    assert.match(notifications().pop(), /Subject: &lt;b&gt;Sale&lt;\/b&gt; &amp; more/);
+  });
+
+  it('drops a notification for a chat that blocked the bot instead of retrying it', async () => {
+    const before = notifications().length;
+    h.barid.deliver(address, { subject: 'Blocked' });
+    h.telegram.failNext('sendMessage', { error_code: 403, description: 'Forbidden: bot was blocked by the user' });
+    assert.deepStrictEqual(await h.pollAll(), [{ ok: true, newMail: 1 }]);
+    assert.deepStrictEqual(await h.pollAll(), [{ ok: true, newMail: 0 }]);
+    // the failed attempt is the only one
+    assert.strictEqual(notifications().length, before + 1);
+  });
+
+  it('reports provider outages to the scheduler', async () => {
+    h.barid.failNext();
+    const [result] = await h.pollAll();
+    assert.strictEqual(result.ok, false);
+    assert.match(result.error.message, /503/);
+  });
+
+  it('forwards attachments as files', async () => {
+    const since = h.telegram.calls.length;
+    h.barid.deliver(address, {
+      subject: 'Invoice',
+      files: [{ filename: 'invoice.pdf', contentType: 'application/pdf', content: '%PDF-1.4 fake' }]
+    });
+    await h.pollAll();
+    const call = await h.telegram.waitForCall(c => c.method === 'sendDocument', { since });
+    assert.strictEqual(call.params.document.filename, 'invoice.pdf');
+    assert.strictEqual(call.params.document.content.toString(), '%PDF-1.4 fake');
+    assert.strictEqual(call.params.caption, `📎 From: Invoice — ${address}\ninvoice.pdf`);
+  });
+});
@@ -0,0 +1,65 @@
+// test/otp.test.js
+// The code and confirmation-link heuristics, including mail they should
+// leave alone.
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { findCode, findLink, extractVerification } = require('../src/otp');
+
+describe('findCode', () => {
+  it('finds codes next to a keyword', () => {
+    assert.strictEqual(findCode('Your verification code is 482913.'), '482913');
+    assert.strictEqual(findCode('Use 123 456 as your one-time password'), '123456');
+    assert.strictEqual(findCode('Login code: A1B2C3'), 'A1B2C3');
+    assert.strictEqual(findCode('Ваш код: 5521'), '5521');
+  });
+
+  it('prefers a six-digit code after the keyword', () => {
+    assert.strictEqual(findCode('Order 4411 shipped. Your code is 902211'), '902211');
+  });
+
+  it('leaves mail without a code alone', () => {
+    assert.strictEqual(findCode('Lunch at 1230 tomorrow?'), null);
+    assert.strictEqual(findCode('Confirm your email. Order total $1299.'), null);
+    assert.strictEqual(findCode('Please confirm order 88231 for delivery'), null);
+    assert.strictEqual(findCode(''), null);
+  });
+
+  it('skips amounts, years, versions and product names', () => {
+    assert.strictEqual(findCode('Verify your payment of $1299'), null);
+    assert.strictEqual(findCode('Verify your payment of € 4500 or 1299€ or 2500 USD'), null);
+    assert.strictEqual(findCode('Verification for 1,299 items'), null);
+    assert.strictEqual(findCode('verify your account HTTP2'), null);
+    assert.strictEqual(findCode('Your code for WIN11 and MP3 downloads'), null);
+    assert.strictEqual(findCode('Verified in 2024, version 10.2.1234'), null);
+    assert.strictEqual(findCode('Enter code at example.com/5521 or #5521'), null);
+  });
+});
+
+describe('findLink', () => {
+  it('finds a confirmation link by its label or URL', () => {
+    const html = '<a href="https://example.com/terms">Terms</a> <a href="https://example.com/x?t=1">Confirm your email</a>';
+    assert.strictEqual(findLink({ html }), 'https://example.com/x?t=1');
+    assert.strictEqual(findLink({ text: 'Sign in here: https://example.com/magic/abc' }), 'https://example.com/magic/abc');
+  });
+
+  it('ignores unsubscribe, help and unrelated links', () => {
+    const html = '<a href="https://example.com/unsubscribe?verify=1">Unsubscribe</a> <a href="https://example.com/blog">Read our blog</a>';
+    assert.strictEqual(findLink({ html, text: 'See https://example.com/help/confirm' }), null);
+    assert.strictEqual(findLink({ html: '<a href="mailto:verify@example.com">Verify</a>' }), null);
+    assert.strictEqual(findLink({}), null);
+  });
+});
+
+describe('extractVerification', () => {
+  it('checks the subject, then the body, and falls back to the HTML', () => {
+    assert.deepStrictEqual(extractVerification({ subject: 'Your code: 771122', text: 'code 334455' }), { code: '771122', link: null });
+    assert.deepStrictEqual(extractVerification({ subject: 'Welcome', html: '<p>Your code is <b>334455</b></p>' }), { code: '334455', link: null });
+  });
+
+  it('lets a sender rule override the heuristics', () => {
+    const rules = [{ sender: 'shop.test', pattern: 'ref ([A-Z]{3}\\d{3})' }];
+    const message = { from: 'no-reply@shop.test', subject: 'Hi', text: 'Your code 112233, ref XYZ789' };
+    assert.strictEqual(extractVerification(message, rules).code, 'XYZ789');
+    assert.strictEqual(extractVerification({ ...message, from: 'other@mail.test' }, rules).code, '112233');
+  });
+});
@@ -0,0 +1,41 @@
+// test/registry.test.js
+// Argument parsing and usage lines generated from command schemas.
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { parseCommandText, parseArgs, usageOf } = require('../src/registry');
+
+const send = {
+  name: 'send',
+  args: [{ name: 'from', required: true }, { name: 'to', required: true }, { name: 'subject', required: true, rest: true }]
+};
+const read = {
+  name: 'read',
+  args: [{ name: 'id', required: true }, { name: 'format', choices: ['eml', 'html'] }]
+};
+
+describe('registry', () => {
+  it('splits the command name from its arguments', () => {
+    assert.deepStrictEqual(parseCommandText('/Add@my_bot  a@b.c  barid '), { name: 'add', argText: 'a@b.c  barid' });
+    assert.deepStrictEqual(parseCommandText('/list'), { name: 'list', argText: '' });
+    assert.strictEqual(parseCommandText('hello /list'), null);
+  });
+
+  it('keeps spaces in a rest argument', () => {
+    assert.deepStrictEqual(parseArgs(send, 'me@x.y you@x.y Hello  there'), {
+      args: { from: 'me@x.y', to: 'you@x.y', subject: 'Hello  there' }
+    });
+  });
+
+  it('reports missing, invalid and extra arguments', () => {
+    assert.deepStrictEqual(parseArgs(send, 'me@x.y'), { error: 'Missing to.' });
+    assert.deepStrictEqual(parseArgs(read, '1 pdf'), { error: 'format must be one of: eml, html' });
+    assert.deepStrictEqual(parseArgs(read, '1 eml more'), { error: 'Too many arguments.' });
+    assert.deepStrictEqual(parseArgs(read, '1 EML'), { args: { id: '1', format: 'eml' } });
+  });
+
+  it('builds usage lines from the schema', () => {
+    assert.strictEqual(usageOf(send), '/send <from> <to> <subject>');
+    assert.strictEqual(usageOf(read), '/read <id> [eml|html]');
+    assert.strictEqual(usageOf({ name: 'otprule', usage: 'add|list|delete' }), '/otprule add|list|delete');
+  });
+});
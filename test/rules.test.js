@@ -0,0 +1,154 @@
+// test/rules.test.js
+// Notification rules: parsing, evaluation and what the notifier does with them.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { parseRule, evaluateRules, describeRule } = require('../src/rules');
+const { startHarness } = require('./helpers');
+
+describe('rule parsing', () => {
+  it('reads conditions and an action', () => {
+    const { rule } = parseRule('from:Shop subject:"Order Shipped" address:/^a@/ -> tag:#orders');
+    assert.deepStrictEqual(rule, {
+      conditions: [
+        { field: 'from', op: 'contains', value: 'shop' },
+        { field: 'subject', op: 'contains', value: 'order shipped' },
+        { field: 'address', op: 'regex', value: '^a@' }
+      ],
+      action: { type: 'tag', value: 'orders' }
+    });
+    assert.strictEqual(describeRule(rule), 'from contains "shop" and subject contains "order shipped" and address ~ /^a@/ → tag:orders');
+  });
+
+  it('explains what is wrong', () => {
+    assert.match(parseRule('from:x').error, /A rule looks like/);
+    assert.match(parseRule('body:x -> mute').error, /Unknown condition "body:"/);
+    assert.match(parseRule('from:x junk -> mute').error, /Could not understand "junk"/);
+    assert.match(parseRule('from:/(/ -> mute').error, /Invalid regex for from/);
+    assert.match(parseRule('subject:/(a+)+$/ -> mute').error, /^Invalid regex for subject: a repeated group can't itself repeat/);
+    assert.match(parseRule('subject:/(a|ab)*c/ -> mute').error, /a repeated group can't itself repeat/);
+    assert.match(parseRule('from:/(x)\\1/ -> mute').error, /backreferences/);
+    assert.match(parseRule(`from:/${'a'.repeat(101)}/ -> mute`).error, /longer than 100 characters/);
+    assert.ok(parseRule('subject:"/(order|invoice) #\\d+/" -> mute').rule);
+    assert.match(parseRule('from:x -> explode').error, /Unknown action "explode"/);
+    assert.match(parseRule('from:x -> forward:me').error, /forward needs a chat ID/);
+  });
+
+  it('applies every matching rule', () => {
+    const rules = ['from:shop -> silent', 'subject:sale -> tag:sale', 'address:b@fake.test -> mute', 'from:shop -> forward:7']
+      .map(text => parseRule(text).rule);
+    const outcome = evaluateRules(rules, { from: 'news@shop.test', subject: 'Big SALE', address: 'a@fake.test' });
+    assert.deepStrictEqual(outcome, { matched: [0, 1, 3], mute: false, silent: true, pin: false, tags: ['sale'], forwards: ['7'] });
+    assert.strictEqual(evaluateRules(rules, { from: 'x', subject: 'y', address: 'B@fake.test' }).mute, true);
+  });
+
+  it('gives up on regexes that would take ages', () => {
+    const rule = value => ({ conditions: [{ field: 'subject', op: 'regex', value }], action: { type: 'mute' } });
+    const subject = 'a'.repeat(5000);
+    // saved before the checks existed
+    assert.strictEqual(evaluateRules([rule('(a+)+$')], { subject: `${subject}!` }).mute, false);
+    // allowed, but slow on this subject: stopped by the time limit
+    const started = Date.now();
+    assert.strictEqual(evaluateRules([rule('a*a*a*a*a*a*b')], { subject }).mute, false);
+    assert.ok(Date.now() - started < 1000);
+    assert.strictEqual(evaluateRules([rule('^a+$')], { subject }).mute, true);
+  });
+});
+
+describe('/rules', () => {
+  // a group the user is in, and one they aren't
+  const OTHER_CHAT = -777;
+  const STRANGERS = -555;
+  let h;
+  before(async () => {
+    h = await startHarness();
+    await h.send('/add rules@fake.test');
+    h.store.ensureUser(OTHER_CHAT);
+    h.store.ensureUser(STRANGERS);
+    h.telegram.setChatMember(OTHER_CHAT, h.chatId, 'member');
+  });
+  after(() => h.close());
+
+  async function notifications(since) {
+    await h.pollAll();
+    return h.telegram.calls.slice(since).filter(c => c.method === 'sendMessage' && /New email/.test(c.params.text));
+  }
+
+  it('manages the rule list', async () => {
+    assert.match(await h.send('/rules'), /^No notification rules\./);
+    assert.match(await h.send('/rules add from:x'), /A rule looks like/);
+    assert.strictEqual(await h.send('/rules add from:newsletter -> mute'), '✅ Rule 1 added: from contains "newsletter" → mute');
+    assert.strictEqual(await h.send('/rules add subject:invoice -> tag:billing'), '✅ Rule 2 added: subject contains "invoice" → tag:billing');
+    assert.match(await h.send('/rules add from:x -> forward:123'), /Chat 123 hasn't used this bot yet/);
+    assert.match(await h.send(`/rules add from:x -> forward:${STRANGERS}`), /^❌ You can only forward to chats you're in/);
+    assert.strictEqual(await h.send('/rules list'), [
+      '🚦 Notification rules (2):',
+      '',
+      '1. from contains "newsletter" → mute',
+      '2. subject contains "invoice" → tag:billing',
+      '',
+      'Every matching rule applies.'
+    ].join('\n'));
+  });
+
+  it('mutes and tags notifications, still marking the mail seen', async () => {
+    const muted = h.barid.deliver('rules@fake.test', { from: 'newsletter@shop.test', subject: 'Weekly' });
+    h.barid.deliver('rules@fake.test', { from: 'billing@shop.test', subject: 'Your invoice' });
+    const sent = await notifications(h.telegram.calls.length);
+    assert.strictEqual(sent.length, 1);
+    assert.match(sent[0].params.text, /New email for rules@fake\.test\n+Tags: #billing\n+From: billing@shop\.test/);
+    assert.ok(h.store.isSeen(h.chatId, 'rules@fake.test', muted));
+  });
+
+  it('sends silently, pins and forwards', async () => {
+    await h.send('/rules delete 1');
+    await h.send('/rules add from:alerts -> silent');
+    await h.send('/rules add from:alerts -> pin');
+    await h.send(`/rules add address:RULES@fake.test -> forward:${OTHER_CHAT}`);
+
+    const since = h.telegram.calls.length;
+    h.barid.deliver('rules@fake.test', { from: 'alerts@shop.test', subject: 'Down' });
+    const sent = await notifications(since);
+    const own = sent.find(c => Number(c.params.chat_id) === h.chatId);
+    const copy = sent.find(c => Number(c.params.chat_id) === OTHER_CHAT);
+    assert.strictEqual(String(own.params.disable_notification), 'true');
+    assert.ok(h.telegram.calls.slice(since).some(c => c.method === 'pinChatMessage' && Number(c.params.chat_id) === h.chatId));
+    assert.match(copy.params.text, /^↪️ Forwarded\n📧 New email for rules@fake\.test/);
+    assert.ok(!copy.params.reply_markup.includes('reply:'));
+  });
+
+  it('shows which rules match an existing mail', async () => {
+    const id = h.barid.deliver('rules@fake.test', { from: 'alerts@shop.test', subject: 'Invoice overdue' });
+    await h.pollAll();
+    assert.strictEqual(await h.send(`/rules test ${id}`), [
+      `🧪 Rules for message ${id}`,
+      'From: alerts@shop.test',
+      'Subject: Invoice overdue',
+      'Address: rules@fake.test',
+      '',
+      'Matching rules:',
+      '1. subject contains "invoice" → tag:billing',
+      '2. from contains "alerts" → silent',
+      '3. from contains "alerts" → pin',
+      `4. address is "rules@fake.test" → forward:${OTHER_CHAT}`,
+      '',
+      `Result: notified silently, pinned, tagged #billing, forwarded to ${OTHER_CHAT}`
+    ].join('\n'));
+    assert.match(await h.send('/rules test nope'), /Message not found/);
+  });
+
+  it('forwards mail that is muted or held for a digest here', async () => {
+    await h.send('/rules add from:hush -> mute');
+    let since = h.telegram.calls.length;
+    h.barid.deliver('rules@fake.test', { from: 'hush@shop.test', subject: 'Muted here' });
+    let sent = await notifications(since);
+    assert.deepStrictEqual(sent.map(c => Number(c.params.chat_id)), [OTHER_CHAT]);
+
+    await h.send('/mode hourly');
+    since = h.telegram.calls.length;
+    h.barid.deliver('rules@fake.test', { from: 'alerts@shop.test', subject: 'Held here' });
+    sent = await notifications(since);
+    assert.deepStrictEqual(sent.map(c => Number(c.params.chat_id)), [OTHER_CHAT]);
+    assert.strictEqual(h.store.listDigest(h.chatId).length, 1);
+    await h.send('/mode instant');
+  });
+});
@@ -0,0 +1,163 @@
+// test/scheduler.test.js
+// The poll scheduler: its provider rate limit, backoff, overlap handling,
+// idle addresses and concurrency cap. Scheduler tests run on a fake clock
+// and call tick() themselves.
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { createTokenBucket, createScheduler } = require('../src/scheduler');
+
+// Resolves with how long acquire() took, or null if it took longer than limit
+async function timed(bucket, limit) {
+  const started = Date.now();
+  let timer;
+  const done = await Promise.race([
+    bucket.acquire().then(() => true),
+    new Promise(resolve => {
+      timer = setTimeout(resolve, limit, false);
+    })
+  ]);
+  clearTimeout(timer);
+  return done ? Date.now() - started : null;
+}
+
+describe('token bucket', () => {
+  it('hands out a call right away at rates below one per second', async () => {
+    const bucket = createTokenBucket(0.5);
+    const first = await timed(bucket, 500);
+    assert.ok(first !== null && first < 100, `first call took ${first}ms`);
+    // the next token is two seconds away
+    assert.strictEqual(await timed(bucket, 500), null);
+  });
+
+  it('spaces calls out once the burst is used', async () => {
+    const bucket = createTokenBucket(20);
+    for (let i = 0; i < 20; i++) await bucket.acquire();
+    const waited = await timed(bucket, 1000);
+    assert.ok(waited !== null && waited >= 30, `waited ${waited}ms`);
+  });
+});
+
+describe('scheduler', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+  let clock;
+  beforeEach(() => {
+    clock = 1e12;
+    mock.method(Date, 'now', () => clock);
+  });
+  afterEach(() => mock.restoreAll());
+
+  // lets a finished poll settle its bookkeeping
+  const settle = () => new Promise(resolve => setImmediate(resolve));
+
+  function target(email, lastMailAt = clock) {
+    return { chatId: 1, email, provider: 'barid', createdAt: new Date(clock - DAY).toISOString(), lastMailAt: new Date(lastMailAt).toISOString() };
+  }
+
+  // A scheduler over targets whose polls go through pollFn; polled lists
+  // the addresses in the order they were polled
+  function schedulerFor(targets, pollFn, options = {}) {
+    const polled = [];
+    const scheduler = createScheduler({
+      poll: job => {
+        polled.push(job.email);
+        return pollFn(job);
+      },
+      listTargets: () => targets,
+      interval: 1000,
+      ratePerSecond: 1000,
+      ...options
+    });
+    return { scheduler, polled };
+  }
+
+  async function tickAt(scheduler, at) {
+    clock = at;
+    scheduler.tick();
+    await settle();
+  }
+
+  it('backs off exponentially after failures, up to maxBackoff', async () => {
+    const targets = [target('a@fake.test')];
+    const { scheduler, polled } = schedulerFor(targets, async () => {
+      throw new Error('down');
+    }, { maxBackoff: 5000 });
+    const start = clock;
+    assert.strictEqual((await scheduler.pollNow(targets[0])).ok, false);
+
+    // one failure: twice the interval
+    await tickAt(scheduler, start + 1999);
+    assert.strictEqual(polled.length, 1);
+    await tickAt(scheduler, start + 2000);
+    assert.strictEqual(polled.length, 2);
+    // two failures: four times
+    await tickAt(scheduler, start + 5999);
+    assert.strictEqual(polled.length, 2);
+    await tickAt(scheduler, start + 6000);
+    assert.strictEqual(polled.length, 3);
+    // three failures would be eight times, but maxBackoff caps it
+    await tickAt(scheduler, start + 11000);
+    assert.strictEqual(polled.length, 4);
+    assert.strictEqual(scheduler.stats().backingOff, 1);
+  });
+
+  it('skips a poll while the previous one for the address is still running', async () => {
+    const targets = [target('slow@fake.test')];
+    let finish;
+    const { scheduler, polled } = schedulerFor(targets, () => new Promise(resolve => {
+      finish = resolve;
+    }));
+    const running = scheduler.pollNow(targets[0]);
+    await settle();
+
+    await tickAt(scheduler, clock + 5000);
+    await tickAt(scheduler, clock + 5000);
+    assert.strictEqual(polled.length, 1);
+    // counted once per overrun, however many ticks it spans
+    assert.strictEqual(scheduler.stats().overlapsSkipped, 1);
+    // a pollNow() meanwhile joins the run in progress
+    const joined = scheduler.pollNow(targets[0]);
+
+    finish(2);
+    assert.deepStrictEqual(await running, { ok: true, newMail: 2 });
+    assert.deepStrictEqual(await joined, { ok: true, newMail: 2 });
+    assert.strictEqual(polled.length, 1);
+  });
+
+  it('polls addresses without recent mail less often', async () => {
+    const targets = [target('busy@fake.test'), target('idle@fake.test', clock - 8 * DAY)];
+    const { scheduler, polled } = schedulerFor(targets, async () => 0, { inactiveInterval: 10000 });
+    const start = clock;
+    await Promise.all(targets.map(t => scheduler.pollNow(t)));
+    polled.length = 0;
+
+    await tickAt(scheduler, start + 1000);
+    assert.deepStrictEqual(polled, ['busy@fake.test']);
+    await tickAt(scheduler, start + 9999);
+    assert.deepStrictEqual(polled, ['busy@fake.test', 'busy@fake.test']);
+    await tickAt(scheduler, start + 10000);
+    assert.deepStrictEqual(polled, ['busy@fake.test', 'busy@fake.test', 'idle@fake.test']);
+  });
+
+  it('runs no more polls at once than the concurrency cap', async () => {
+    const targets = ['a', 'b', 'c', 'd'].map(name => target(`${name}@fake.test`));
+    const finishers = [];
+    const { scheduler, polled } = schedulerFor(targets, () => new Promise(resolve => finishers.push(resolve)), { concurrency: 2 });
+    const results = targets.map(t => scheduler.pollNow(t));
+    await settle();
+    assert.strictEqual(polled.length, 2);
+    assert.strictEqual(scheduler.stats().active, 2);
+    assert.strictEqual(scheduler.stats().queued, 2);
+
+    finishers[0](0);
+    await settle();
+    assert.strictEqual(polled.length, 3);
+    assert.strictEqual(scheduler.stats().active, 2);
+
+    finishers.slice(1).forEach(finish => finish(0));
+    await settle();
+    finishers.slice(3).forEach(finish => finish(0));
+    await Promise.all(results);
+    assert.strictEqual(polled.length, 4);
+    assert.strictEqual(scheduler.stats().active, 0);
+  });
+});
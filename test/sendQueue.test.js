@@ -0,0 +1,85 @@
+// test/sendQueue.test.js
+// Retries, rate limits and spacing of the outbound Telegram queue, with
+// errors injected by the fake Telegram server.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const TelegramBot = require('node-telegram-bot-api');
+const { createSendQueue } = require('../src/sendQueue');
+const { createTelegramServer } = require('./fakes/telegramServer');
+
+// timers may fire a millisecond or two early
+const SLACK_MS = 5;
+
+describe('send queue', () => {
+  let telegram;
+  let bot;
+  before(async () => {
+    telegram = createTelegramServer();
+    bot = new TelegramBot(telegram.token, { baseApiUrl: await telegram.listen(), polling: false });
+  });
+  after(() => telegram.close());
+
+  // A send that notes when each attempt was made
+  function timedSend(chatId, text, times) {
+    return () => {
+      times.push(Date.now());
+      return bot.sendMessage(chatId, text);
+    };
+  }
+
+  it('waits as long as a 429 asks before trying again', async () => {
+    const queue = createSendQueue({ perChatInterval: 0, retryDelay: 10 });
+    const times = [];
+    telegram.failNext('sendMessage', { error_code: 429, description: 'Too Many Requests: retry after 1', parameters: { retry_after: 1 } });
+    const sent = await queue.enqueue(1, timedSend(1, 'flood', times));
+    assert.strictEqual(sent.text, 'flood');
+    assert.strictEqual(times.length, 2);
+    assert.ok(times[1] - times[0] >= 1000 - SLACK_MS, `retried after ${times[1] - times[0]}ms`);
+    assert.deepStrictEqual(queue.stats(), { sent: 1, failed: 0, rateLimited: 1, retried: 1, depth: 0, chats: 0 });
+  });
+
+  it('retries transient errors with a growing delay', async () => {
+    const queue = createSendQueue({ perChatInterval: 0, retryDelay: 50 });
+    const times = [];
+    telegram.failNext('sendMessage', { error_code: 502, description: 'Bad Gateway' }, 2);
+    const sent = await queue.enqueue(2, timedSend(2, 'eventually', times));
+    assert.strictEqual(sent.text, 'eventually');
+    assert.strictEqual(times.length, 3);
+    assert.ok(times[1] - times[0] >= 50 - SLACK_MS, `first retry after ${times[1] - times[0]}ms`);
+    assert.ok(times[2] - times[1] >= 100 - SLACK_MS, `second retry after ${times[2] - times[1]}ms`);
+    assert.strictEqual(queue.stats().retried, 2);
+  });
+
+  it('gives up on a transient error once the attempts are used', async () => {
+    const queue = createSendQueue({ perChatInterval: 0, retryDelay: 1, maxAttempts: 3 });
+    const times = [];
+    telegram.failNext('sendMessage', { error_code: 500, description: 'Internal Server Error' }, 3);
+    await assert.rejects(queue.enqueue(3, timedSend(3, 'never', times)), /Internal Server Error/);
+    assert.strictEqual(times.length, 3);
+  });
+
+  it('rejects permanent errors without retrying', async () => {
+    const queue = createSendQueue({ perChatInterval: 0, retryDelay: 1 });
+    const times = [];
+    telegram.failNext('sendMessage', { error_code: 403, description: 'Forbidden: bot was blocked by the user' });
+    await assert.rejects(queue.enqueue(4, timedSend(4, 'blocked', times)), /bot was blocked/);
+    telegram.failNext('sendMessage', { error_code: 400, description: 'Bad Request: chat not found' });
+    await assert.rejects(queue.enqueue(4, timedSend(4, 'missing', times)), /chat not found/);
+    assert.strictEqual(times.length, 2);
+    assert.deepStrictEqual(queue.stats(), { sent: 0, failed: 2, rateLimited: 0, retried: 0, depth: 0, chats: 0 });
+  });
+
+  it('keeps the per-chat and the global gap between sends', async () => {
+    const queue = createSendQueue({ perChatInterval: 300, globalPerSecond: 10 });
+    const times = { a: [], b: [] };
+    await Promise.all([
+      queue.enqueue(5, timedSend(5, 'a1', times.a)),
+      queue.enqueue(5, timedSend(5, 'a2', times.a)),
+      queue.enqueue(6, timedSend(6, 'b1', times.b))
+    ]);
+    // b1 only waits for the global gap (100ms), a2 for the chat's own (300ms)
+    assert.ok(times.b[0] - times.a[0] >= 100 - SLACK_MS, `b1 ${times.b[0] - times.a[0]}ms after a1`);
+    assert.ok(times.b[0] - times.a[0] < 300, `b1 ${times.b[0] - times.a[0]}ms after a1`);
+    assert.ok(times.a[1] - times.a[0] >= 300 - SLACK_MS, `a2 ${times.a[1] - times.a[0]}ms after a1`);
+  });
+});
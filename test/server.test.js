@@ -0,0 +1,101 @@
+// test/server.test.js
+// The embedded HTTP server: /healthz, /metrics and webhook mode.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { renderMetrics } = require('../src/metrics');
+const { startHarness } = require('./helpers');
+
+function url(h, path) {
+  return `http://127.0.0.1:${h.app.httpPort()}${path}`;
+}
+
+describe('metrics format', () => {
+  it('renders help, type and labelled samples', () => {
+    const text = renderMetrics([
+      { name: 'x_total', help: 'Things.', type: 'counter', samples: [{ labels: { kind: 'a "b"' }, value: 2 }, { value: 1 }] }
+    ]);
+    assert.strictEqual(text, '# HELP x_total Things.\n# TYPE x_total counter\nx_total{kind="a \\"b\\""} 2\nx_total 1\n');
+  });
+});
+
+describe('health and metrics', () => {
+  let h;
+  before(async () => {
+    h = await startHarness({ env: { PORT: '0', HEALTH_STALE_AFTER: '1s' } });
+    await h.started;
+  });
+  after(() => h.close());
+
+  it('reports healthy once Telegram answers', async () => {
+    const res = await fetch(url(h, '/healthz'));
+    assert.strictEqual(res.status, 200);
+    const report = await res.json();
+    assert.strictEqual(report.ok, true);
+    assert.strictEqual(report.telegram.ok, true);
+    assert.deepStrictEqual(report.providers, {});
+    assert.ok(h.telegram.calls.some(c => c.method === 'getMe'));
+  });
+
+  it('counts polls, new mail and sends', async () => {
+    await h.send('/add metrics@fake.test');
+    h.barid.deliver('metrics@fake.test', { subject: 'Hello' });
+    await h.pollAll();
+    h.barid.failNext();
+    await h.pollAll();
+
+    const text = await (await fetch(url(h, '/metrics'))).text();
+    assert.match(text, /^mailbot_polls_total\{provider="barid",result="ok"\} 1$/m);
+    assert.match(text, /^mailbot_polls_total\{provider="barid",result="error"\} 1$/m);
+    assert.match(text, /^mailbot_new_mail_total 1$/m);
+    assert.match(text, /^mailbot_telegram_sends_total\{result="ok"\} \d+$/m);
+    assert.match(text, /^# TYPE mailbot_poll_queue_depth gauge$/m);
+  });
+
+  it('fails once a provider has only failed for too long', async () => {
+    await new Promise(resolve => setTimeout(resolve, 1100));
+    const res = await fetch(url(h, '/healthz'));
+    assert.strictEqual(res.status, 503);
+    const report = await res.json();
+    assert.strictEqual(report.providers.barid.ok, false);
+    assert.ok(report.providers.barid.lastError);
+
+    await h.pollAll();
+    assert.strictEqual((await fetch(url(h, '/healthz'))).status, 200);
+    assert.strictEqual((await fetch(url(h, '/nope'))).status, 404);
+  });
+});
+
+describe('webhook mode', () => {
+  let h;
+  before(async () => {
+    h = await startHarness({ env: { PORT: '0', PUBLIC_URL: 'https://bot.example/', WEBHOOK_SECRET: 's3cret' } });
+    await h.started;
+  });
+  after(() => h.close());
+
+  function post(body, secret) {
+    return fetch(url(h, '/telegram'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(secret ? { 'X-Telegram-Bot-Api-Secret-Token': secret } : {}) },
+      body
+    });
+  }
+
+  it('registers the webhook instead of polling', () => {
+    const call = h.telegram.calls.find(c => c.method === 'setWebHook');
+    assert.strictEqual(call.params.url, 'https://bot.example/telegram');
+    assert.strictEqual(call.params.secret_token, 's3cret');
+    assert.ok(!h.telegram.calls.some(c => c.method === 'getUpdates'));
+  });
+
+  it('handles updates Telegram posts', async () => {
+    const update = { update_id: 1, message: { message_id: 1, date: 0, chat: { id: h.chatId, type: 'private' }, from: { id: h.chatId, first_name: 'Test' }, text: '/list' } };
+    assert.strictEqual((await post(JSON.stringify(update))).status, 401);
+    assert.strictEqual((await post('{oops', 's3cret')).status, 400);
+
+    const since = h.telegram.calls.length;
+    assert.strictEqual((await post(JSON.stringify(update), 's3cret')).status, 200);
+    const reply = await h.telegram.waitForCall(c => c.method === 'sendMessage', { since });
+    assert.strictEqual(reply.params.text, 'No tracked emails.');
+  });
+});
@@ -0,0 +1,169 @@
+// test/settings.test.js
+// Per-chat preferences: parsing, quiet hours, the /settings menu and how
+// notifications and the scheduler follow them.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { parsePreference, isQuiet } = require('../src/preferences');
+const { createFormatter } = require('../src/format');
+const { createScheduler } = require('../src/scheduler');
+const { startHarness } = require('./helpers');
+
+const MENU = 9100;
+const config = { pollIntervalMin: 30 * 1000, pollIntervalMax: 60 * 60 * 1000 };
+
+// "HH:MM" in UTC, offset minutes from now
+function utcTime(offsetMinutes) {
+  return new Date(Date.now() + offsetMinutes * 60 * 1000).toISOString().slice(11, 16);
+}
+
+describe('preferences', () => {
+  it('parses values and keeps the poll interval within bounds', () => {
+    assert.deepStrictEqual(parsePreference('interval', '5m', config), { value: 5 * 60 * 1000 });
+    assert.strictEqual(parsePreference('interval', '10s', config).error, 'The poll interval must be between 30s and 1h.');
+    assert.deepStrictEqual(parsePreference('quiet', '22:00-7:00', config), { value: { from: '22:00', to: '07:00' } });
+    assert.deepStrictEqual(parsePreference('quiet', 'off', config), { value: null });
+    assert.match(parsePreference('quiet', '22:00', config).error, /^Please give quiet hours as HH:MM-HH:MM/);
+    assert.deepStrictEqual(parsePreference('preview', 'hide', config), { value: false });
+    assert.deepStrictEqual(parsePreference('language', 'default', config), { value: undefined });
+    assert.strictEqual(parsePreference('language', 'xx', config).error, 'language is one of: en, es, fr, de');
+  });
+
+  it('knows quiet hours across midnight and timezones', () => {
+    const quiet = { from: '22:00', to: '07:00' };
+    assert.strictEqual(isQuiet(quiet, 'UTC', Date.parse('2026-10-18T23:30:00Z')), true);
+    assert.strictEqual(isQuiet(quiet, 'UTC', Date.parse('2026-10-18T06:59:00Z')), true);
+    assert.strictEqual(isQuiet(quiet, 'UTC', Date.parse('2026-10-18T07:00:00Z')), false);
+    // 18:00 UTC is 23:30 in Kolkata
+    assert.strictEqual(isQuiet(quiet, 'Asia/Kolkata', Date.parse('2026-10-18T18:00:00Z')), true);
+    assert.strictEqual(isQuiet(null, 'UTC'), false);
+  });
+
+  it('escapes MarkdownV2 outside and inside code', () => {
+    const md = createFormatter('markdown');
+    assert.strictEqual(md.escape('a_b*c [x](y) ~`>#+-=|{}.!\\'), 'a\\_b\\*c \\[x\\]\\(y\\) \\~\\`\\>\\#\\+\\-\\=\\|\\{\\}\\.\\!\\\\');
+    assert.strictEqual(md.field('From', 'a.b@x.test'), '*From:* a\\.b@x\\.test');
+    assert.strictEqual(md.code('a`b\\c.d'), '`a\\`b\\\\c.d`');
+    assert.strictEqual(md.mention(42, 'Ann (ops)'), '[Ann \\(ops\\)](tg://user?id=42)');
+  });
+
+  it('polls a target at its own interval', async () => {
+    let polls = 0;
+    const scheduler = createScheduler({
+      poll: async () => {
+        polls++;
+        return 0;
+      },
+      listTargets: () => [{ chatId: '1', email: 'fast@fake.test', provider: 'barid', interval: 20 }],
+      interval: 60 * 60 * 1000,
+      ratePerSecond: 1000
+    });
+    for (let i = 0; i < 10; i++) {
+      scheduler.tick();
+      await new Promise(resolve => setTimeout(resolve, 25));
+    }
+    assert.ok(polls >= 3, `${polls} polls`);
+  });
+});
+
+describe('/settings', () => {
+  let h;
+  before(async () => {
+    h = await startHarness();
+    await h.send('/add prefs@fake.test');
+  });
+  after(() => h.close());
+
+  const buttons = call => JSON.parse(call.params.reply_markup).inline_keyboard.flat();
+  const notification = (since, subject) => h.telegram.waitForCall(c => c.method === 'sendMessage' && c.params.text.includes(subject), { since });
+
+  it('shows the settings and changes them from the menu', async () => {
+    const [menu] = await h.sendAndCollect('/settings', 1);
+    assert.strictEqual(menu.params.text, [
+      '⚙️ Settings',
+      '',
+      '⏱️ Poll interval: 1h',
+      '👁️ Preview: shown',
+      '🎨 Format: plain',
+      '🌙 Quiet hours: off',
+      '🌐 Language: English',
+      '📎 Attachments: sent as files',
+      '',
+      'Tap one to change it, or send /settings <setting> <value>.'
+    ].join('\n'));
+    assert.strictEqual(buttons(menu).length, 6);
+
+    const { edit: formats } = await h.press('st:k:format', MENU);
+    assert.match(formats.params.text, /^🎨 Format: plain\nPick one/);
+    assert.deepStrictEqual(buttons(formats).map(b => b.text), ['rich (bold labels)', '✅ plain', 'markdown (MarkdownV2)', 'text (no markup)', '↩️ Default', '◀️ Back']);
+
+    const { edit: overview, answer } = await h.press('st:s:format:text', MENU);
+    assert.strictEqual(answer.params.text, '🎨 Format: text (no markup)');
+    assert.match(overview.params.text, /🎨 Format: text \(no markup\)/);
+
+    const since = h.telegram.calls.length;
+    h.barid.deliver('prefs@fake.test', { subject: 'Plain <one>', text: 'Your code is 314159' });
+    await h.pollAll();
+    const sent = await notification(since, 'Plain <one>');
+    assert.strictEqual(sent.params.parse_mode, undefined);
+    assert.match(sent.params.text, /^🔑 Code: 314159\n\n📧 New email for prefs@fake\.test/);
+  });
+
+  it('follows the format setting in /help and /inbox', async () => {
+    assert.strictEqual(await h.send('/settings format markdown'), '✅ 🎨 Format: markdown (MarkdownV2)');
+    const [help] = await h.sendAndCollect('/help', 1);
+    assert.strictEqual(help.params.parse_mode, 'MarkdownV2');
+    assert.match(help.params.text, /^👋 \*Welcome — .*\*\nAvailable commands:\n• \/new \\\[count\\\] .* \\\(no domain: pick one from a list\\\)\n/);
+    const [inbox] = await h.sendAndCollect('/inbox', 1);
+    assert.strictEqual(inbox.params.parse_mode, 'MarkdownV2');
+    assert.strictEqual(inbox.params.text, '📬 *Inbox* — pick an address \\(1\\)');
+
+    const { edit } = await h.press('ib:a:0:0', MENU);
+    assert.match(edit.params.text, /^📬 \*prefs@fake\\\.test\*\n\d+ message\\\(s\\\), \d+ unread$/);
+
+    await h.send('/settings format text');
+    const [plainHelp] = await h.sendAndCollect('/help', 1);
+    assert.strictEqual(plainHelp.params.parse_mode, undefined);
+  });
+
+  it('translates notifications and hides the preview', async () => {
+    assert.strictEqual(await h.send('/settings language es'), '✅ 🌐 Language: Español');
+    assert.strictEqual(await h.send('/settings preview off'), '✅ 👁️ Preview: hidden');
+    const since = h.telegram.calls.length;
+    h.barid.deliver('prefs@fake.test', { subject: 'Hola', text: 'Something to preview' });
+    await h.pollAll();
+    const sent = await notification(since, 'Hola');
+    assert.match(sent.params.text, /📧 Nuevo correo para prefs@fake\.test\n\nDe: .*\n\nAsunto: Hola/);
+    assert.ok(!sent.params.text.includes('Vista previa'));
+    assert.strictEqual(buttons(sent).pop().text, '↩️ Responder');
+    await h.send('/settings language default');
+  });
+
+  it('lists attachments instead of sending them', async () => {
+    assert.strictEqual(await h.send('/settings attachments list'), '✅ 📎 Attachments: listed only');
+    const since = h.telegram.calls.length;
+    h.barid.deliver('prefs@fake.test', {
+      subject: 'Invoice',
+      files: [{ filename: 'invoice.pdf', contentType: 'application/pdf', content: '%PDF-1.4 fake' }]
+    });
+    await h.pollAll();
+    const listed = await h.telegram.waitForCall(c => c.method === 'sendMessage' && c.params.text.startsWith('📎'), { since });
+    assert.match(listed.params.text, /^📎 Attachments — Invoice:\n• invoice\.pdf \(\d+ B\)\nGet them with \/inbox\.$/);
+    assert.ok(!h.telegram.calls.slice(since).some(c => c.method === 'sendDocument'));
+  });
+
+  it('sends silently in quiet hours and bounds the poll interval', async () => {
+    assert.strictEqual(await h.send('/settings interval 5s'), '❌ The poll interval must be between 30s and 1h.');
+    assert.strictEqual(await h.send('/settings interval 2m'), '✅ ⏱️ Poll interval: 2m');
+
+    const quiet = `${utcTime(-60)}-${utcTime(60)}`;
+    assert.match(await h.send(`/settings quiet ${quiet}`), /^✅ 🌙 Quiet hours: \d{2}:\d{2}–\d{2}:\d{2}$/);
+    const since = h.telegram.calls.length;
+    h.barid.deliver('prefs@fake.test', { subject: 'At night' });
+    await h.pollAll();
+    const sent = await notification(since, 'At night');
+    assert.strictEqual(String(sent.params.disable_notification), 'true');
+
+    await h.send('/settings quiet off');
+    assert.deepStrictEqual(h.store.getUser(h.chatId).preferences, { format: 'text', preview: false, attachments: 'list', interval: 2 * 60 * 1000, quiet: null });
+  });
+});
@@ -0,0 +1,129 @@
+// test/storage.test.js
+// Persistence round-trips: the journaled store on its own, the legacy
+// bot_data.json migration, and the bot's state across a restart.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openStorage } = require('../src/storage');
+const { startHarness } = require('./helpers');
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'mailbot-store-'));
+}
+
+describe('storage', () => {
+  let dir;
+  before(() => {
+    dir = tempDir();
+  });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('reloads users, addresses and seen IDs', () => {
+    const file = path.join(dir, 'roundtrip');
+    const store = openStorage({ file });
+    store.ensureUser(1);
+    store.updateUser(1, { extractRules: [{ sender: 'shop', pattern: '(\\d+)' }] });
+    store.putAddress(1, 'a@fake.test', { provider: 'barid' });
+    store.putAddress(1, 'b@fake.test');
+    store.markSeen(1, 'a@fake.test', ['m1', 'm2']);
+    store.markRead(1, 'a@fake.test', 'm2');
+    store.removeAddress(1, 'b@fake.test');
+    store.close();
+
+    const reopened = openStorage({ file });
+    assert.deepStrictEqual(reopened.listEmails(1), ['a@fake.test']);
+    assert.deepStrictEqual(reopened.getUser(1).extractRules, [{ sender: 'shop', pattern: '(\\d+)' }]);
+    assert.ok(reopened.isSeen(1, 'a@fake.test', 'm2'));
+    assert.ok(reopened.isRead(1, 'a@fake.test', 'm2'));
+    assert.ok(!reopened.isRead(1, 'a@fake.test', 'm1'));
+    assert.strictEqual(reopened.findSeenAddress(1, 'm1'), 'a@fake.test');
+    reopened.compact();
+    reopened.close();
+
+    const compacted = openStorage({ file });
+    assert.deepStrictEqual(compacted.listEmails(1), ['a@fake.test']);
+    compacted.close();
+  });
+
+  it('rolls back a failed transaction', () => {
+    const file = path.join(dir, 'rollback');
+    const store = openStorage({ file });
+    store.putAddress(1, 'keep@fake.test');
+    assert.throws(() => store.transaction(() => {
+      store.putAddress(1, 'lost@fake.test');
+      store.removeAddress(1, 'keep@fake.test');
+      throw new Error('boom');
+    }), /boom/);
+    assert.deepStrictEqual(store.listEmails(1), ['keep@fake.test']);
+    store.close();
+
+    const reopened = openStorage({ file });
+    assert.deepStrictEqual(reopened.listEmails(1), ['keep@fake.test']);
+    reopened.close();
+  });
+
+  it('migrates a legacy bot_data.json once', () => {
+    const legacyFile = path.join(dir, 'bot_data.json');
+    fs.writeFileSync(legacyFile, JSON.stringify({
+      77: { emails: ['old@fake.test', 'old@fake.test'], seenEmails: { 'old@fake.test': { m9: true } } }
+    }));
+    const file = path.join(dir, 'migrated');
+    const store = openStorage({ file, legacyFile });
+    assert.deepStrictEqual(store.listEmails(77), ['old@fake.test']);
+    assert.ok(store.isSeen(77, 'old@fake.test', 'm9'));
+    store.close();
+
+    // later edits to the legacy file are not imported again
+    fs.writeFileSync(legacyFile, JSON.stringify({ 77: { emails: ['new@fake.test'] } }));
+    const reopened = openStorage({ file, legacyFile });
+    assert.deepStrictEqual(reopened.listEmails(77), ['old@fake.test']);
+    reopened.close();
+  });
+});
+
+describe('bot state across a restart', () => {
+  let h;
+  before(async () => {
+    h = await startHarness({ storageDir: tempDir() });
+  });
+  after(async () => {
+    await h.close();
+    fs.rmSync(h.dir, { recursive: true, force: true });
+  });
+
+  it('keeps tracked addresses, rules and seen mail', async () => {
+    await h.send('/add kept@fake.test');
+    await h.send('/otprule add shop (\\d{6})');
+    h.barid.deliver('kept@fake.test', { subject: 'Before restart' });
+    assert.deepStrictEqual(await h.pollAll(), [{ ok: true, newMail: 1 }]);
+
+    await h.restart();
+
+    assert.match(await h.send('/list'), /^📋 Tracked emails \(1\):\n\nkept@fake\.test\n/);
+    assert.match(await h.send('/otprule list'), /1\. shop → \(\\d\{6\}\)/);
+    assert.deepStrictEqual(await h.pollAll(), [{ ok: true, newMail: 0 }]);
+  });
+
+  it('finishes a running poll and its notification before stopping', async () => {
+    h.barid.deliver('kept@fake.test', { subject: 'During shutdown' });
+    const polling = h.pollAll();
+    await h.restart();
+    assert.deepStrictEqual(await polling, [{ ok: true, newMail: 1 }]);
+    assert.ok(h.messagesSent().some(text => /During shutdown/.test(text)));
+    assert.deepStrictEqual(await h.pollAll(), [{ ok: true, newMail: 0 }]);
+  });
+
+  it('catches up on mail that arrived while down and logs the gap', async t => {
+    const logged = [];
+    t.mock.method(console, 'log', (...args) => logged.push(args.join(' ')));
+    await h.restart({ whileDown: () => h.barid.deliver('kept@fake.test', { subject: 'While down' }) });
+    t.mock.restoreAll();
+
+    assert.ok(logged.some(line => /^Shut down cleanly/.test(line)));
+    assert.ok(logged.some(line => /^Restarting after a clean shutdown at \S+: down for <1m\.$/.test(line)), logged.join('\n'));
+    assert.deepStrictEqual(await h.pollAll(), [{ ok: true, newMail: 1 }]);
+    assert.ok(h.messagesSent().some(text => /While down/.test(text)));
+  });
+});
@@ -0,0 +1,118 @@
+// test/transfer.test.js
+// /export and /import with files, including a full restore on a second bot.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { parseCsv } = require('../src/transfer');
+const { startHarness } = require('./helpers');
+
+let uploads = 0;
+
+// Sends content as a document, with an optional caption
+function upload(h, filename, content, caption) {
+  const fileId = `upload-${++uploads}`;
+  h.telegram.addFile(fileId, content);
+  const document = { file_id: fileId, file_name: filename, file_size: Buffer.byteLength(content) };
+  return h.send('', caption ? { document, caption } : { document });
+}
+
+describe('csv parsing', () => {
+  it('handles quotes and remembers where rows start', () => {
+    const rows = parseCsv('email,label\r\na@fake.test,"two\nlines"\n\nb@fake.test,"say ""hi"""\n');
+    assert.deepStrictEqual(rows, [
+      { line: 1, cells: ['email', 'label'] },
+      { line: 2, cells: ['a@fake.test', 'two\nlines'] },
+      { line: 5, cells: ['b@fake.test', 'say "hi"'] }
+    ]);
+  });
+});
+
+describe('file import and export', () => {
+  let h;
+  before(async () => {
+    h = await startHarness();
+  });
+  after(() => h.close());
+
+  it('imports a csv file, reporting problems per line', async () => {
+    await h.send('/add known@fake.test');
+    const csv = [
+      'email,provider,label,expires_at',
+      'one@fake.test,barid,"Shop, main",',
+      'KNOWN@fake.test,,,',
+      'broken,,,',
+      'one@fake.test,,,',
+      'two@fake.test,pop3,,',
+      'three@fake.test,,,someday',
+      'four@fake.test,,,2030-01-01T00:00:00.000Z'
+    ].join('\n');
+    const text = await upload(h, 'list.csv', csv, '/import');
+    assert.strictEqual(text, [
+      '✅ Imported 2 new email(s) from list.csv. Total tracked: 3',
+      'ℹ️ 1 already tracked:',
+      'line 3: known@fake.test',
+      '⚠️ Skipped 4:',
+      'line 4: not of the form name@domain (broken)',
+      'line 5: duplicate of line 2 (one@fake.test)',
+      'line 6: unknown provider "pop3" (two@fake.test)',
+      'line 7: invalid date (three@fake.test)'
+    ].join('\n'));
+    assert.strictEqual(h.store.getAddress(h.chatId, 'one@fake.test').label, 'Shop, main');
+    assert.strictEqual(h.store.getAddress(h.chatId, 'four@fake.test').expiresAt, '2030-01-01T00:00:00.000Z');
+  });
+
+  it('exports csv with labels and dates', async () => {
+    const [doc] = await h.sendAndCollect('/export csv', 1);
+    const lines = doc.params.document.content.toString().trim().split('\n');
+    assert.strictEqual(lines[0], 'email,provider,label,created_at,expires_at,last_mail_at');
+    assert.match(lines[2], /^one@fake\.test,barid,"Shop, main",\d{4}-\d\d-\d\dT[^,]+,,$/);
+  });
+
+  it('waits for a file after a bare /import', async () => {
+    assert.match(await h.send('/import'), /Send the file to import/);
+    assert.match(await h.send('five@fake.test'), /Please send the list as a file/);
+    const text = await upload(h, 'more.txt', '# comment\nfive@fake.test\n\nsix@fake.test\n');
+    assert.strictEqual(text, '✅ Imported 2 new email(s) from more.txt. Total tracked: 5');
+    assert.strictEqual(h.ctx.flows.get(h.chatId), undefined);
+  });
+
+  it('rejects files it cannot read', async () => {
+    assert.match(await upload(h, 'x.json', '{"hello": 1}', '/import'), /isn't an \/export json file/);
+    assert.match(await upload(h, 'x.json', '{oops', '/import'), /Could not import x\.json: Not valid JSON/);
+    assert.match(await upload(h, 'empty.txt', '\n\n', '/import'), /has no addresses in it/);
+  });
+
+  it('restores a json export on another deployment', async () => {
+    const id = h.barid.deliver('one@fake.test', { subject: 'Before the move' });
+    await h.pollAll();
+    h.store.markRead(h.chatId, 'one@fake.test', id);
+    await h.send('/otprule add shop.test Code:\\s*(\\d+)');
+    await h.send('/rules add subject:"/move/" -> tag:moved');
+    // a group this user is in here, but not (as far as the bot knows) there
+    h.store.ensureUser(-900);
+    h.telegram.setChatMember(-900, h.chatId, 'member');
+    await h.send('/rules add from:ops -> forward:-900');
+
+    const [doc] = await h.sendAndCollect('/export json', 1);
+    const json = doc.params.document.content.toString();
+    assert.strictEqual(JSON.parse(json).addresses.length, 5);
+
+    const other = await startHarness();
+    try {
+      other.store.ensureUser(-900);
+      const text = await upload(other, 'backup.json', json, '/import');
+      assert.match(text, /^✅ Imported 5 new email\(s\) from backup\.json\. Total tracked: 5\n↩️ Restored 1 seen message\(s\), 1 OTP rule\(s\) and 1 notification rule\(s\)\.\n⚠️ Skipped 1:\nnotifyRules: from contains "ops" → forward:-900: You can only forward to chats you're in/);
+      const restored = other.store.getAddress(other.chatId, 'one@fake.test');
+      assert.strictEqual(restored.label, 'Shop, main');
+      assert.strictEqual(restored.createdAt, h.store.getAddress(h.chatId, 'one@fake.test').createdAt);
+      assert.ok(other.store.isRead(other.chatId, 'one@fake.test', id));
+      assert.deepStrictEqual(other.store.getUser(other.chatId).extractRules, [{ sender: 'shop.test', pattern: 'Code:\\s*(\\d+)' }]);
+      assert.strictEqual(await other.send('/rules list'), '🚦 Notification rules (1):\n\n1. subject ~ /move/ → tag:moved\n\nEvery matching rule applies.');
+
+      // importing the same backup again changes nothing
+      const again = await upload(other, 'backup.json', json, '/import');
+      assert.match(again, /^✅ Imported 0 new email\(s\) from backup\.json\. Total tracked: 5\nℹ️ 5 already tracked:\nentry 1: known@fake\.test/);
+    } finally {
+      await other.close();
+    }
+  });
+});
@@ -0,0 +1,105 @@
+// test/workspaces.test.js
+// Shared workspaces: invites, roles, a group chat and who gets notified.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startHarness } = require('./helpers');
+
+const BOB = 5001;
+const EVE = 5002;
+const GROUP = -100500;
+const EVE_GROUP = -100600;
+
+describe('workspaces', () => {
+  let h;
+  before(async () => {
+    h = await startHarness();
+  });
+  after(() => h.close());
+
+  // Message from user `from` in chat `chatId`; resolves with the bot's reply there
+  async function say(chatId, from, text) {
+    const since = h.telegram.calls.length;
+    h.telegram.pushMessage(chatId, text, {
+      chat: { id: chatId, type: chatId < 0 ? 'group' : 'private' },
+      from: { id: from, is_bot: false, first_name: `User${from}` }
+    });
+    const call = await h.telegram.waitForCall(c => c.method === 'sendMessage' && Number(c.params.chat_id) === chatId, { since });
+    return call.params.text;
+  }
+
+  function inviteCode(text) {
+    return /Invite code for an? \w+: (\w+)/.exec(text)[1];
+  }
+
+  it('creates a workspace and lets people join with invite codes', async () => {
+    await h.send('/add team@fake.test');
+    assert.match(await h.send('/workspace'), /isn't part of a workspace/);
+    assert.match(await h.send('/workspace create Team'), /^✅ Created the workspace "Team"/);
+    assert.match(await h.send('/workspace create Again'), /already belongs to a workspace/);
+
+    const viewerCode = inviteCode(await h.send('/workspace invite'));
+    assert.strictEqual(await say(BOB, BOB, `/join ${viewerCode.toLowerCase()}`), '✅ You joined "Team" as a viewer. This chat now works on the workspace\'s addresses; /workspace leave undoes it.');
+    assert.match(await say(EVE, EVE, `/join ${viewerCode}`), /invalid or has expired/);
+    assert.match(await say(BOB, BOB, '/list'), /team@fake\.test/);
+    assert.match(await say(BOB, BOB, '/workspace members'), /• Test \(4242\) — owner\n• User5001 \(5001\) — viewer/);
+  });
+
+  it('checks roles before changing anything', async () => {
+    assert.strictEqual(await say(BOB, BOB, '/delete team@fake.test'), '🔒 /delete needs the admin role; your role is viewer.');
+    assert.strictEqual(await say(BOB, BOB, '/new'), '🔒 /new needs the admin role; your role is viewer.');
+    assert.strictEqual(await say(BOB, BOB, '/clear'), '🔒 /clear needs the admin role; your role is viewer.');
+    assert.match(await say(BOB, BOB, '/workspace invite'), /Inviting a viewer needs the admin role/);
+    assert.match(await say(BOB, BOB, '/workspace role 5001 admin'), /needs the owner role/);
+
+    assert.strictEqual(await h.send(`/workspace role ${BOB} admin`), '✅ User5001 is now an admin.');
+    assert.match(await say(BOB, BOB, '/workspace invite'), /Invite code for a viewer/);
+    assert.match(await say(BOB, BOB, '/workspace invite admin'), /Inviting an admin needs the owner role/);
+    assert.strictEqual(await say(BOB, BOB, '/add bob@fake.test'), '✅ Now tracking: bob@fake.test');
+    assert.strictEqual(h.store.getAddress(h.chatId, 'bob@fake.test').ownerId, String(BOB));
+  });
+
+  it('keeps strangers out of a group and mentions owners there', async () => {
+    const code = inviteCode(await h.send('/workspace invite'));
+    assert.match(await say(GROUP, h.chatId, `/join ${code}`), /joined "Team" as an owner/);
+    assert.match(await say(GROUP, EVE, '/list'), /belongs to the workspace "Team" and you're not a member/);
+
+    const since = h.telegram.calls.length;
+    h.barid.deliver('bob@fake.test', { subject: 'For the team' });
+    await h.pollAll();
+    const sent = h.telegram.calls.slice(since).filter(c => c.method === 'sendMessage' && /New email/.test(c.params.text));
+    assert.deepStrictEqual(sent.map(c => Number(c.params.chat_id)).sort(), [GROUP, h.chatId, BOB].sort());
+    const inGroup = sent.find(c => Number(c.params.chat_id) === GROUP);
+    assert.match(inGroup.params.text, /👤 <a href="tg:\/\/user\?id=5001">User5001<\/a>/);
+    assert.ok(!sent.find(c => Number(c.params.chat_id) === BOB).params.text.includes('tg://user'));
+  });
+
+  it('removes members and sends their chat back to its own state', async () => {
+    assert.match(await h.send('/workspace leave'), /owner can't leave/);
+    assert.strictEqual(await h.send(`/workspace remove ${BOB}`), '🗑️ Removed User5001 from "Team".');
+    assert.doesNotMatch(await say(BOB, BOB, '/list'), /team@fake\.test/);
+    assert.match(await say(BOB, BOB, '/workspace'), /isn't part of a workspace/);
+  });
+
+  it('unlinks every chat a member joined from when they leave', async () => {
+    await say(EVE, EVE, `/join ${inviteCode(await h.send('/workspace invite'))}`);
+    assert.match(await say(EVE_GROUP, EVE, `/join ${inviteCode(await h.send('/workspace invite'))}`), /joined "Team" as a viewer/);
+    assert.strictEqual(await say(EVE, EVE, '/workspace leave'), '👋 You left "Team".');
+    assert.strictEqual(h.store.getLink(EVE_GROUP), null);
+
+    const since = h.telegram.calls.length;
+    h.barid.deliver('team@fake.test', { subject: 'After Eve left' });
+    await h.pollAll();
+    const sent = h.telegram.calls.slice(since).filter(c => c.method === 'sendMessage' && /New email/.test(c.params.text));
+    assert.ok(sent.length > 0);
+    assert.ok(!sent.some(c => [EVE, EVE_GROUP].includes(Number(c.params.chat_id))));
+    assert.strictEqual(await say(EVE_GROUP, EVE, '/add eve@fake.test'), '✅ Now tracking: eve@fake.test');
+    assert.doesNotMatch(await say(EVE_GROUP, EVE, '/list'), /team@fake\.test/);
+  });
+
+  it('unlinks the group a member leaves from', async () => {
+    await say(EVE, EVE, `/join ${inviteCode(await h.send('/workspace invite'))}`);
+    assert.match(await say(GROUP, EVE, '/workspace leave'), /You left "Team"/);
+    assert.strictEqual(h.store.getLink(GROUP), null);
+    assert.strictEqual(h.store.getLink(EVE), null);
+  });
+});